@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Key used to sign access tokens. Without ACCESS_TOKEN_SECRET a random key is generated,
+// which means unlocked shares have to be unlocked again after a restart
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+
+// How long a share stays unlocked after its password was entered (defaults to 30 minutes)
+const ACCESS_TOKEN_EXPIRES_SECONDS = parseInt(process.env.ACCESS_TOKEN_EXPIRES_SECONDS) || 30 * 60;
+
+// The signature covers the password hash, so changing or removing the password revokes every token
+const signAccessToken = (shareId, expiresAt, passwordHash) => {
+  return crypto
+    .createHmac('sha256', ACCESS_TOKEN_SECRET)
+    .update(`${shareId}.${expiresAt}.${passwordHash}`)
+    .digest('base64url');
+};
+
+/**
+ * Issue a token that unlocks a password-protected share without sending the password again
+ * @param {object} share - Share document, selected with +password
+ * @returns {{accessToken: string, expiresAt: Date}}
+ */
+const createAccessToken = (share) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_EXPIRES_SECONDS;
+  const signature = signAccessToken(share._id.toString(), expiresAt, share.password);
+
+  return {
+    accessToken: `${expiresAt}.${signature}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+};
+
+/**
+ * Check an access token against the share it was issued for
+ * @param {string} accessToken - Token sent by the client
+ * @param {object} share - Share document, selected with +password
+ * @returns {boolean} False for tokens that are malformed, expired or issued for another share or password
+ */
+const verifyAccessToken = (accessToken, share) => {
+  if (!accessToken || typeof accessToken !== 'string' || !share.password) {
+    return false;
+  }
+
+  const [expiresAt, signature] = accessToken.split('.');
+  if (!/^\d+$/.test(expiresAt || '') || !signature || Number(expiresAt) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signAccessToken(share._id.toString(), expiresAt, share.password));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_SECONDS,
+  createAccessToken,
+  verifyAccessToken
+};
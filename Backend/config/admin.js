@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Scopes that can be granted to admin tokens, one per kind of admin operation
+const ADMIN_SCOPES = {
+  'cleanup.read': 'Read cleanup statistics and orphaned file reports',
+  'cleanup.run': 'Trigger a manual cleanup or orphaned file scan',
+  'ratelimit.read': 'Read rate limiting statistics (includes device fingerprints)',
+  'audit.read': 'Read the admin audit log'
+};
+
+// Shortest token accepted, so weak secrets can't be configured by accident
+const MIN_TOKEN_LENGTH = 24;
+
+// How long audit log entries are kept (defaults to 90 days)
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 90;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest();
+
+/**
+ * Parse the admin tokens from the environment
+ *
+ * ADMIN_API_KEY grants every scope to an admin called "admin".
+ * ADMIN_TOKENS holds scoped tokens as `name:token:scope,scope` entries separated by `;`,
+ * e.g. `monitoring:<token>:cleanup.read,ratelimit.read;ops:<token>:*`
+ *
+ * @returns {{name: string, tokenHash: Buffer, scopes: string[]}[]}
+ */
+const parseAdminTokens = () => {
+  const entries = [];
+
+  if (process.env.ADMIN_API_KEY) {
+    entries.push({ name: 'admin', token: process.env.ADMIN_API_KEY, scopes: ['*'] });
+  }
+
+  (process.env.ADMIN_TOKENS || '').split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, token, scopeList = ''] = entry.split(':');
+    const scopes = scopeList.split(',').map(scope => scope.trim()).filter(Boolean);
+
+    if (!name || !token || scopes.length === 0) {
+      throw new Error(`Invalid ADMIN_TOKENS entry "${name || entry}". Use name:token:scope,scope`);
+    }
+    entries.push({ name, token, scopes });
+  });
+
+  return entries.map(({ name, token, scopes }) => {
+    if (token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`Admin token for "${name}" is too short. Use at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+
+    const unknownScope = scopes.find(scope => scope !== '*' && !ADMIN_SCOPES[scope]);
+    if (unknownScope) {
+      throw new Error(`Unknown admin scope "${unknownScope}" for "${name}". Use one of: ${Object.keys(ADMIN_SCOPES).join(', ')}, *`);
+    }
+
+    return { name, tokenHash: hashToken(token), scopes };
+  });
+};
+
+const ADMIN_TOKENS = parseAdminTokens();
+
+/**
+ * Find the admin a token belongs to
+ * @param {string} token - Token sent by the client
+ * @returns {{name: string, scopes: string[]}|null} The admin, or null for unknown tokens
+ */
+const findAdminByToken = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  const tokenHash = hashToken(token);
+  const admin = ADMIN_TOKENS.find(entry => crypto.timingSafeEqual(entry.tokenHash, tokenHash));
+  return admin ? { name: admin.name, scopes: admin.scopes } : null;
+};
+
+/**
+ * Check whether an admin has been granted a scope
+ * @param {{scopes: string[]}} admin
+ * @param {string} scope
+ * @returns {boolean}
+ */
+const hasAdminScope = (admin, scope) => admin.scopes.includes('*') || admin.scopes.includes(scope);
+
+module.exports = {
+  ADMIN_SCOPES,
+  ADMIN_TOKENS,
+  AUDIT_LOG_RETENTION_DAYS,
+  findAdminByToken,
+  hasAdminScope
+};
@@ -0,0 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// Size of each chunk a client sends to PUT /uploads/:uploadId/chunks/:index (defaults to 5MB)
+const CHUNK_SIZE = (parseInt(process.env.CHUNK_SIZE_MB) || 5) * 1024 * 1024;
+
+// Largest file that can be sent through a chunked upload (defaults to 1GB)
+const MAX_CHUNKED_FILE_SIZE = (parseInt(process.env.MAX_CHUNKED_FILE_SIZE_MB) || 1024) * 1024 * 1024;
+
+// How long an upload session may sit idle before its chunks are discarded
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Chunks are kept on local disk until the upload is complete, then streamed to storage.
+// Every instance handling chunked uploads must see the same directory (a shared volume or sticky sessions)
+const CHUNK_UPLOAD_DIR = process.env.CHUNK_UPLOAD_DIR || path.join(os.tmpdir(), 'vanishbin-chunks');
+
+/**
+ * Get the directory holding the received chunks of an upload session
+ * @param {string} uploadId - The upload session ID
+ * @returns {string} The directory path
+ */
+const getUploadDir = (uploadId) => {
+  return path.join(CHUNK_UPLOAD_DIR, String(uploadId));
+};
+
+/**
+ * Get the path of a single received chunk
+ * @param {string} uploadId - The upload session ID
+ * @param {number} index - The chunk index
+ * @returns {string} The chunk file path
+ */
+const getChunkPath = (uploadId, index) => {
+  return path.join(getUploadDir(uploadId), `${index}.part`);
+};
+
+/**
+ * Delete every chunk of an upload session from local disk
+ * @param {string} uploadId - The upload session ID
+ * @returns {Promise<void>}
+ */
+const removeUploadDir = async (uploadId) => {
+  await fs.promises.rm(getUploadDir(uploadId), { recursive: true, force: true });
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_CHUNKED_FILE_SIZE,
+  UPLOAD_SESSION_TTL_MS,
+  CHUNK_UPLOAD_DIR,
+  getUploadDir,
+  getChunkPath,
+  removeUploadDir
+};
@@ -0,0 +1,53 @@
+// Minutes between scheduled cleanup runs
+const CLEANUP_INTERVAL_MINUTES = parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 60;
+
+// Expired shares, stale uploads or queued file deletions handled per batch
+const CLEANUP_BATCH_SIZE = parseInt(process.env.CLEANUP_BATCH_SIZE) || 100;
+
+// Batches of each kind a run handles before leaving the rest to the next run
+const CLEANUP_MAX_BATCHES = parseInt(process.env.CLEANUP_MAX_BATCHES) || 50;
+
+// How long the cleanup lock is held without being renewed, so a crashed run doesn't block cleanup for long
+const CLEANUP_LOCK_TTL_SECONDS = parseInt(process.env.CLEANUP_LOCK_TTL_SECONDS) || 5 * 60;
+
+// Failed file deletions are retried this many times before they are left for an admin
+const FILE_DELETION_MAX_ATTEMPTS = parseInt(process.env.FILE_DELETION_MAX_ATTEMPTS) || 10;
+
+// How long cleanup run history is kept (defaults to 30 days)
+const CLEANUP_HISTORY_DAYS = parseInt(process.env.CLEANUP_HISTORY_DAYS) || 30;
+
+// Stored files younger than this are never treated as orphans, so uploads whose share isn't saved yet are left alone
+// (defaults to 48 hours, twice as long as a completed chunked upload may wait for its share)
+const ORPHAN_GRACE_HOURS = parseInt(process.env.ORPHAN_GRACE_HOURS) || 48;
+
+// Orphans listed on a report, the rest are only counted
+const MAX_REPORTED_ORPHANS = 1000;
+
+// Errors kept on a run record, the rest are only counted
+const MAX_RUN_ERRORS = 50;
+
+const FILE_DELETION_RETRY_BASE_MS = 60 * 1000; // 1 minute
+const FILE_DELETION_RETRY_MAX_MS = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Work out when a failed file deletion is tried again
+ * @param {number} attempts - Failed attempts so far, including the latest one
+ * @returns {Date} Backs off from a minute, doubling up to a day
+ */
+const getNextDeletionAttempt = (attempts) => {
+  const delay = Math.min(FILE_DELETION_RETRY_BASE_MS * 2 ** (attempts - 1), FILE_DELETION_RETRY_MAX_MS);
+  return new Date(Date.now() + delay);
+};
+
+module.exports = {
+  CLEANUP_INTERVAL_MINUTES,
+  CLEANUP_BATCH_SIZE,
+  CLEANUP_MAX_BATCHES,
+  CLEANUP_LOCK_TTL_SECONDS,
+  FILE_DELETION_MAX_ATTEMPTS,
+  CLEANUP_HISTORY_DAYS,
+  ORPHAN_GRACE_HOURS,
+  MAX_REPORTED_ORPHANS,
+  MAX_RUN_ERRORS,
+  getNextDeletionAttempt
+};
@@ -0,0 +1,92 @@
+// Expiry presets an uploader can pick from, keyed by the `expiresIn` value sent on upload
+const EXPIRY_PRESETS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '3h': 3 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+// How the presets are shown in the upload form
+const EXPIRY_LABELS = {
+  '5m': '5 minutes',
+  '1h': '1 hour',
+  '3h': '3 hours',
+  '1d': '1 day',
+  '7d': '7 days'
+};
+
+// Preset used when the client doesn't ask for a specific expiry
+const DEFAULT_EXPIRY = '3h';
+
+// Upper bound on how long any share may live (defaults to 7 days). A typo here would silently
+// change how long shares live, so anything but a whole number of hours stops the server from starting
+const parseMaxExpiryHours = () => {
+  const value = (process.env.MAX_EXPIRY_HOURS || '').trim();
+  if (!value) {
+    return 168;
+  }
+
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(`Invalid MAX_EXPIRY_HOURS "${process.env.MAX_EXPIRY_HOURS}". Use a whole number of hours, at least 1`);
+  }
+
+  return Number(value);
+};
+
+const MAX_EXPIRY_HOURS = parseMaxExpiryHours();
+const MAX_EXPIRY_MS = MAX_EXPIRY_HOURS * 60 * 60 * 1000;
+
+/**
+ * Get the expiry presets that are within the server-configured maximum
+ * @returns {string[]} The allowed `expiresIn` values
+ */
+const getAllowedExpiryOptions = () => {
+  return Object.keys(EXPIRY_PRESETS).filter(key => EXPIRY_PRESETS[key] <= MAX_EXPIRY_MS);
+};
+
+/**
+ * Get the preset used when the client doesn't ask for one: DEFAULT_EXPIRY, or the longest
+ * allowed preset when the maximum is below it
+ * @returns {string} An allowed `expiresIn` value
+ */
+const getDefaultExpiry = () => {
+  const allowed = getAllowedExpiryOptions();
+  return allowed.includes(DEFAULT_EXPIRY) ? DEFAULT_EXPIRY : allowed[allowed.length - 1];
+};
+
+/**
+ * Expiry choices as shown to clients by GET /config/limits
+ * @returns {{expiryOptions: {value: string, label: string}[], defaultExpiry: string, maxExpiryHours: number}}
+ */
+const getExpiryLimits = () => ({
+  expiryOptions: getAllowedExpiryOptions().map(value => ({ value, label: EXPIRY_LABELS[value] })),
+  defaultExpiry: getDefaultExpiry(),
+  maxExpiryHours: MAX_EXPIRY_HOURS
+});
+
+/**
+ * Resolve an `expiresIn` value to a lifetime in milliseconds
+ * @param {string} [expiresIn] - One of the preset keys, or empty for the default
+ * @returns {number|null} The lifetime in ms, or null if the option is not allowed
+ */
+const resolveExpiryDuration = (expiresIn) => {
+  if (!expiresIn) {
+    return EXPIRY_PRESETS[getDefaultExpiry()];
+  }
+
+  if (!getAllowedExpiryOptions().includes(expiresIn)) {
+    return null;
+  }
+
+  return EXPIRY_PRESETS[expiresIn];
+};
+
+module.exports = {
+  EXPIRY_PRESETS,
+  DEFAULT_EXPIRY,
+  MAX_EXPIRY_MS,
+  getAllowedExpiryOptions,
+  getExpiryLimits,
+  resolveExpiryDuration
+};
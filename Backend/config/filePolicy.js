@@ -0,0 +1,177 @@
+const path = require('path');
+const { MAX_CHUNKED_FILE_SIZE, CHUNK_SIZE } = require('./chunkUpload');
+
+// Largest file accepted by POST /upload, which holds the whole request in memory (defaults to 50MB).
+// Bigger files go through chunked uploads, up to MAX_CHUNKED_FILE_SIZE
+const MAX_DIRECT_FILE_SIZE = (parseInt(process.env.MAX_DIRECT_FILE_SIZE_MB) || 50) * 1024 * 1024;
+
+// Maximum number of files that can be bundled into a single share
+const MAX_FILES_PER_SHARE = 10;
+
+// Bytes read from the start of a file to check its content
+const SNIFF_SAMPLE_SIZE = 8192;
+
+// End-to-end encrypted files are opaque bytes, only the browser knows their real type
+const ENCRYPTED_MIME_TYPE = 'application/octet-stream';
+
+// Error code of files rejected by the policy while multer parses the request
+const FILE_POLICY_ERROR = 'FILE_POLICY_VIOLATION';
+
+const ZIP_SIGNATURES = [{ offset: 0, hex: '504b0304' }, { offset: 0, hex: '504b0506' }];
+const OLE_SIGNATURES = [{ offset: 0, hex: 'd0cf11e0a1b11ae1' }]; // Office files from before 2007
+
+// Every file type that can be uploaded. Binary types list the magic bytes their content starts with,
+// text types have none and must be readable UTF-8 instead. `aliases` are other MIME types browsers send for the type
+const FILE_TYPES = [
+  { mimeType: 'image/jpeg', label: 'JPEG image', extensions: ['jpg', 'jpeg'], signatures: [{ offset: 0, hex: 'ffd8ff' }] },
+  { mimeType: 'image/png', label: 'PNG image', extensions: ['png'], signatures: [{ offset: 0, hex: '89504e470d0a1a0a' }] },
+  { mimeType: 'image/gif', label: 'GIF image', extensions: ['gif'], signatures: [{ offset: 0, hex: '474946383761' }, { offset: 0, hex: '474946383961' }] },
+  { mimeType: 'image/webp', label: 'WebP image', extensions: ['webp'], signatures: [{ offset: 8, hex: '57454250' }] },
+  { mimeType: 'application/pdf', label: 'PDF document', extensions: ['pdf'], signatures: [{ offset: 0, hex: '255044462d' }] },
+  { mimeType: 'application/msword', label: 'Word document', extensions: ['doc'], signatures: OLE_SIGNATURES },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', label: 'Word document', extensions: ['docx'], signatures: ZIP_SIGNATURES },
+  { mimeType: 'application/vnd.ms-excel', label: 'Excel spreadsheet', extensions: ['xls'], signatures: OLE_SIGNATURES },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', label: 'Excel spreadsheet', extensions: ['xlsx'], signatures: ZIP_SIGNATURES },
+  { mimeType: 'application/vnd.ms-powerpoint', label: 'PowerPoint presentation', extensions: ['ppt'], signatures: OLE_SIGNATURES },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', label: 'PowerPoint presentation', extensions: ['pptx'], signatures: ZIP_SIGNATURES },
+  { mimeType: 'application/zip', label: 'ZIP archive', extensions: ['zip'], aliases: ['application/x-zip-compressed'], signatures: ZIP_SIGNATURES },
+  { mimeType: 'application/x-rar-compressed', label: 'RAR archive', extensions: ['rar'], aliases: ['application/vnd.rar'], signatures: [{ offset: 0, hex: '526172211a07' }] },
+  { mimeType: 'application/x-7z-compressed', label: '7z archive', extensions: ['7z'], signatures: [{ offset: 0, hex: '377abcaf271c' }] },
+  { mimeType: 'application/gzip', label: 'Gzip archive', extensions: ['gz', 'tgz'], aliases: ['application/x-gzip'], signatures: [{ offset: 0, hex: '1f8b' }] },
+  { mimeType: 'audio/mpeg', label: 'MP3 audio', extensions: ['mp3'], signatures: [{ offset: 0, hex: '494433' }, { offset: 0, hex: 'fffb' }, { offset: 0, hex: 'fff3' }, { offset: 0, hex: 'fff2' }] },
+  { mimeType: 'audio/wav', label: 'WAV audio', extensions: ['wav'], aliases: ['audio/x-wav', 'audio/wave'], signatures: [{ offset: 8, hex: '57415645' }] },
+  { mimeType: 'video/mp4', label: 'MP4 video', extensions: ['mp4', 'm4v'], signatures: [{ offset: 4, hex: '66747970' }] },
+  { mimeType: 'video/webm', label: 'WebM video', extensions: ['webm'], signatures: [{ offset: 0, hex: '1a45dfa3' }] },
+  { mimeType: 'text/plain', label: 'Text file', extensions: ['txt', 'log'], signatures: [] },
+  { mimeType: 'text/markdown', label: 'Markdown file', extensions: ['md', 'markdown'], aliases: ['text/x-markdown'], signatures: [] },
+  { mimeType: 'text/csv', label: 'CSV file', extensions: ['csv'], signatures: [] },
+  { mimeType: 'application/json', label: 'JSON file', extensions: ['json'], signatures: [] }
+];
+
+// Optionally narrow the types above, as a comma-separated list of MIME types
+const ALLOWED_FILE_TYPES = process.env.ALLOWED_FILE_TYPES
+  ? FILE_TYPES.filter(type => process.env.ALLOWED_FILE_TYPES.split(',').map(value => value.trim()).includes(type.mimeType))
+  : FILE_TYPES;
+
+const getExtension = (fileName) => path.extname(fileName || '').slice(1).toLowerCase();
+
+const matchesSignature = (sample, { offset, hex }) => {
+  const bytes = Buffer.from(hex, 'hex');
+  return sample.length >= offset + bytes.length && sample.subarray(offset, offset + bytes.length).equals(bytes);
+};
+
+// Text content has no NUL bytes and decodes as UTF-8 (a character cut off at the end of the sample is fine)
+const isText = (sample) => {
+  if (sample.includes(0)) {
+    return false;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Guess the type of a file from its first bytes
+ * @param {Buffer} sample - Start of the file
+ * @returns {string|null} MIME type of the first known binary type it matches
+ */
+const sniffFileType = (sample) => {
+  const match = FILE_TYPES.find(type => type.signatures.some(signature => matchesSignature(sample, signature)));
+  return match ? match.mimeType : null;
+};
+
+/**
+ * Work out the type of an uploaded file from its name, checked against the MIME type the client sent
+ * @param {string} fileName - Original file name
+ * @param {string} [declaredMimeType] - MIME type sent by the client, empty when the browser didn't know it
+ * @param {boolean} [encrypted] - End-to-end encrypted files are always stored as application/octet-stream
+ * @returns {{mimeType: string|null, error: string|null}} The MIME type to store the file with
+ */
+const resolveFileType = (fileName, declaredMimeType, encrypted = false) => {
+  if (encrypted) {
+    return declaredMimeType === ENCRYPTED_MIME_TYPE
+      ? { mimeType: ENCRYPTED_MIME_TYPE, error: null }
+      : { mimeType: null, error: `Encrypted files must be sent as ${ENCRYPTED_MIME_TYPE}` };
+  }
+
+  const extension = getExtension(fileName);
+  const fileType = ALLOWED_FILE_TYPES.find(type => type.extensions.includes(extension));
+
+  if (!fileType) {
+    return { mimeType: null, error: extension ? `.${extension} files are not allowed` : 'Files need an extension such as .pdf or .png' };
+  }
+
+  // Browsers send an empty or generic type for files they don't recognise, the extension decides then
+  const mimeType = (declaredMimeType || '').split(';')[0].trim().toLowerCase();
+  if (mimeType && mimeType !== ENCRYPTED_MIME_TYPE && mimeType !== fileType.mimeType && !fileType.aliases?.includes(mimeType)) {
+    return { mimeType: null, error: `File type ${mimeType} doesn't match the .${extension} extension` };
+  }
+
+  return { mimeType: fileType.mimeType, error: null };
+};
+
+/**
+ * Check that the content of a file is what its type says
+ * @param {Buffer} sample - Start of the file, at least SNIFF_SAMPLE_SIZE bytes unless the file is smaller
+ * @param {string} mimeType - Type returned by resolveFileType
+ * @returns {string|null} Error message, or null if the content matches
+ */
+const getFileContentError = (sample, mimeType) => {
+  // Ciphertext can't be inspected, the browser checked the file before encrypting it
+  if (mimeType === ENCRYPTED_MIME_TYPE) {
+    return null;
+  }
+
+  const fileType = FILE_TYPES.find(type => type.mimeType === mimeType);
+  if (!fileType) {
+    return 'File type not allowed';
+  }
+
+  const sniffedType = sniffFileType(sample);
+  const matches = fileType.signatures.length > 0
+    ? fileType.signatures.some(signature => matchesSignature(sample, signature))
+    : !sniffedType && isText(sample);
+
+  if (!matches) {
+    return sniffedType
+      ? `File content doesn't match its type: expected ${fileType.label}, but it looks like ${sniffedType}`
+      : `File content doesn't match its type: expected ${fileType.label}`;
+  }
+
+  return null;
+};
+
+/**
+ * Upload rules as shown to clients by GET /config/limits
+ * @returns {object}
+ */
+const getUploadLimits = () => ({
+  maxDirectFileSize: MAX_DIRECT_FILE_SIZE,
+  maxFileSize: MAX_CHUNKED_FILE_SIZE,
+  chunkSize: CHUNK_SIZE,
+  maxFilesPerShare: MAX_FILES_PER_SHARE,
+  sniffSampleSize: SNIFF_SAMPLE_SIZE,
+  allowedTypes: ALLOWED_FILE_TYPES.map(({ mimeType, label, extensions, aliases, signatures }) => ({
+    mimeType,
+    label,
+    extensions,
+    aliases: aliases || [],
+    signatures,
+    text: signatures.length === 0
+  }))
+});
+
+module.exports = {
+  MAX_DIRECT_FILE_SIZE,
+  MAX_FILES_PER_SHARE,
+  SNIFF_SAMPLE_SIZE,
+  ENCRYPTED_MIME_TYPE,
+  FILE_POLICY_ERROR,
+  resolveFileType,
+  getFileContentError,
+  getUploadLimits
+};
@@ -0,0 +1,58 @@
+// Languages a text share can be highlighted as, named as in highlight.js
+// (keep in sync with LANGUAGE_OPTIONS in the frontend's utils/highlight.js)
+const SUPPORTED_LANGUAGES = [
+  'plaintext',
+  'bash',
+  'c',
+  'cpp',
+  'csharp',
+  'css',
+  'diff',
+  'go',
+  'java',
+  'javascript',
+  'json',
+  'kotlin',
+  'markdown',
+  'php',
+  'python',
+  'ruby',
+  'rust',
+  'sql',
+  'swift',
+  'typescript',
+  'xml',
+  'yaml'
+];
+
+// How the text of a share is shown: as is, rendered as markdown, or highlighted as code
+const TEXT_FORMATS = ['plain', 'markdown', 'code'];
+
+/**
+ * Check whether a share can be stored with the given language
+ * @param {string} language - highlight.js language name
+ * @returns {boolean}
+ */
+const isSupportedLanguage = (language) => SUPPORTED_LANGUAGES.includes(language);
+
+/**
+ * Work out the language text is stored with, markdown source is highlighted as markdown
+ * and plain text is never highlighted
+ * @param {string} format - One of TEXT_FORMATS
+ * @param {string} [language] - Language picked for code
+ * @returns {string} highlight.js language name
+ */
+const getLanguageForFormat = (format, language) => {
+  if (format === 'markdown') {
+    return 'markdown';
+  }
+
+  return format === 'code' && language ? language : 'plaintext';
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  TEXT_FORMATS,
+  isSupportedLanguage,
+  getLanguageForFormat
+};
@@ -0,0 +1,31 @@
+// Wrong passwords a share accepts before unlock attempts get locked out
+const PASSWORD_LOCKOUT_FREE_ATTEMPTS = parseInt(process.env.PASSWORD_LOCKOUT_FREE_ATTEMPTS) || 3;
+
+// Length of the first lockout, doubled with every further wrong password (defaults to 30 seconds)
+const PASSWORD_LOCKOUT_BASE_SECONDS = parseInt(process.env.PASSWORD_LOCKOUT_BASE_SECONDS) || 30;
+
+// Longest lockout (defaults to 1 hour)
+const PASSWORD_LOCKOUT_MAX_SECONDS = parseInt(process.env.PASSWORD_LOCKOUT_MAX_SECONDS) || 60 * 60;
+
+// Highest number of wrong passwords an uploader can allow before the share destroys itself
+const MAX_PASSWORD_ATTEMPTS_LIMIT = 20;
+
+/**
+ * Work out how long unlocking is refused after a wrong password
+ * @param {number} failedAttempts - Wrong passwords so far, including the latest one
+ * @returns {number} Lockout in seconds, 0 while the share is still within its free attempts
+ */
+const getPasswordLockoutSeconds = (failedAttempts) => {
+  if (failedAttempts <= PASSWORD_LOCKOUT_FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  const lockouts = failedAttempts - PASSWORD_LOCKOUT_FREE_ATTEMPTS;
+  return Math.min(PASSWORD_LOCKOUT_BASE_SECONDS * 2 ** (lockouts - 1), PASSWORD_LOCKOUT_MAX_SECONDS);
+};
+
+module.exports = {
+  PASSWORD_LOCKOUT_FREE_ATTEMPTS,
+  MAX_PASSWORD_ATTEMPTS_LIMIT,
+  getPasswordLockoutSeconds
+};
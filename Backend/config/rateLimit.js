@@ -0,0 +1,324 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Where rate limit counters and violations are kept: 'mongo' shares them between server instances and restarts,
+// 'memory' keeps them in this process only
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'mongo').toLowerCase();
+
+const RATE_LIMIT_STORES = ['mongo', 'memory'];
+
+if (!RATE_LIMIT_STORES.includes(RATE_LIMIT_STORE)) {
+  throw new Error(`Unknown rate limit store "${RATE_LIMIT_STORE}". Use one of: ${RATE_LIMIT_STORES.join(', ')}`);
+}
+
+// JSON file that overrides the default policy below, see the README for its format
+const RATE_LIMIT_POLICY_FILE = process.env.RATE_LIMIT_POLICY_FILE ? path.resolve(process.env.RATE_LIMIT_POLICY_FILE) : null;
+
+// Settings each kind of limiter accepts. 'rate' limiters refuse requests over `max` with 429,
+// 'speed' limiters delay every request after the first `delayAfter` by `delayMs`, at most `maxDelayMs`
+const LIMITER_SETTINGS = {
+  rate: ['type', 'windowMinutes', 'max', 'message', 'skipSuccessfulRequests', 'skipFailedRequests'],
+  speed: ['type', 'windowMinutes', 'delayAfter', 'delayMs', 'maxDelayMs']
+};
+
+const DEFAULT_LIMITERS = {
+  global: {
+    type: 'rate',
+    windowMinutes: 15,
+    max: 500,
+    message: 'Global rate limit exceeded. Please reduce your request frequency.',
+    skipSuccessfulRequests: false,
+    skipFailedRequests: false
+  },
+  upload: {
+    type: 'rate',
+    windowMinutes: 15,
+    max: 10,
+    message: 'Upload rate limit exceeded. You can upload 10 files per 15 minutes.',
+    skipSuccessfulRequests: false,
+    skipFailedRequests: true
+  },
+  'upload-speed': {
+    type: 'speed',
+    windowMinutes: 15,
+    delayAfter: 3,
+    delayMs: 1000,
+    maxDelayMs: 30000
+  },
+  // One request per chunk of a resumable upload
+  'chunk-upload': {
+    type: 'rate',
+    windowMinutes: 15,
+    max: 1000,
+    message: 'Chunk upload rate limit exceeded. Please wait before resuming your upload.',
+    skipSuccessfulRequests: false,
+    skipFailedRequests: true
+  },
+  download: {
+    type: 'rate',
+    windowMinutes: 15,
+    max: 100,
+    message: 'Download rate limit exceeded. You can download 100 files per 15 minutes.',
+    skipSuccessfulRequests: true,
+    skipFailedRequests: false
+  },
+  'general-api': {
+    type: 'rate',
+    windowMinutes: 15,
+    max: 200,
+    message: 'API rate limit exceeded. You can make 200 requests per 15 minutes.',
+    skipSuccessfulRequests: true,
+    skipFailedRequests: false
+  },
+  admin: {
+    type: 'rate',
+    windowMinutes: 60,
+    max: 10,
+    message: 'Admin operation rate limit exceeded. You can perform 10 operations per hour.',
+    skipSuccessfulRequests: false,
+    skipFailedRequests: false
+  },
+  // Polling an orphan scan report, which the admin limit above would use up after a few polls
+  'admin-reports': {
+    type: 'rate',
+    windowMinutes: 60,
+    max: 120,
+    message: 'Report polling rate limit exceeded. You can check reports 120 times per hour.',
+    skipSuccessfulRequests: false,
+    skipFailedRequests: false
+  },
+  'health-check': {
+    type: 'rate',
+    windowMinutes: 1,
+    max: 60,
+    message: 'Health check rate limit exceeded.',
+    skipSuccessfulRequests: true,
+    skipFailedRequests: true
+  }
+};
+
+const ADMIN_LIMITERS = ['admin'];
+const DOWNLOAD_LIMITERS = ['download'];
+const API_LIMITERS = ['general-api'];
+
+// Limiters applied to each route, in order. '*' applies to every request except upload chunks
+const DEFAULT_ROUTES = {
+  '*': ['global'],
+  'GET /health': ['health-check'],
+  'GET /api/all': API_LIMITERS,
+  'GET /api/all/events': API_LIMITERS,
+  'GET /api/config/limits': API_LIMITERS,
+  'GET /api/rate-limit/stats': ADMIN_LIMITERS,
+  'GET /api/cleanup/stats': ADMIN_LIMITERS,
+  'POST /api/cleanup': ADMIN_LIMITERS,
+  'POST /api/cleanup/orphans': ADMIN_LIMITERS,
+  'GET /api/cleanup/orphans': ['admin-reports'],
+  'GET /api/cleanup/orphans/:reportId': ['admin-reports'],
+  'GET /api/admin/audit-log': ADMIN_LIMITERS,
+  'POST /api/upload': ['upload', 'upload-speed'],
+  'GET /api/slugs/:alias': API_LIMITERS,
+  'POST /api/uploads': API_LIMITERS,
+  'GET /api/uploads/:uploadId': API_LIMITERS,
+  'PUT /api/uploads/:uploadId/chunks/:index': ['chunk-upload'],
+  'POST /api/uploads/:uploadId/complete': API_LIMITERS,
+  'GET /api/:id/manage': API_LIMITERS,
+  'GET /api/:id/events': API_LIMITERS,
+  'POST /api/:id/unlock': DOWNLOAD_LIMITERS,
+  'GET /api/:id': DOWNLOAD_LIMITERS,
+  'PATCH /api/:id': API_LIMITERS,
+  'DELETE /api/:id': API_LIMITERS,
+  'GET /api/raw/:id': DOWNLOAD_LIMITERS,
+  'GET /api/file/:id': DOWNLOAD_LIMITERS,
+  'GET /api/file/:id/zip': DOWNLOAD_LIMITERS,
+  'GET /api/file/:id/:index': DOWNLOAD_LIMITERS
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check the settings of one limiter
+ * @returns {string|null} Error message, or null if the limiter is valid
+ */
+const getLimiterError = (name, limiter) => {
+  const settings = LIMITER_SETTINGS[limiter.type];
+  if (!settings) {
+    return `Limiter "${name}" needs a type of ${Object.keys(LIMITER_SETTINGS).join(' or ')}`;
+  }
+
+  const unknownSetting = Object.keys(limiter).find(setting => !settings.includes(setting));
+  if (unknownSetting) {
+    return `Unknown setting "${unknownSetting}" on ${limiter.type} limiter "${name}". Use: ${settings.join(', ')}`;
+  }
+
+  if (typeof limiter.windowMinutes !== 'number' || !(limiter.windowMinutes > 0)) {
+    return `Limiter "${name}" needs a windowMinutes above 0`;
+  }
+
+  if (limiter.type === 'rate') {
+    if (!Number.isInteger(limiter.max) || limiter.max < 1) {
+      return `Limiter "${name}" needs a max of at least 1`;
+    }
+    if (limiter.message !== undefined && typeof limiter.message !== 'string') {
+      return `The message of limiter "${name}" must be a string`;
+    }
+    const flag = ['skipSuccessfulRequests', 'skipFailedRequests'].find(setting => limiter[setting] !== undefined && typeof limiter[setting] !== 'boolean');
+    if (flag) {
+      return `${flag} of limiter "${name}" must be true or false`;
+    }
+  } else {
+    const delay = ['delayAfter', 'delayMs', 'maxDelayMs'].find(setting => !isNonNegativeInteger(limiter[setting]));
+    if (delay) {
+      return `Limiter "${name}" needs a ${delay} of 0 or more`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse IP addresses and CIDR ranges like 203.0.113.7, 10.0.0.0/8 or 2001:db8::/32
+ * @param {string[]} entries - Addresses and ranges
+ * @param {string} source - Where the entries came from, for error messages
+ * @returns {net.BlockList}
+ */
+const parseAddressList = (entries, source) => {
+  const list = new net.BlockList();
+
+  entries.forEach(entry => {
+    const [address, prefix] = String(entry).trim().split('/');
+    const family = net.isIP(address);
+    const maxPrefix = family === 6 ? 128 : 32;
+
+    if (!family || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+      throw new Error(`Invalid address "${entry}" in ${source}. Use an IP address or a CIDR range like 10.0.0.0/8`);
+    }
+
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+  });
+
+  return list;
+};
+
+const splitList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+/**
+ * Load the rate limit policy: the defaults, overridden by RATE_LIMIT_POLICY_FILE, plus the
+ * RATE_LIMIT_ALLOWLIST and RATE_LIMIT_DENYLIST env vars. Throws on anything invalid, so a broken
+ * policy stops the server from starting instead of leaving it unprotected
+ * @returns {{limiters: object, routes: object, allowlist: string[], denylist: string[], source: string}}
+ */
+const loadRateLimitPolicy = () => {
+  let policy = {};
+
+  if (RATE_LIMIT_POLICY_FILE) {
+    try {
+      policy = JSON.parse(fs.readFileSync(RATE_LIMIT_POLICY_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Can't read rate limit policy ${RATE_LIMIT_POLICY_FILE}: ${error.message}`);
+    }
+  }
+
+  const fail = (message) => {
+    throw new Error(`Invalid rate limit policy${RATE_LIMIT_POLICY_FILE ? ` ${RATE_LIMIT_POLICY_FILE}` : ''}: ${message}`);
+  };
+
+  if (!isPlainObject(policy)) {
+    fail('it must be a JSON object');
+  }
+
+  const unknownKey = Object.keys(policy).find(key => !['limiters', 'routes', 'allowlist', 'denylist'].includes(key));
+  if (unknownKey) {
+    fail(`unknown key "${unknownKey}". Use limiters, routes, allowlist and denylist`);
+  }
+
+  ['limiters', 'routes'].forEach(key => {
+    if (policy[key] !== undefined && !isPlainObject(policy[key])) {
+      fail(`${key} must be an object`);
+    }
+  });
+
+  ['allowlist', 'denylist'].forEach(key => {
+    if (policy[key] !== undefined && !Array.isArray(policy[key])) {
+      fail(`${key} must be an array of addresses`);
+    }
+  });
+
+  // Settings of default limiters are merged, so a policy can change just their max
+  const limiters = { ...DEFAULT_LIMITERS };
+  Object.entries(policy.limiters || {}).forEach(([name, limiter]) => {
+    if (!isPlainObject(limiter)) {
+      fail(`limiter "${name}" must be an object`);
+    }
+    limiters[name] = { ...DEFAULT_LIMITERS[name], ...limiter };
+  });
+
+  Object.entries(limiters).forEach(([name, limiter]) => {
+    const error = getLimiterError(name, limiter);
+    if (error) {
+      fail(error);
+    }
+  });
+
+  const routes = { ...DEFAULT_ROUTES };
+  Object.entries(policy.routes || {}).forEach(([route, names]) => {
+    if (!DEFAULT_ROUTES[route]) {
+      fail(`unknown route "${route}". Use one of: ${Object.keys(DEFAULT_ROUTES).join(', ')}`);
+    }
+    if (!Array.isArray(names)) {
+      fail(`route "${route}" must list limiter names, or [] for none`);
+    }
+    const unknownLimiter = names.find(name => !limiters[name]);
+    if (unknownLimiter) {
+      fail(`route "${route}" uses unknown limiter "${unknownLimiter}"`);
+    }
+    routes[route] = names;
+  });
+
+  return {
+    limiters,
+    routes,
+    allowlist: [...(policy.allowlist || []), ...splitList(process.env.RATE_LIMIT_ALLOWLIST)],
+    denylist: [...(policy.denylist || []), ...splitList(process.env.RATE_LIMIT_DENYLIST)],
+    source: RATE_LIMIT_POLICY_FILE || 'defaults'
+  };
+};
+
+const RATE_LIMIT_POLICY = loadRateLimitPolicy();
+
+// Addresses that skip every limiter, and addresses refused outright
+const ALLOWLIST = parseAddressList(RATE_LIMIT_POLICY.allowlist, 'the rate limit allowlist');
+const DENYLIST = parseAddressList(RATE_LIMIT_POLICY.denylist, 'the rate limit denylist');
+
+const isListed = (list, ip) => {
+  const family = net.isIP(ip || '');
+  return family !== 0 && list.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check whether an address skips rate limiting
+ * @param {string} ip - Client address
+ * @returns {boolean}
+ */
+const isAllowlisted = (ip) => isListed(ALLOWLIST, ip);
+
+/**
+ * Check whether an address is refused outright
+ * @param {string} ip - Client address
+ * @returns {boolean}
+ */
+const isDenylisted = (ip) => isListed(DENYLIST, ip);
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  RATE_LIMIT_POLICY,
+  isAllowlisted,
+  isDenylisted
+};
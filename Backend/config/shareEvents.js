@@ -0,0 +1,18 @@
+// How often shares are polled for changes when MongoDB has no change streams (standalone servers)
+const SHARE_EVENTS_POLL_SECONDS = parseInt(process.env.SHARE_EVENTS_POLL_SECONDS) || 10;
+
+// Comment sent on idle event streams so proxies don't close them (defaults to 25 seconds)
+const SHARE_EVENTS_HEARTBEAT_SECONDS = parseInt(process.env.SHARE_EVENTS_HEARTBEAT_SECONDS) || 25;
+
+// Open event streams the server accepts before answering 503
+const MAX_SHARE_EVENT_STREAMS = parseInt(process.env.MAX_SHARE_EVENT_STREAMS) || 1000;
+
+// Gallery changes are batched, so a burst of uploads refreshes open galleries once
+const GALLERY_EVENT_DELAY_MS = 2000;
+
+module.exports = {
+  SHARE_EVENTS_POLL_SECONDS,
+  SHARE_EVENTS_HEARTBEAT_SECONDS,
+  MAX_SHARE_EVENT_STREAMS,
+  GALLERY_EVENT_DELAY_MS
+};
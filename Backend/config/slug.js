@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// URL-safe characters used in share slugs (no look-alikes are removed, slugs are meant to be copied, not typed)
+const SLUG_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Shortest slug allowed, so links can't be made easy to enumerate by accident
+const MIN_SLUG_LENGTH = 8;
+
+// Length of generated share slugs (defaults to 10 characters, about 59 bits of randomness)
+const SHARE_SLUG_LENGTH = Math.max(parseInt(process.env.SHARE_SLUG_LENGTH) || 10, MIN_SLUG_LENGTH);
+
+// Custom aliases: lowercase letters, digits and single hyphens, not starting or ending with a hyphen
+const ALIAS_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MIN_ALIAS_LENGTH = 3;
+const MAX_ALIAS_LENGTH = 40;
+
+// Aliases that would clash with API routes (see routes/shareRoutes.js) or frontend pages
+const RESERVED_ALIASES = [
+  'admin',
+  'all',
+  'api',
+  'cleanup',
+  'config',
+  'events',
+  'file',
+  'health',
+  'manage',
+  'my-shares',
+  'rate-limit',
+  'raw',
+  'slugs',
+  'unlock',
+  'upload',
+  'uploads',
+  'view'
+];
+
+/**
+ * Generate a random share slug
+ * @returns {string} SHARE_SLUG_LENGTH characters from SLUG_ALPHABET
+ */
+const generateSlug = () => {
+  let slug = '';
+  for (let i = 0; i < SHARE_SLUG_LENGTH; i++) {
+    slug += SLUG_ALPHABET[crypto.randomInt(SLUG_ALPHABET.length)];
+  }
+  return slug;
+};
+
+/**
+ * Check a custom alias requested on upload
+ * @param {string} alias - Alias as typed by the uploader, already lowercased
+ * @returns {string|null} Why the alias can't be used, or null if it is valid
+ */
+const getAliasError = (alias) => {
+  if (typeof alias !== 'string' || alias.length < MIN_ALIAS_LENGTH || alias.length > MAX_ALIAS_LENGTH) {
+    return `Custom links must be ${MIN_ALIAS_LENGTH} to ${MAX_ALIAS_LENGTH} characters long`;
+  }
+
+  if (!ALIAS_PATTERN.test(alias)) {
+    return 'Custom links may only contain lowercase letters, numbers and single hyphens between them';
+  }
+
+  // Would be mistaken for the ObjectId of a share created before slugs
+  if (RESERVED_ALIASES.includes(alias) || /^[0-9a-f]{24}$/.test(alias)) {
+    return `"${alias}" is reserved and can't be used as a custom link`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  SHARE_SLUG_LENGTH,
+  MIN_ALIAS_LENGTH,
+  MAX_ALIAS_LENGTH,
+  generateSlug,
+  getAliasError
+};
@@ -30,7 +30,7 @@ const STORAGE_BUCKET = process.env.SUPABASE_STORAGE_BUCKET || 'uploads';
 
 /**
  * Upload a file to Supabase storage
- * @param {Buffer} fileBuffer - The file buffer
+ * @param {Buffer|Readable} fileBuffer - The file buffer or stream
  * @param {string} fileName - The name for the file
  * @param {string} mimeType - The MIME type of the file
  * @returns {Promise<{data: object, error: object}>}
@@ -68,37 +68,47 @@ const deleteFile = async (filePath) => {
 };
 
 /**
- * Get a public URL for a file
- * @param {string} filePath - The path of the file
- * @returns {string} The public URL
+ * Delete several files from Supabase Storage in one request
+ * Paths that don't exist are skipped without an error
+ * @param {string[]} filePaths - The paths of the files
+ * @returns {Promise<{data: object[], error: object}>}
  */
-const getPublicUrl = (filePath) => {
-  const { data } = supabase.storage
-    .from(STORAGE_BUCKET)
-    .getPublicUrl(filePath);
+const deleteFiles = async (filePaths) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .remove(filePaths);
 
-  return data.publicUrl;
+    return { data, error };
+  } catch (error) {
+    return { data: null, error };
+  }
 };
 
 /**
- * Generate a unique file name with timestamp and random string
- * @param {string} originalName - The original file name
- * @returns {string} A unique file name
+ * Create a temporary download URL for a file in the private bucket
+ * @param {string} filePath - The path of the file
+ * @param {number} expiresIn - Seconds until the URL stops working
+ * @param {string} [downloadName] - File name the browser saves the download as
+ * @returns {Promise<{data: {signedUrl: string}, error: object}>}
  */
-const generateUniqueFileName = (originalName) => {
-  const timestamp = Date.now();
-  const randomString = Math.round(Math.random() * 1E9);
-  const extension = originalName.split('.').pop();
-  const nameWithoutExt = originalName.split('.').slice(0, -1).join('.');
-  
-  return `${timestamp}-${randomString}-${nameWithoutExt}.${extension}`;
+const createSignedUrl = async (filePath, expiresIn, downloadName) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .createSignedUrl(filePath, expiresIn, { download: downloadName || true });
+
+    return { data, error };
+  } catch (error) {
+    return { data: null, error };
+  }
 };
 
 module.exports = {
   supabase,
   uploadFile,
   deleteFile,
-  getPublicUrl,
-  generateUniqueFileName,
+  deleteFiles,
+  createSignedUrl,
   STORAGE_BUCKET
 };
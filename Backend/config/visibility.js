@@ -0,0 +1,14 @@
+// Unlisted shares can only be opened through their link, public ones are also listed in the gallery (GET /all)
+const SHARE_VISIBILITIES = ['unlisted', 'public'];
+
+// Shares stay out of the gallery unless the uploader opts in
+const DEFAULT_VISIBILITY = 'unlisted';
+
+// The public gallery can be switched off entirely with PUBLIC_GALLERY_ENABLED=false
+const PUBLIC_GALLERY_ENABLED = process.env.PUBLIC_GALLERY_ENABLED !== 'false';
+
+module.exports = {
+  SHARE_VISIBILITIES,
+  DEFAULT_VISIBILITY,
+  PUBLIC_GALLERY_ENABLED
+};
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const { storeFile } = require('../storage');
+const { scanFile, quarantineFile } = require('../scanners');
+const { isEncryptedUpload, ENCRYPTED_STORAGE_NAME } = require('../middleware/storageUpload');
+const { SNIFF_SAMPLE_SIZE, resolveFileType, getFileContentError } = require('../config/filePolicy');
+const {
+  CHUNK_SIZE,
+  MAX_CHUNKED_FILE_SIZE,
+  UPLOAD_SESSION_TTL_MS,
+  getUploadDir,
+  getChunkPath,
+  removeUploadDir
+} = require('../config/chunkUpload');
+
+// Error raised while streaming a chunk body that is bigger than announced
+const CHUNK_TOO_LARGE = 'Chunk is larger than expected';
+
+// Look up an active upload session and check the upload token from the X-Upload-Token header
+// Sends the error response and returns null when the session can't be used
+const findUploadSession = async (req, res) => {
+  const { uploadId } = req.params;
+  const uploadToken = req.get('X-Upload-Token');
+
+  if (!uploadToken) {
+    res.status(401).json({
+      error: 'Upload token required'
+    });
+    return null;
+  }
+
+  const session = mongoose.isValidObjectId(uploadId)
+    ? await UploadSession.findById(uploadId).select('+uploadTokenHash')
+    : null;
+
+  if (!session || session.isExpired()) {
+    res.status(404).json({
+      error: 'Upload not found or has expired'
+    });
+    return null;
+  }
+
+  // Upload IDs can be guessed from one another, the token can't
+  if (!session.verifyUploadToken(uploadToken)) {
+    res.status(403).json({
+      error: 'Invalid upload token'
+    });
+    return null;
+  }
+
+  return session;
+};
+
+// Shape an upload session for API responses
+const formatUploadSession = (session) => ({
+  uploadId: session._id,
+  status: session.status,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  mimeType: session.mimeType,
+  encrypted: session.encrypted,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+  scanStatus: session.scanStatus,
+  expiresAt: session.expiresAt
+});
+
+// Fail the stream as soon as a chunk body grows past the size it was announced with
+const createSizeLimit = (maxBytes) => {
+  let receivedBytes = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      receivedBytes += chunk.length;
+      if (receivedBytes > maxBytes) {
+        return callback(new Error(CHUNK_TOO_LARGE));
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+// Read the first bytes of a file on disk
+const readFileStart = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Read the received chunks back in order as one continuous stream
+const createAssembledStream = (session) => {
+  return Readable.from((async function* () {
+    for (let index = 0; index < session.totalChunks; index++) {
+      yield* fs.createReadStream(getChunkPath(session._id, index));
+    }
+  })());
+};
+
+// POST /uploads - Start a chunked upload
+const initUpload = async (req, res) => {
+  try {
+    const { fileName, fileSize, mimeType } = req.body || {};
+    const encrypted = isEncryptedUpload(req.body);
+
+    if (!fileName || typeof fileName !== 'string' || !fileName.trim()) {
+      return res.status(400).json({
+        error: 'File name is required'
+      });
+    }
+
+    const size = Number(fileSize);
+    if (!Number.isInteger(size) || size < 1) {
+      return res.status(400).json({
+        error: 'File size must be a positive whole number of bytes'
+      });
+    }
+
+    if (size > MAX_CHUNKED_FILE_SIZE) {
+      return res.status(400).json({
+        error: `File too large. Maximum size is ${Math.round(MAX_CHUNKED_FILE_SIZE / 1024 / 1024)}MB.`
+      });
+    }
+
+    // Encrypted names can't be shortened without corrupting them
+    const maxNameLength = encrypted ? 1024 : 255;
+    if (encrypted && fileName.length > maxNameLength) {
+      return res.status(400).json({
+        error: 'Encrypted file name is too long'
+      });
+    }
+
+    // The stored type comes from the file name, the content is checked when the first chunk arrives
+    const { mimeType: resolvedMimeType, error: fileTypeError } = resolveFileType(fileName.trim(), mimeType, encrypted);
+    if (fileTypeError) {
+      return res.status(400).json({
+        error: fileTypeError
+      });
+    }
+
+    // Secret that lets the uploader send chunks and use the file in a share, only its hash is stored
+    const uploadToken = crypto.randomBytes(24).toString('base64url');
+
+    const session = await UploadSession.create({
+      uploadTokenHash: UploadSession.hashUploadToken(uploadToken),
+      fileName: fileName.trim().slice(0, maxNameLength),
+      fileSize: size,
+      mimeType: resolvedMimeType,
+      encrypted,
+      chunkSize: CHUNK_SIZE,
+      totalChunks: Math.ceil(size / CHUNK_SIZE)
+    });
+
+    await fs.promises.mkdir(getUploadDir(session._id), { recursive: true });
+
+    console.log(`📦 Started chunked upload ${session._id} (${session.fileName}, ${session.totalChunks} chunks)`);
+
+    res.status(201).json({
+      success: true,
+      ...formatUploadSession(session),
+      uploadToken
+    });
+
+  } catch (error) {
+    console.error('Init upload error:', error);
+    res.status(500).json({
+      error: 'Failed to start upload'
+    });
+  }
+};
+
+// GET /uploads/:uploadId - Report which chunks have been received, so an interrupted upload can resume
+const getUploadStatus = async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    res.json({
+      success: true,
+      ...formatUploadSession(session)
+    });
+
+  } catch (error) {
+    console.error('Upload status error:', error);
+    res.status(500).json({
+      error: 'Failed to get upload status'
+    });
+  }
+};
+
+// PUT /uploads/:uploadId/chunks/:index - Receive one chunk of the file as the raw request body
+const uploadChunk = async (req, res) => {
+  let tempPath = null;
+
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'uploading') {
+      return res.status(409).json({
+        error: 'Upload is already being completed'
+      });
+    }
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      return res.status(400).json({
+        error: `Chunk index must be between 0 and ${session.totalChunks - 1}`
+      });
+    }
+
+    const expectedSize = session.getExpectedChunkSize(index);
+    const contentLength = req.headers['content-length'];
+    if (contentLength !== undefined && Number(contentLength) !== expectedSize) {
+      return res.status(400).json({
+        error: `Chunk ${index} must be exactly ${expectedSize} bytes`
+      });
+    }
+
+    // Stream the body to a temp file first, so a dropped connection never leaves a partial chunk behind
+    const chunkPath = getChunkPath(session._id, index);
+    tempPath = `${chunkPath}.${Date.now()}.tmp`;
+
+    await fs.promises.mkdir(getUploadDir(session._id), { recursive: true });
+    await pipeline(req, createSizeLimit(expectedSize), fs.createWriteStream(tempPath));
+
+    const { size } = await fs.promises.stat(tempPath);
+    if (size !== expectedSize) {
+      await fs.promises.rm(tempPath, { force: true });
+      return res.status(400).json({
+        error: `Chunk ${index} must be exactly ${expectedSize} bytes`
+      });
+    }
+
+    // The first chunk starts with the magic bytes, so a file of the wrong type is refused before the rest is sent
+    if (index === 0) {
+      const contentError = getFileContentError(await readFileStart(tempPath, SNIFF_SAMPLE_SIZE), session.mimeType);
+      if (contentError) {
+        await fs.promises.rm(tempPath, { force: true });
+        tempPath = null;
+        return res.status(400).json({
+          error: contentError
+        });
+      }
+    }
+
+    await fs.promises.rename(tempPath, chunkPath);
+    tempPath = null;
+
+    // Each acknowledged chunk keeps the session alive for another TTL window
+    const updatedSession = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading' },
+      {
+        $addToSet: { receivedChunks: index },
+        expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+      },
+      { new: true }
+    );
+
+    if (!updatedSession) {
+      return res.status(409).json({
+        error: 'Upload is already being completed'
+      });
+    }
+
+    res.json({
+      success: true,
+      uploadId: updatedSession._id,
+      index,
+      receivedCount: updatedSession.receivedChunks.length,
+      totalChunks: updatedSession.totalChunks
+    });
+
+  } catch (error) {
+    console.error('Chunk upload error:', error);
+
+    if (tempPath) {
+      await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    }
+
+    if (!res.headersSent) {
+      const tooLarge = error.message === CHUNK_TOO_LARGE;
+      res.status(tooLarge ? 400 : 500).json({
+        error: tooLarge ? CHUNK_TOO_LARGE : 'Failed to store chunk'
+      });
+    }
+  }
+};
+
+// POST /uploads/:uploadId/complete - Reassemble the chunks and stream the file to storage
+const completeUpload = async (req, res) => {
+  let session = null;
+
+  try {
+    const existing = await findUploadSession(req, res);
+    if (!existing) return;
+
+    // A client that lost the response to an earlier complete call can safely retry it
+    if (existing.status === 'completed') {
+      return res.json({
+        success: true,
+        ...formatUploadSession(existing)
+      });
+    }
+
+    const missingChunks = existing.getMissingChunks();
+    if (missingChunks.length > 0) {
+      return res.status(400).json({
+        error: 'Upload is missing chunks',
+        missingChunks
+      });
+    }
+
+    // Only one request may assemble the file
+    session = await UploadSession.findOneAndUpdate(
+      { _id: existing._id, status: 'uploading' },
+      { status: 'assembling' },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(409).json({
+        error: 'Upload is already being completed'
+      });
+    }
+
+    const scan = await scanFile(createAssembledStream(session), { encrypted: session.encrypted });
+
+    if (scan.error) {
+      await UploadSession.updateOne({ _id: session._id }, { status: 'uploading' });
+      return res.status(503).json({
+        error: 'File could not be scanned for malware, please try again later'
+      });
+    }
+
+    // Infected uploads can't be retried, their chunks are thrown away with the session
+    if (scan.data.status === 'infected') {
+      console.warn(`☣️ Rejected infected upload ${session.fileName} (${scan.data.signature})`);
+      await quarantineFile(createAssembledStream(session), { fileName: session.fileName, signature: scan.data.signature });
+      await removeUploadDir(session._id);
+      await UploadSession.deleteOne({ _id: session._id });
+      return res.status(422).json({
+        error: `${session.fileName} was rejected because it contains malware (${scan.data.signature})`
+      });
+    }
+
+    const { data, error } = await storeFile(
+      createAssembledStream(session),
+      session.encrypted ? ENCRYPTED_STORAGE_NAME : session.fileName,
+      session.mimeType
+    );
+
+    if (error) {
+      console.error('Storage upload error:', error);
+      await UploadSession.updateOne({ _id: session._id }, { status: 'uploading' });
+      return res.status(500).json({
+        error: 'Failed to upload file to storage'
+      });
+    }
+
+    session.status = 'completed';
+    session.storageDriver = data.storageDriver;
+    session.storagePath = data.storagePath;
+    session.scanStatus = scan.data.status;
+    session.scanner = scan.data.scanner;
+    session.scannedAt = scan.data.scannedAt;
+    session.expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+    await session.save();
+
+    await removeUploadDir(session._id);
+
+    console.log(`✅ Completed chunked upload ${session._id} (${session.fileName})`);
+
+    res.json({
+      success: true,
+      ...formatUploadSession(session)
+    });
+
+  } catch (error) {
+    console.error('Complete upload error:', error);
+
+    // Let the client retry the complete call
+    if (session) {
+      await UploadSession.updateOne({ _id: session._id, status: 'assembling' }, { status: 'uploading' }).catch(() => {});
+    }
+
+    res.status(500).json({
+      error: 'Failed to complete upload'
+    });
+  }
+};
+
+module.exports = {
+  initUpload,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload
+};
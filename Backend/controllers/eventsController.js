@@ -0,0 +1,177 @@
+const Share = require('../models/Share');
+const { verifyAccessToken } = require('../config/accessToken');
+const { PUBLIC_GALLERY_ENABLED } = require('../config/visibility');
+const { SHARE_EVENTS_HEARTBEAT_SECONDS, MAX_SHARE_EVENT_STREAMS } = require('../config/shareEvents');
+const { watchShare, watchGallery } = require('../services/changeStreamService');
+
+// setTimeout can't wait longer than about 24 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let openStreams = 0;
+
+/**
+ * Turn the response into a Server-Sent Events stream
+ * @returns {{send: function(string, object): void, close: function(): void}} send writes one event, close ends the stream
+ */
+const openEventStream = (req, res, onClose) => {
+  openStreams++;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+
+  // Browsers reconnect on their own, wait a bit longer than their default before doing so
+  res.write('retry: 5000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SHARE_EVENTS_HEARTBEAT_SECONDS * 1000);
+
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    openStreams--;
+    clearInterval(heartbeat);
+    onClose();
+  };
+
+  req.on('close', cleanup);
+
+  return {
+    send: (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close: () => {
+      cleanup();
+      res.end();
+    }
+  };
+};
+
+// Refuse new streams once the server holds as many as it's configured for
+const rejectIfTooManyStreams = (res) => {
+  if (openStreams >= MAX_SHARE_EVENT_STREAMS) {
+    res.status(503).json({ 
+      error: 'Too many open event streams, please try again later' 
+    });
+    return true;
+  }
+  return false;
+};
+
+// GET /:id/events - Stream expiry, deletion and edits of a share to its open viewers
+const streamShareEvents = async (req, res) => {
+  try {
+    const share = await Share.findByPublicId(req.params.id).select('+password');
+
+    if (!share) {
+      return res.status(404).json({ 
+        error: 'Content not found or has expired' 
+      });
+    }
+
+    if (share.isExpired()) {
+      return res.status(410).json({ 
+        error: 'Content has expired' 
+      });
+    }
+
+    // EventSource can't send headers, so protected shares pass their access token in the query
+    if (share.password && !verifyAccessToken(req.query.accessToken, share)) {
+      return res.status(401).json({ 
+        error: 'Access token is invalid or has expired',
+        passwordRequired: true
+      });
+    }
+
+    if (rejectIfTooManyStreams(res)) {
+      return;
+    }
+
+    let expiresAt = share.expiresAt;
+    let expiryTimer = null;
+
+    const stream = openEventStream(req, res, () => {
+      clearTimeout(expiryTimer);
+      unwatch();
+    });
+
+    // Expired shares are only deleted by the next cleanup run, so viewers are told when the time is up
+    const scheduleExpiry = () => {
+      clearTimeout(expiryTimer);
+      expiryTimer = setTimeout(() => {
+        if (expiresAt <= new Date()) {
+          stream.send('expired', { expiresAt });
+          stream.close();
+        } else {
+          scheduleExpiry();
+        }
+      }, Math.min(Math.max(0, expiresAt.getTime() - Date.now()), MAX_TIMER_MS));
+    };
+
+    const unwatch = watchShare(share._id, (change) => {
+      if (change.type === 'updated') {
+        if (change.expiresAt) {
+          expiresAt = new Date(change.expiresAt);
+          scheduleExpiry();
+        }
+        stream.send('updated', {
+          expiresAt,
+          viewsRemaining: change.viewsRemaining,
+          contentChanged: change.contentChanged
+        });
+      } else if (change.type === 'deleted') {
+        // A share removed once its time was up expired, anything earlier was deleted
+        stream.send(expiresAt <= new Date() ? 'expired' : 'deleted', { expiresAt });
+        stream.close();
+      } else if (change.type === 'shutdown') {
+        stream.close();
+      }
+    });
+
+    scheduleExpiry();
+    stream.send('ready', { expiresAt, viewsRemaining: share.viewsRemaining });
+
+  } catch (error) {
+    console.error('Share events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        error: 'Internal server error' 
+      });
+    }
+  }
+};
+
+// GET /all/events - Tell open galleries when public shares were added, changed or removed
+const streamGalleryEvents = (req, res) => {
+  if (!PUBLIC_GALLERY_ENABLED) {
+    return res.status(404).json({ 
+      error: 'The public gallery is disabled on this server' 
+    });
+  }
+
+  if (rejectIfTooManyStreams(res)) {
+    return;
+  }
+
+  const stream = openEventStream(req, res, () => unwatch());
+
+  const unwatch = watchGallery((change) => {
+    if (change.type === 'changed') {
+      stream.send('changed', {});
+    } else if (change.type === 'shutdown') {
+      stream.close();
+    }
+  });
+
+  stream.send('ready', {});
+};
+
+module.exports = {
+  streamShareEvents,
+  streamGalleryEvents
+};
@@ -0,0 +1,239 @@
+const bcrypt = require('bcrypt');
+const Share = require('../models/Share');
+const { EXPIRY_PRESETS, MAX_EXPIRY_MS, getAllowedExpiryOptions } = require('../config/expiry');
+const { SHARE_VISIBILITIES, PUBLIC_GALLERY_ENABLED } = require('../config/visibility');
+
+// Longest title a share can have (matches the Share schema)
+const MAX_TITLE_LENGTH = 100;
+
+// Look up a share and check the manage token from the X-Manage-Token header
+// Sends the error response and returns null when the share can't be managed
+const findManagedShare = async (req, res) => {
+  const { id } = req.params;
+  const manageToken = req.get('X-Manage-Token');
+
+  if (!manageToken) {
+    res.status(401).json({
+      error: 'Manage token required'
+    });
+    return null;
+  }
+
+  const share = await Share.findByPublicId(id).select('+manageTokenHash +password');
+
+  if (!share) {
+    res.status(404).json({
+      error: 'Share not found or has expired'
+    });
+    return null;
+  }
+
+  if (!share.verifyManageToken(manageToken)) {
+    res.status(403).json({
+      error: 'Invalid manage token'
+    });
+    return null;
+  }
+
+  if (share.isExpired() || share.viewsRemaining === 0) {
+    res.status(410).json({
+      error: 'Share has expired'
+    });
+    return null;
+  }
+
+  return share;
+};
+
+// Expiry extensions that still fit within the longest lifetime a share may have
+const getExtendOptions = (share) => {
+  const latestExpiry = share.createdAt.getTime() + MAX_EXPIRY_MS;
+  return getAllowedExpiryOptions().filter(key => share.expiresAt.getTime() + EXPIRY_PRESETS[key] <= latestExpiry);
+};
+
+// Shape a share for its owner
+const formatManagedShare = (share) => ({
+  id: share.publicId,
+  title: share.title,
+  text: share.content,
+  encrypted: share.encrypted,
+  passwordProtected: !!share.password,
+  visibility: share.visibility,
+  publicGalleryEnabled: PUBLIC_GALLERY_ENABLED,
+  failedPasswordAttempts: share.failedPasswordAttempts,
+  maxPasswordAttempts: share.maxPasswordAttempts,
+  files: share.getFiles().map((file, index) => ({
+    index,
+    originalName: file.originalFileName,
+    size: file.fileSize,
+    mimeType: file.mimeType
+  })),
+  maxViews: share.maxViews,
+  viewsRemaining: share.viewsRemaining,
+  createdAt: share.createdAt,
+  expiresAt: share.expiresAt,
+  extendOptions: getExtendOptions(share)
+});
+
+// GET /:id/manage - Get a share's details for its owner
+const getManagedShare = async (req, res) => {
+  try {
+    const share = await findManagedShare(req, res);
+    if (!share) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      share: formatManagedShare(share)
+    });
+
+  } catch (error) {
+    console.error('Get managed share error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+// PATCH /:id - Edit the title, text, password or visibility of a share, or extend its expiry
+const updateShare = async (req, res) => {
+  try {
+    const { title, text, password, visibility, extendBy } = req.body || {};
+
+    if (title === undefined && text === undefined && password === undefined && visibility === undefined && extendBy === undefined) {
+      return res.status(400).json({
+        error: 'Nothing to update. Send title, text, password, visibility or extendBy'
+      });
+    }
+
+    const share = await findManagedShare(req, res);
+    if (!share) {
+      return;
+    }
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({
+          error: 'Title is required'
+        });
+      }
+      if (title.trim().length > MAX_TITLE_LENGTH) {
+        return res.status(400).json({
+          error: `Title must be at most ${MAX_TITLE_LENGTH} characters`
+        });
+      }
+      share.title = title.trim();
+    }
+
+    if (text !== undefined) {
+      // Encrypted text can only be produced in the browser with the key from the share link
+      if (share.encrypted) {
+        return res.status(400).json({
+          error: 'The text of an encrypted share cannot be edited'
+        });
+      }
+      if (text !== null && typeof text !== 'string') {
+        return res.status(400).json({
+          error: 'Text must be a string'
+        });
+      }
+      if (!text && share.getFiles().length === 0) {
+        return res.status(400).json({
+          error: 'A share without files needs text content'
+        });
+      }
+      share.content = text || null;
+    }
+
+    if (password !== undefined) {
+      if (password !== null && typeof password !== 'string') {
+        return res.status(400).json({
+          error: 'Password must be a string'
+        });
+      }
+      // An empty password removes the protection
+      share.password = password && password.trim()
+        ? await bcrypt.hash(password.trim(), 12)
+        : null;
+      // Guesses against the old password no longer count
+      share.failedPasswordAttempts = 0;
+      share.passwordLockedUntil = null;
+    }
+
+    if (visibility !== undefined) {
+      if (!SHARE_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({
+          error: `Invalid visibility. Allowed values: ${SHARE_VISIBILITIES.join(', ')}`
+        });
+      }
+      if (visibility === 'public' && !PUBLIC_GALLERY_ENABLED) {
+        return res.status(400).json({
+          error: 'Public shares are disabled on this server'
+        });
+      }
+      share.visibility = visibility;
+    }
+
+    if (extendBy !== undefined) {
+      if (!getAllowedExpiryOptions().includes(extendBy)) {
+        return res.status(400).json({
+          error: `Invalid expiry extension. Allowed values: ${getAllowedExpiryOptions().join(', ')}`
+        });
+      }
+      if (!getExtendOptions(share).includes(extendBy)) {
+        return res.status(400).json({
+          error: `Shares can live at most ${Math.round(MAX_EXPIRY_MS / (60 * 60 * 1000))} hours after they are created`
+        });
+      }
+      share.expiresAt = new Date(share.expiresAt.getTime() + EXPIRY_PRESETS[extendBy]);
+    }
+
+    await share.save();
+
+    console.log(`✏️ Share ${share._id} updated by its owner`);
+
+    res.json({
+      success: true,
+      share: formatManagedShare(share)
+    });
+
+  } catch (error) {
+    console.error('Update share error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+// DELETE /:id - Delete a share and its files before it expires
+const deleteShare = async (req, res) => {
+  try {
+    const share = await findManagedShare(req, res);
+    if (!share) {
+      return;
+    }
+
+    // The model's deleteOne hook removes the files from storage
+    await share.deleteOne();
+
+    console.log(`🗑️ Share ${share._id} deleted by its owner`);
+
+    res.json({
+      success: true,
+      message: 'Share deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete share error:', error);
+    res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getManagedShare,
+  updateShare,
+  deleteShare
+};
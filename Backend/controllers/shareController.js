@@ -1,18 +1,337 @@
 const Share = require('../models/Share');
+const UploadSession = require('../models/UploadSession');
+const mongoose = require('mongoose');
 const path = require('path');
-const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const { deleteFile } = require('../config/supabase');
+const archiver = require('archiver');
+const { deleteStoredFile, openStoredFile, getSignedFileUrl } = require('../storage');
+const { resolveExpiryDuration, getAllowedExpiryOptions } = require('../config/expiry');
+const { MAX_FILES_PER_SHARE, isEncryptedUpload } = require('../middleware/storageUpload');
+const { SUPPORTED_LANGUAGES, TEXT_FORMATS, isSupportedLanguage, getLanguageForFormat } = require('../config/languages');
+const { createAccessToken, verifyAccessToken } = require('../config/accessToken');
+const { MAX_PASSWORD_ATTEMPTS_LIMIT, getPasswordLockoutSeconds } = require('../config/passwordLockout');
+const { getAliasError } = require('../config/slug');
+const { SHARE_VISIBILITIES, DEFAULT_VISIBILITY, PUBLIC_GALLERY_ENABLED } = require('../config/visibility');
+
+// Highest view count an uploader can set on a self-destructing share
+const MAX_VIEW_LIMIT = 100;
+
+// How long the last viewer of a view-limited file share has to download it
+const LAST_VIEW_DOWNLOAD_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+
+// Longest search query the gallery accepts
+const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// Most shares the gallery returns per page
+const MAX_GALLERY_PAGE_SIZE = 50;
+
+// Match shares with a file of the given MIME type, including the single file of legacy shares
+const mimeTypeFilter = (pattern) => ({
+  $or: [{ 'files.mimeType': pattern }, { mimeType: pattern }]
+});
+
+// Type filters of the gallery
+const GALLERY_TYPE_FILTERS = {
+  text: { content: { $ne: null } },
+  file: { $or: [{ 'files.0': { $exists: true } }, { fileUrl: { $ne: null } }] },
+  image: mimeTypeFilter(/^image\//),
+  video: mimeTypeFilter(/^video\//),
+  audio: mimeTypeFilter(/^audio\//),
+  document: mimeTypeFilter(/^(text\/|application\/(pdf|msword|rtf|vnd\.(openxmlformats|oasis|ms-)))/),
+  archive: mimeTypeFilter(/(zip|x-rar|x-tar|x-7z|gzip|x-bzip)/)
+};
+
+// Sort orders of the gallery. Ties are broken by _id in the same direction,
+// so every share has a unique position a cursor can point at
+const GALLERY_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  expiring: { field: 'expiresAt', direction: 1 },
+  largest: { field: 'totalFileSize', direction: -1 },
+  smallest: { field: 'totalFileSize', direction: 1 },
+  relevance: { field: 'score', direction: -1 } // Text score of the search query
+};
+
+// Sort fields holding dates, their cursor values are stored as ISO strings
+const DATE_SORT_FIELDS = ['createdAt', 'expiresAt'];
+
+// Fields of a share the gallery needs
+const GALLERY_PROJECTION = {
+  slug: 1, title: 1, content: 1, files: 1, fileUrl: 1, originalFileName: 1, fileSize: 1, mimeType: 1,
+  totalFileSize: 1, createdAt: 1, expiresAt: 1, maxViews: 1, encrypted: 1, password: 1, score: 1
+};
+
+/**
+ * Encode the position of the last share of a page
+ * @param {string} sortBy - Key of GALLERY_SORTS the page was sorted by
+ * @param {object} share - Raw share from the aggregation
+ * @returns {string} Opaque cursor for the next page
+ */
+const encodeGalleryCursor = (sortBy, share) => {
+  const value = share[GALLERY_SORTS[sortBy].field];
+  return Buffer.from(JSON.stringify({
+    sort: sortBy,
+    value: value instanceof Date ? value.toISOString() : (value ?? 0),
+    id: share._id.toString()
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor sent by the client
+ * @returns {{value: Date|number, id: ObjectId}|null} null if the cursor is malformed or belongs to another sort order
+ */
+const decodeGalleryCursor = (cursor, sortBy) => {
+  try {
+    const { sort, value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (sort !== sortBy || typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const parsedValue = DATE_SORT_FIELDS.includes(GALLERY_SORTS[sortBy].field) ? new Date(value) : value;
+    if (parsedValue instanceof Date ? isNaN(parsedValue) : typeof parsedValue !== 'number' || !isFinite(parsedValue)) {
+      return null;
+    }
+
+    return { value: parsedValue, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Authorize a download from a view-limited share, either by redeeming a download token
+ * or by spending a view. Sends the error response and returns null when not allowed
+ * @returns {Promise<object|null>} The updated share
+ */
+const authorizeViewLimitedDownload = async (req, res, share, fileIndexes) => {
+  const { downloadToken } = req.query;
+
+  if (downloadToken) {
+    const viewedShare = await Share.redeemDownloadToken(share._id, downloadToken, fileIndexes);
+    if (!viewedShare) {
+      res.status(403).json({ 
+        error: 'Invalid or already used download token' 
+      });
+      return null;
+    }
+    return viewedShare;
+  }
+
+  // Password-protected shares must be unlocked through getContent first
+  if (share.password) {
+    res.status(401).json({ 
+      error: 'Password required',
+      passwordRequired: true
+    });
+    return null;
+  }
+
+  const viewed = await Share.consumeView(share._id);
+  if (!viewed) {
+    res.status(410).json({ 
+      error: 'This file has reached its view limit' 
+    });
+    return null;
+  }
+  return viewed.share;
+};
+
+// Access tokens come from POST /:id/unlock. Links the browser opens directly can't set headers,
+// so the token is also accepted as a query parameter
+const getAccessToken = (req) => req.get('X-Access-Token') || req.query.accessToken || null;
+
+/**
+ * Check that a password-protected share has been unlocked with a valid access token.
+ * Sends the error response and returns false when the token is missing, expired or wrong
+ */
+const authorizeShareAccess = (req, res, share) => {
+  if (!share.password) {
+    return true;
+  }
+
+  const accessToken = getAccessToken(req);
+  if (!verifyAccessToken(accessToken, share)) {
+    res.status(401).json({ 
+      error: accessToken ? 'Access token is invalid or has expired' : 'Password required',
+      passwordRequired: true
+    });
+    return false;
+  }
+  return true;
+};
+
+// Refuse unlock attempts while a share is locked out, telling the client when to try again
+const sendPasswordLocked = (res, lockedUntil, error) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  res.setHeader('Retry-After', retryAfter);
+  return res.status(429).json({ 
+    error,
+    passwordRequired: true,
+    retryAfter
+  });
+};
+
+/**
+ * Count a wrong password against a share, locking it out for longer with every failure
+ * and deleting it once the uploader's limit of wrong guesses is reached
+ * @returns {Promise<{destroyed: boolean, lockedUntil: Date|null, attemptsRemaining: number|null}>}
+ */
+const recordFailedPasswordAttempt = async (share) => {
+  const updatedShare = await Share.findOneAndUpdate(
+    { _id: share._id },
+    { $inc: { failedPasswordAttempts: 1 } },
+    { new: true }
+  );
+
+  // Deleted by a concurrent attempt
+  if (!updatedShare) {
+    return { destroyed: true, lockedUntil: null, attemptsRemaining: 0 };
+  }
+
+  const { failedPasswordAttempts, maxPasswordAttempts } = updatedShare;
+
+  if (maxPasswordAttempts && failedPasswordAttempts >= maxPasswordAttempts) {
+    console.log(`Share ${share._id} deleted after ${failedPasswordAttempts} wrong passwords`);
+    await updatedShare.deleteOne();
+    return { destroyed: true, lockedUntil: null, attemptsRemaining: 0 };
+  }
+
+  let lockedUntil = null;
+  const lockoutSeconds = getPasswordLockoutSeconds(failedPasswordAttempts);
+  if (lockoutSeconds > 0) {
+    lockedUntil = new Date(Date.now() + lockoutSeconds * 1000);
+    // $max so a slower concurrent attempt can't shorten a longer lockout
+    await Share.updateOne({ _id: share._id }, { $max: { passwordLockedUntil: lockedUntil } });
+    console.log(`Share ${share._id} locked for ${lockoutSeconds}s after ${failedPasswordAttempts} wrong passwords`);
+  }
+
+  return {
+    destroyed: false,
+    lockedUntil,
+    attemptsRemaining: maxPasswordAttempts ? maxPasswordAttempts - failedPasswordAttempts : null
+  };
+};
+
+// Remove a view-limited share (and its files, via the model hook) once its last view has been delivered
+const removeIfFullyViewed = async (viewedShare) => {
+  if (viewedShare.viewsRemaining === 0 && viewedShare.downloadTokens.length === 0) {
+    await viewedShare.deleteOne();
+  }
+};
+
+/**
+ * Stream a stored file to the client as an attachment
+ * @returns {Promise<boolean>} False if the file couldn't be opened (an error response has been sent)
+ */
+const sendStoredFile = async (res, file) => {
+  const { data: stream, error } = await openStoredFile(file);
+  if (error) {
+    console.error(`Storage download error (${file.storageDriver}):`, error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve file from storage' 
+    });
+    return false;
+  }
+
+  // res.attachment quotes the name and adds a filename* version for names outside Latin-1
+  res.attachment(file.originalFileName);
+  res.setHeader('Content-Type', file.mimeType || 'application/octet-stream');
+  await pipeline(stream, res);
+  return true;
+};
+
+/**
+ * Put claimed chunked uploads back, so the client can attach them to a share when it retries.
+ * A session that can't be put back has its file removed, since nothing would refer to it any more
+ * @param {object[]} sessions - Sessions returned by claimChunkedUploads
+ * @returns {Promise<void>}
+ */
+const releaseChunkedUploads = async (sessions) => {
+  for (const session of sessions) {
+    try {
+      await UploadSession.insertMany([session.toObject()]);
+    } catch (error) {
+      console.error(`Failed to hand back upload ${session._id}:`, error);
+
+      const { error: cleanupError } = await deleteStoredFile(session);
+      if (cleanupError) {
+        console.error('Failed to cleanup uploaded file:', cleanupError);
+      }
+    }
+  }
+};
+
+/**
+ * Take ownership of finished chunked uploads so their files can be attached to a new share
+ * @param {{uploadId: string, uploadToken: string}[]} uploads - IDs and tokens returned by POST /uploads
+ * @returns {Promise<object[]|null>} The claimed sessions in request order, or null if any upload isn't completed
+ *   or its token doesn't match
+ */
+const claimChunkedUploads = async (uploads) => {
+  if (!uploads.every(({ uploadId, uploadToken }) => mongoose.isValidObjectId(uploadId) && typeof uploadToken === 'string' && uploadToken)) {
+    return null;
+  }
+
+  const claimed = [];
+  for (const { uploadId, uploadToken } of uploads) {
+    // Deleting the session is the claim, so an upload can't end up in two shares
+    const session = await UploadSession.findOneAndDelete({
+      _id: uploadId,
+      uploadTokenHash: UploadSession.hashUploadToken(uploadToken),
+      status: 'completed',
+      expiresAt: { $gt: new Date() }
+    }).select('+uploadTokenHash');
+
+    if (!session) {
+      // Hand back the uploads claimed so far so the client can retry
+      await releaseChunkedUploads(claimed);
+      return null;
+    }
+
+    claimed.push(session);
+  }
+
+  return claimed;
+};
+
+// Parse the optional :index route parameter of the file download routes
+const parseFileIndex = (index) => {
+  if (index === undefined) {
+    return 0;
+  }
+
+  const fileIndex = Number(index);
+  return Number.isInteger(fileIndex) && fileIndex >= 0 ? fileIndex : null;
+};
 
 // POST /upload - Handle text or file upload
 const uploadContent = async (req, res) => {
+  let claimedUploads = [];
+  let shareSaved = false;
+
   try {
-    const { text, title, password } = req.body;
-    const file = req.file;
-    const supabaseFile = req.supabaseFile;
+    const { text, title, password, expiresIn, maxViews, uploadIds, uploadTokens, language, format, maxPasswordAttempts, alias, visibility } = req.body;
+    const files = req.files || [];
+    const storedFiles = req.storedFiles || [];
+    // Large files are sent beforehand through the chunked upload endpoints and referenced here,
+    // each ID with the upload token at the same position in uploadTokens
+    const tokens = [].concat(uploadTokens || []);
+    const chunkedUploads = [...new Map([].concat(uploadIds || [])
+      .map((uploadId, index) => [uploadId, { uploadId, uploadToken: tokens[index] }])
+      .filter(([uploadId]) => uploadId)).values()];
+
+    // Every file must have reached storage, a share missing some of them is never created
+    if (storedFiles.length !== files.length) {
+      console.error(`Upload error: ${storedFiles.length} of ${files.length} files were stored`);
+      return res.status(500).json({ 
+        error: 'Failed to upload file to storage' 
+      });
+    }
 
     // Validate that either text or file is provided
-    if (!text && !file) {
+    if (!text && files.length === 0 && chunkedUploads.length === 0) {
       return res.status(400).json({ 
         error: 'Either text content or file must be provided' 
       });
@@ -25,64 +344,319 @@ const uploadContent = async (req, res) => {
       });
     }
 
+    if (files.length + chunkedUploads.length > MAX_FILES_PER_SHARE) {
+      return res.status(400).json({ 
+        error: `You can share up to ${MAX_FILES_PER_SHARE} files at once` 
+      });
+    }
+
+    // Validate the requested expiry against the allowed presets
+    const expiryDuration = resolveExpiryDuration(expiresIn);
+    if (!expiryDuration) {
+      return res.status(400).json({ 
+        error: `Invalid expiry option. Allowed values: ${getAllowedExpiryOptions().join(', ')}` 
+      });
+    }
+
+    // Validate the optional view limit (1 = burn after reading)
+    let viewLimit = null;
+    if (maxViews !== undefined && maxViews !== null && maxViews !== '') {
+      viewLimit = Number(maxViews);
+      if (!Number.isInteger(viewLimit) || viewLimit < 1 || viewLimit > MAX_VIEW_LIMIT) {
+        return res.status(400).json({ 
+          error: `View limit must be a whole number between 1 and ${MAX_VIEW_LIMIT}` 
+        });
+      }
+    }
+
+    // Validate the optional number of wrong passwords after which the share deletes itself
+    let passwordAttemptLimit = null;
+    if (maxPasswordAttempts !== undefined && maxPasswordAttempts !== null && maxPasswordAttempts !== '') {
+      passwordAttemptLimit = Number(maxPasswordAttempts);
+      if (!Number.isInteger(passwordAttemptLimit) || passwordAttemptLimit < 1 || passwordAttemptLimit > MAX_PASSWORD_ATTEMPTS_LIMIT) {
+        return res.status(400).json({ 
+          error: `Wrong password limit must be a whole number between 1 and ${MAX_PASSWORD_ATTEMPTS_LIMIT}` 
+        });
+      }
+    }
+
+    // Validate who can find the share, only public shares are listed in the gallery
+    const shareVisibility = visibility || DEFAULT_VISIBILITY;
+    if (!SHARE_VISIBILITIES.includes(shareVisibility)) {
+      return res.status(400).json({ 
+        error: `Invalid visibility. Allowed values: ${SHARE_VISIBILITIES.join(', ')}` 
+      });
+    }
+
+    if (shareVisibility === 'public' && !PUBLIC_GALLERY_ENABLED) {
+      return res.status(400).json({ 
+        error: 'Public shares are disabled on this server',
+        galleryDisabled: true
+      });
+    }
+
+    // Validate the optional custom link, which replaces the random slug
+    const requestedAlias = typeof alias === 'string' ? alias.trim().toLowerCase() : alias;
+    if (requestedAlias) {
+      const aliasError = getAliasError(requestedAlias);
+      if (aliasError) {
+        return res.status(400).json({ 
+          error: aliasError 
+        });
+      }
+
+      if (await Share.exists({ slug: requestedAlias })) {
+        return res.status(409).json({ 
+          error: `The link "${requestedAlias}" is already taken`,
+          aliasTaken: true
+        });
+      }
+    }
+
+    // Validate the optional highlighting language (detected in the browser when set to auto)
+    if (language && !isSupportedLanguage(language)) {
+      return res.status(400).json({ 
+        error: `Unsupported language. Allowed values: ${SUPPORTED_LANGUAGES.join(', ')}` 
+      });
+    }
+
+    // Validate the optional text format
+    if (format && !TEXT_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        error: `Invalid format. Allowed values: ${TEXT_FORMATS.join(', ')}` 
+      });
+    }
+
     // Create new share document
     const shareData = {
-      title: title.trim()
+      slug: requestedAlias || null,
+      title: title.trim(),
+      visibility: shareVisibility,
+      encrypted: isEncryptedUpload(req.body),
+      expiresAt: new Date(Date.now() + expiryDuration),
+      maxViews: viewLimit,
+      viewsRemaining: viewLimit
     };
 
     // Hash password if provided
     if (password && password.trim()) {
       const saltRounds = 12;
       shareData.password = await bcrypt.hash(password.trim(), saltRounds);
+      shareData.maxPasswordAttempts = passwordAttemptLimit;
     }
 
     if (text) {
       shareData.content = text;
+      // Clients that only send a language get their text shown as code
+      shareData.format = format || (language && language !== 'plaintext' ? 'code' : 'plain');
+      shareData.language = getLanguageForFormat(shareData.format, language);
     }
 
-    if (file && supabaseFile) {
-      shareData.fileUrl = supabaseFile.publicUrl;
-      shareData.supabaseFilePath = supabaseFile.path;
-      shareData.originalFileName = file.originalname;
-      shareData.fileSize = file.size;
-      shareData.mimeType = file.mimetype;
+    if (files.length > 0) {
+      const fileScans = req.fileScans || [];
+      shareData.files = files.map((file, index) => ({
+        storageDriver: storedFiles[index].storageDriver,
+        storagePath: storedFiles[index].storagePath,
+        originalFileName: file.originalname,
+        fileSize: file.size,
+        mimeType: file.mimetype,
+        scanStatus: fileScans[index]?.status || 'unscanned',
+        scanner: fileScans[index]?.scanner || null,
+        scannedAt: fileScans[index]?.scannedAt || null
+      }));
     }
 
+    if (chunkedUploads.length > 0) {
+      claimedUploads = await claimChunkedUploads(chunkedUploads);
+      if (!claimedUploads) {
+        claimedUploads = [];
+        return res.status(400).json({ 
+          error: 'One or more uploads were not found, not completed, already used, or sent without their upload token' 
+        });
+      }
+
+      shareData.files = (shareData.files || []).concat(claimedUploads.map(upload => ({
+        storageDriver: upload.storageDriver,
+        storagePath: upload.storagePath,
+        originalFileName: upload.fileName,
+        fileSize: upload.fileSize,
+        mimeType: upload.mimeType,
+        scanStatus: upload.scanStatus,
+        scanner: upload.scanner,
+        scannedAt: upload.scannedAt
+      })));
+    }
+
+    // Secret that lets the uploader edit or delete the share later, only its hash is stored
+    const manageToken = crypto.randomBytes(24).toString('base64url');
+    shareData.manageTokenHash = Share.hashManageToken(manageToken);
+
     const newShare = new Share(shareData);
     const savedShare = await newShare.save();
+    shareSaved = true;
 
     // Return response with share ID and link
     res.status(201).json({
       success: true,
-      id: savedShare._id,
-      shareLink: `/view/${savedShare._id}`,
-      expiresAt: new Date(savedShare.createdAt.getTime() + 10800000), // 3 hours from creation
+      id: savedShare.publicId,
+      shareLink: `/view/${savedShare.publicId}`,
+      expiresAt: savedShare.expiresAt,
+      maxViews: savedShare.maxViews,
+      visibility: savedShare.visibility,
+      encrypted: savedShare.encrypted,
+      manageToken,
       data: {
         title: savedShare.title,
         hasText: !!savedShare.content,
-        hasFile: !!savedShare.fileUrl,
-        originalFileName: savedShare.originalFileName,
-        fileSize: savedShare.fileSize,
-        mimeType: savedShare.mimeType
+        hasFile: savedShare.files.length > 0,
+        files: savedShare.files.map(file => ({
+          originalFileName: file.originalFileName,
+          fileSize: file.fileSize,
+          mimeType: file.mimeType
+        }))
       }
     });
 
   } catch (error) {
     console.error('Upload error:', error);
-    
-    // If there was an error after uploading to Supabase, clean up the uploaded file
-    if (req.supabaseFile) {
-      try {
-        await deleteFile(req.supabaseFile.path);
-        console.log('Cleaned up uploaded file due to error:', req.supabaseFile.path);
-      } catch (cleanupError) {
-        console.error('Failed to cleanup uploaded file:', cleanupError);
-      }
+
+    // Another upload took the same custom link between the check and the save
+    if (error.code === 11000 && error.keyPattern?.slug) {
+      return res.status(409).json({ 
+        error: 'This custom link was just taken, please pick another one',
+        aliasTaken: true
+      });
     }
     
     res.status(500).json({ 
       error: 'Internal server error during upload' 
     });
+  } finally {
+    // Files stored for a share that was rejected or failed to save aren't referenced by anything, so remove them.
+    // Claimed chunked uploads are handed back instead, so pressing Share again attaches them without re-sending
+    if (!shareSaved) {
+      await releaseChunkedUploads(claimedUploads);
+
+      for (const uploadedFile of req.storedFiles || []) {
+        const { error: cleanupError } = await deleteStoredFile(uploadedFile);
+        if (cleanupError) {
+          console.error('Failed to cleanup uploaded file:', cleanupError);
+        } else {
+          console.log('Cleaned up uploaded file of rejected upload:', uploadedFile.storagePath);
+        }
+      }
+    }
+  }
+};
+
+// GET /slugs/:alias - Check whether a custom link can still be used
+const checkAliasAvailability = async (req, res) => {
+  try {
+    const alias = req.params.alias.trim().toLowerCase();
+
+    const aliasError = getAliasError(alias);
+    if (aliasError) {
+      return res.json({
+        alias,
+        available: false,
+        error: aliasError
+      });
+    }
+
+    const taken = await Share.exists({ slug: alias });
+
+    res.json({
+      alias,
+      available: !taken,
+      error: taken ? `The link "${alias}" is already taken` : null
+    });
+
+  } catch (error) {
+    console.error('Check alias error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// POST /:id/unlock - Trade the password of a protected share for a short-lived access token
+const unlockShare = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body || {};
+
+    const share = await Share.findByPublicId(id).select('+password');
+
+    if (!share) {
+      return res.status(404).json({ 
+        error: 'Content not found or has expired' 
+      });
+    }
+
+    if (share.isExpired()) {
+      return res.status(410).json({ 
+        error: 'Content has expired' 
+      });
+    }
+
+    if (!share.password) {
+      return res.status(400).json({ 
+        error: 'This share is not password protected' 
+      });
+    }
+
+    if (!password || typeof password !== 'string') {
+      return res.status(400).json({ 
+        error: 'Password is required' 
+      });
+    }
+
+    // Checked before bcrypt so a locked share costs no hashing
+    if (share.isPasswordLocked()) {
+      return sendPasswordLocked(res, share.passwordLockedUntil, 'Too many wrong passwords. Try again later');
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, share.password);
+    if (!isPasswordValid) {
+      const { destroyed, lockedUntil, attemptsRemaining } = await recordFailedPasswordAttempt(share);
+
+      if (destroyed) {
+        return res.status(410).json({ 
+          error: 'Too many wrong passwords. This share has been deleted' 
+        });
+      }
+
+      if (lockedUntil) {
+        return sendPasswordLocked(res, lockedUntil, 'Invalid password. Too many wrong passwords, try again later');
+      }
+
+      return res.status(401).json({ 
+        error: 'Invalid password',
+        passwordRequired: true,
+        attemptsRemaining
+      });
+    }
+
+    // The right password clears earlier failures
+    if (share.failedPasswordAttempts > 0 || share.passwordLockedUntil) {
+      await Share.updateOne({ _id: share._id }, { failedPasswordAttempts: 0, passwordLockedUntil: null });
+    }
+
+    const { accessToken, expiresAt } = createAccessToken(share);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      accessToken,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Unlock error:', error);
+
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
   }
 };
 
@@ -90,10 +664,10 @@ const uploadContent = async (req, res) => {
 const getContent = async (req, res) => {
   try {
     const { id } = req.params;
-    const { password } = req.query; // Get password from query parameters
+    const { confirmView } = req.query;
 
     // Find the share by ID and include password field for verification
-    const share = await Share.findById(id).select('+password');
+    const share = await Share.findByPublicId(id).select('+password');
 
     if (!share) {
       return res.status(404).json({ 
@@ -101,56 +675,109 @@ const getContent = async (req, res) => {
       });
     }
 
-    // Check if content has expired (additional check, though TTL should handle this)
-    const now = new Date();
-    const expiryTime = new Date(share.createdAt.getTime() + 10800000); // 3 hours
-    
-    if (now > expiryTime) {
+    // Check if content has expired (additional check until the cleanup service removes it)
+    if (share.isExpired()) {
       return res.status(410).json({ 
         error: 'Content has expired' 
       });
     }
 
-    // Check if password is required
-    if (share.password) {
-      if (!password) {
-        return res.status(401).json({ 
-          error: 'Password required',
-          passwordRequired: true
+    // Password-protected shares need an access token from POST /:id/unlock
+    if (!authorizeShareAccess(req, res, share)) {
+      return;
+    }
+
+    const files = share.getFiles();
+
+    // View-limited shares only spend a view once the viewer confirms they want to reveal the content
+    let viewsRemaining = null;
+    let downloadToken = null;
+    let { expiresAt } = share;
+
+    if (share.isViewLimited()) {
+      if (confirmView !== 'true') {
+        return res.status(403).json({ 
+          error: 'This share has a view limit',
+          viewConfirmationRequired: true,
+          viewsRemaining: share.viewsRemaining,
+          encrypted: share.encrypted
         });
       }
 
-      // Verify password
-      const isPasswordValid = await bcrypt.compare(password, share.password);
-      if (!isPasswordValid) {
-        return res.status(401).json({ 
-          error: 'Invalid password',
-          passwordRequired: true
+      const viewed = await Share.consumeView(share._id, { downloadFileCount: files.length });
+      if (!viewed) {
+        return res.status(410).json({ 
+          error: 'This share has reached its view limit' 
         });
       }
+
+      viewsRemaining = viewed.share.viewsRemaining;
+      downloadToken = viewed.downloadToken;
+      expiresAt = viewed.share.expiresAt;
+
+      if (viewsRemaining === 0) {
+        if (files.length > 0) {
+          // Keep the files around just long enough for the last viewer to download them,
+          // and tell the viewer about the new deadline rather than the original expiry
+          const downloadDeadline = new Date(Date.now() + LAST_VIEW_DOWNLOAD_WINDOW_MS);
+          if (downloadDeadline < expiresAt) {
+            await Share.updateOne({ _id: share._id }, { expiresAt: downloadDeadline });
+            expiresAt = downloadDeadline;
+          }
+        } else {
+          await viewed.share.deleteOne();
+        }
+      }
     }
 
     // Return the content
     const responseData = {
       success: true,
-      id: share._id,
+      id: share.publicId,
       title: share.title,
       createdAt: share.createdAt,
-      expiresAt: expiryTime,
-      passwordProtected: !!share.password
+      expiresAt,
+      passwordProtected: !!share.password,
+      encrypted: share.encrypted,
+      viewLimited: share.isViewLimited(),
+      viewsRemaining
     };
 
     if (share.content) {
       responseData.text = share.content;
+      responseData.language = share.language || 'plaintext';
+      responseData.format = share.getTextFormat();
     }
 
-    if (share.fileUrl) {
-      responseData.file = {
-        url: share.fileUrl,
-        originalName: share.originalFileName,
-        size: share.fileSize,
-        mimeType: share.mimeType
-      };
+    if (files.length > 0) {
+      responseData.files = await Promise.all(files.map(async (file, index) => {
+        const fileData = {
+          index,
+          originalName: file.originalFileName,
+          size: file.fileSize,
+          mimeType: file.mimeType,
+          scanStatus: file.scanStatus
+        };
+
+        // Files are private; hand out a signed URL that expires after a few minutes for previews.
+        // View-limited files are only handed out through serveFile so every download is counted
+        if (!downloadToken) {
+          const { data: signedUrl, error } = await getSignedFileUrl(file);
+          if (error) {
+            console.error(`Failed to sign URL for ${file.storageDriver} file ${file.storagePath}:`, error);
+          }
+          fileData.url = signedUrl || null;
+        }
+
+        return fileData;
+      }));
+
+      // Only claim the share was scanned when every file passed the malware scan
+      responseData.scanned = files.every(file => file.scanStatus === 'clean');
+
+      if (downloadToken) {
+        responseData.downloadToken = downloadToken;
+      }
     }
 
     res.json(responseData);
@@ -158,137 +785,394 @@ const getContent = async (req, res) => {
   } catch (error) {
     console.error('Get content error:', error);
     
-    // Handle invalid ObjectId
-    if (error.name === 'CastError') {
+    res.status(500).json({ 
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// GET /raw/:id - Serve the text of a share as plain text (for curl and "view raw" links)
+const serveRawText = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const share = await Share.findByPublicId(id).select('+password');
+
+    if (!share || !share.content) {
+      return res.status(404).json({ 
+        error: 'Text not found or has expired' 
+      });
+    }
+
+    if (share.isExpired()) {
+      return res.status(410).json({ 
+        error: 'Content has expired' 
+      });
+    }
+
+    // The server only has ciphertext, the key lives in the share link
+    if (share.encrypted) {
       return res.status(400).json({ 
-        error: 'Invalid content ID' 
+        error: 'Encrypted text can only be read through the share link' 
       });
     }
 
+    if (!authorizeShareAccess(req, res, share)) {
+      return;
+    }
+
+    // Every raw read of a view-limited share counts as a view
+    if (share.isViewLimited()) {
+      const viewed = await Share.consumeView(share._id);
+      if (!viewed) {
+        return res.status(410).json({ 
+          error: 'This share has reached its view limit' 
+        });
+      }
+      await removeIfFullyViewed(viewed.share);
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(share.content);
+
+  } catch (error) {
+    console.error('Serve raw text error:', error);
+
     res.status(500).json({ 
       error: 'Internal server error' 
     });
   }
 };
 
-// GET /file/:id - Serve file directly
+// GET /file/:id/:index - Serve a single file directly (index defaults to the first file)
 const serveFile = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, index } = req.params;
 
-    const share = await Share.findById(id);
+    const fileIndex = parseFileIndex(index);
+    if (fileIndex === null) {
+      return res.status(400).json({ 
+        error: 'Invalid file index' 
+      });
+    }
+
+    const share = await Share.findByPublicId(id).select('+password');
+    const file = share ? share.getFiles()[fileIndex] : null;
 
-    if (!share || !share.fileUrl) {
+    if (!share || !file) {
       return res.status(404).json({ 
         error: 'File not found or has expired' 
       });
     }
 
     // Check if content has expired
-    const now = new Date();
-    const expiryTime = new Date(share.createdAt.getTime() + 10800000);
-    
-    if (now > expiryTime) {
+    if (share.isExpired()) {
       return res.status(410).json({ 
         error: 'File has expired' 
       });
     }
 
-    // For Supabase files, redirect to the public URL
-    // The file is already publicly accessible via Supabase
-    if (share.fileUrl.includes('supabase')) {
-      return res.redirect(share.fileUrl);
-    }
+    // View-limited files are streamed through the server so the view counter can't be bypassed
+    if (share.isViewLimited()) {
+      const viewedShare = await authorizeViewLimitedDownload(req, res, share, [fileIndex]);
+      if (!viewedShare) {
+        return;
+      }
 
-    // Fallback for legacy local files (if any exist)
-    const filePath = path.join(__dirname, '..', share.fileUrl);
+      if (await sendStoredFile(res, file)) {
+        await removeIfFullyViewed(viewedShare);
+      }
+      return;
+    }
 
-    // Check if file exists on disk
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ 
-        error: 'File not found on server' 
-      });
+    if (!authorizeShareAccess(req, res, share)) {
+      return;
     }
 
-    // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${share.originalFileName}"`);
-    res.setHeader('Content-Type', share.mimeType || 'application/octet-stream');
+    // Send the client to a short-lived signed URL when the driver supports them
+    const { data: signedUrl, error } = await getSignedFileUrl(file);
+    if (error) {
+      console.error(`Failed to sign URL for ${file.storageDriver} file ${file.storagePath}:`, error);
+    }
+    if (signedUrl) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.redirect(signedUrl);
+    }
 
-    // Send file
-    res.sendFile(filePath);
+    // Otherwise stream the file through the server
+    await sendStoredFile(res, file);
 
   } catch (error) {
     console.error('Serve file error:', error);
     
-    if (error.name === 'CastError') {
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        error: 'Internal server error' 
+      });
+    }
+  }
+};
+
+// GET /file/:id/zip - Download every file of a share as a single zip archive
+const serveZip = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const share = await Share.findByPublicId(id).select('+password');
+    const files = share ? share.getFiles() : [];
+
+    if (!share || files.length === 0) {
+      return res.status(404).json({ 
+        error: 'Files not found or have expired' 
+      });
+    }
+
+    // Check if content has expired
+    if (share.isExpired()) {
+      return res.status(410).json({ 
+        error: 'Files have expired' 
+      });
+    }
+
+    // Encrypted files can only be decrypted one by one in the browser
+    if (share.encrypted) {
       return res.status(400).json({ 
-        error: 'Invalid file ID' 
+        error: 'Encrypted shares must be downloaded file by file' 
       });
     }
 
-    res.status(500).json({ 
-      error: 'Internal server error' 
+    let viewedShare = null;
+
+    if (share.isViewLimited()) {
+      viewedShare = await authorizeViewLimitedDownload(req, res, share, files.map((_, index) => index));
+      if (!viewedShare) {
+        return;
+      }
+    } else if (!authorizeShareAccess(req, res, share)) {
+      return;
+    }
+
+    // Open every file before streaming so storage errors can still be reported as JSON
+    const contents = [];
+    for (const file of files) {
+      const { data, error } = await openStoredFile(file);
+      if (error) {
+        console.error(`Storage download error (${file.storageDriver}):`, error);
+        contents.forEach(stream => stream.destroy());
+        return res.status(500).json({ 
+          error: 'Failed to retrieve files from storage' 
+        });
+      }
+      contents.push(data);
+    }
+
+    // Avoid duplicate entry names inside the archive
+    const usedNames = new Set();
+    const getEntryName = (fileName) => {
+      const extension = path.extname(fileName);
+      const baseName = path.basename(fileName, extension);
+      let entryName = fileName;
+      let counter = 1;
+
+      while (usedNames.has(entryName)) {
+        entryName = `${baseName} (${counter++})${extension}`;
+      }
+
+      usedNames.add(entryName);
+      return entryName;
+    };
+
+    // Characters file systems refuse in names are replaced, res.attachment encodes the rest
+    const archiveName = `${share.title.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim() || 'vanishbin'}.zip`;
+    res.attachment(archiveName);
+    res.setHeader('Content-Type', 'application/zip');
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('error', (error) => {
+      console.error('Zip archive error:', error);
+      res.destroy(error);
     });
+    archive.pipe(res);
+
+    files.forEach((file, index) => {
+      archive.append(contents[index], { name: getEntryName(file.originalFileName || `file-${index + 1}`) });
+    });
+
+    await archive.finalize();
+
+    if (viewedShare) {
+      await removeIfFullyViewed(viewedShare);
+    }
+
+  } catch (error) {
+    console.error('Serve zip error:', error);
+    
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        error: 'Internal server error' 
+      });
+    }
   }
 };
 
-// GET /all - Get all shares (for admin/listing purposes)
+// GET /all - List the public shares in the gallery
 const getAllShares = async (req, res) => {
   try {
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    // Find all non-expired shares, sorted by creation date (newest first)
-    const shares = await Share.find({})
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('_id title content fileUrl originalFileName fileSize mimeType createdAt password');
-
-    // Filter out expired shares and format response
-    const now = new Date();
-    const validShares = shares.filter(share => {
-      const expiryTime = new Date(share.createdAt.getTime() + 10800000); // 3 hours
-      return now <= expiryTime;
-    }).map(share => {
-      const expiryTime = new Date(share.createdAt.getTime() + 10800000);
+    if (!PUBLIC_GALLERY_ENABLED) {
+      return res.status(404).json({ 
+        error: 'The public gallery is disabled on this server',
+        galleryDisabled: true
+      });
+    }
+
+    const { q, type, sort } = req.query;
+    const protectedFilter = req.query.protected;
+    const searchQuery = typeof q === 'string' ? q.trim() : '';
+
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ 
+        error: 'Search query must be a string' 
+      });
+    }
+
+    if (searchQuery.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({ 
+        error: `Search query cannot be longer than ${MAX_SEARCH_QUERY_LENGTH} characters` 
+      });
+    }
+
+    if (type !== undefined && !Object.hasOwn(GALLERY_TYPE_FILTERS, type)) {
+      return res.status(400).json({ 
+        error: `Invalid type. Allowed values: ${Object.keys(GALLERY_TYPE_FILTERS).join(', ')}` 
+      });
+    }
+
+    if (protectedFilter !== undefined && protectedFilter !== 'true' && protectedFilter !== 'false') {
+      return res.status(400).json({ 
+        error: 'protected must be true or false' 
+      });
+    }
+
+    if (sort !== undefined && !Object.hasOwn(GALLERY_SORTS, sort)) {
+      return res.status(400).json({ 
+        error: `Invalid sort. Allowed values: ${Object.keys(GALLERY_SORTS).join(', ')}` 
+      });
+    }
+
+    // Searches are sorted by relevance unless another order was asked for,
+    // without a search there is nothing to rank so the newest shares come first
+    const sortBy = sort === 'relevance' && !searchQuery ? 'newest' : (sort || (searchQuery ? 'relevance' : 'newest'));
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_GALLERY_PAGE_SIZE);
+    let cursor = null;
+
+    if (req.query.cursor !== undefined) {
+      cursor = typeof req.query.cursor === 'string' ? decodeGalleryCursor(req.query.cursor, sortBy) : null;
+      if (!cursor) {
+        return res.status(400).json({ 
+          error: 'Invalid cursor. Start again from the first page' 
+        });
+      }
+    }
+
+    // Only list public shares that haven't reached their stored expiry time
+    // and still have views left
+    const conditions = [{ visibility: 'public', expiresAt: { $gt: new Date() }, viewsRemaining: { $ne: 0 } }];
+
+    if (type) {
+      conditions.push(GALLERY_TYPE_FILTERS[type]);
+    }
+
+    if (protectedFilter !== undefined) {
+      conditions.push({ password: protectedFilter === 'true' ? { $ne: null } : null });
+    }
+
+    const activeFilter = { $and: conditions };
+
+    // The text index covers titles and the text of public shares that aren't protected or encrypted
+    if (searchQuery) {
+      activeFilter.$text = { $search: searchQuery };
+    }
+
+    const { field, direction } = GALLERY_SORTS[sortBy];
+    const pipeline = [{ $match: activeFilter }];
+
+    if (searchQuery) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    // Continue after the last share of the previous page
+    if (cursor) {
+      const comparison = direction === -1 ? '$lt' : '$gt';
+      pipeline.push({
+        $match: {
+          $or: [
+            { [field]: { [comparison]: cursor.value } },
+            { [field]: cursor.value, _id: { [comparison]: cursor.id } }
+          ]
+        }
+      });
+    }
+
+    // One extra share tells whether there is a next page
+    pipeline.push(
+      { $sort: { [field]: direction, _id: direction } },
+      { $limit: limit + 1 },
+      { $project: GALLERY_PROJECTION }
+    );
+
+    const results = await Share.aggregate(pipeline);
+    const hasNext = results.length > limit;
+    const pageResults = results.slice(0, limit);
+    const nextCursor = hasNext ? encodeGalleryCursor(sortBy, pageResults[pageResults.length - 1]) : null;
+    const shares = pageResults.map(result => Share.hydrate(result));
+
+    // Format response
+    const validShares = shares.map(share => {
       const isPasswordProtected = !!share.password;
+      const files = share.getFiles();
+      const firstFile = files[0];
       
       return {
-        id: share._id,
+        id: share.publicId,
         title: share.title,
         hasText: !!share.content,
-        hasFile: !!share.fileUrl,
-        originalFileName: isPasswordProtected && share.originalFileName ? 
+        hasFile: files.length > 0,
+        fileCount: files.length,
+        originalFileName: share.encrypted && firstFile ?
+          'Encrypted file' :
+          isPasswordProtected && firstFile?.originalFileName ? 
           `protected_file_${Math.random().toString(36).substring(7)}.***` : 
-          share.originalFileName,
-        fileSize: share.fileSize,
-        mimeType: share.mimeType,
+          (firstFile?.originalFileName || null),
+        fileSize: files.length > 0 ? files.reduce((total, file) => total + (file.fileSize || 0), 0) : null,
+        mimeType: firstFile?.mimeType || null,
         createdAt: share.createdAt,
-        expiresAt: expiryTime,
+        expiresAt: share.expiresAt,
         passwordProtected: isPasswordProtected,
-        // Mask text content for password-protected items
-        textPreview: isPasswordProtected ? 
+        encrypted: share.encrypted,
+        viewLimited: share.isViewLimited(),
+        // Mask text content for password-protected items, encrypted text has nothing to preview
+        textPreview: share.encrypted ? null : isPasswordProtected ? 
           '••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••••' :
           (share.content ? share.content.substring(0, 100) + (share.content.length > 100 ? '...' : '') : null)
       };
     });
 
     // Get total count for pagination
-    const totalShares = await Share.countDocuments({});
+    const totalShares = await Share.countDocuments(activeFilter);
     
     res.json({
       success: true,
       shares: validShares,
       pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalShares / limit),
+        limit,
         totalShares,
-        hasNext: page * limit < totalShares,
-        hasPrev: page > 1
-      }
+        hasNext,
+        nextCursor
+      },
+      sort: sortBy
     });
 
   } catch (error) {
@@ -301,7 +1185,11 @@ const getAllShares = async (req, res) => {
 
 module.exports = {
   uploadContent,
+  checkAliasAvailability,
+  unlockShare,
   getContent,
+  serveRawText,
   serveFile,
+  serveZip,
   getAllShares
 };
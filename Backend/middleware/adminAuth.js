@@ -0,0 +1,70 @@
+const AuditLog = require('../models/AuditLog');
+const { ADMIN_TOKENS, findAdminByToken, hasAdminScope } = require('../config/admin');
+
+// Read the token from "Authorization: Bearer <token>" or the X-API-Key header
+const getRequestToken = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+};
+
+// Record who called an admin endpoint once the response has been sent
+const auditRequest = (req, res, action, actor, outcome) => {
+  res.on('finish', () => {
+    console.log(`🔐 Admin ${outcome}: ${actor || 'anonymous'} ${req.method} ${req.originalUrl} (${action}) -> ${res.statusCode}`);
+
+    AuditLog.create({
+      actor,
+      action,
+      method: req.method,
+      path: req.originalUrl,
+      outcome,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null
+    }).catch(error => {
+      console.error('❌ Failed to write audit log entry:', error);
+    });
+  });
+};
+
+/**
+ * Only let admins whose token grants the given scope through, and audit every attempt
+ * @param {string} scope - Scope the endpoint requires, see ADMIN_SCOPES
+ */
+const requireAdmin = (scope) => (req, res, next) => {
+  // Without configured tokens the admin API stays closed
+  if (ADMIN_TOKENS.length === 0) {
+    auditRequest(req, res, scope, null, 'unauthenticated');
+    return res.status(503).json({
+      error: 'Admin API is disabled. Set ADMIN_API_KEY or ADMIN_TOKENS to enable it'
+    });
+  }
+
+  const admin = findAdminByToken(getRequestToken(req));
+
+  if (!admin) {
+    auditRequest(req, res, scope, null, 'unauthenticated');
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Admin authentication required'
+    });
+  }
+
+  if (!hasAdminScope(admin, scope)) {
+    auditRequest(req, res, scope, admin.name, 'forbidden');
+    return res.status(403).json({
+      error: `This token is missing the "${scope}" scope`
+    });
+  }
+
+  auditRequest(req, res, scope, admin.name, 'allowed');
+  req.admin = admin;
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
@@ -1,15 +1,18 @@
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const { getEnhancedRateLimitKey } = require('../utils/deviceFingerprint');
+const { createRateLimitStore, recordViolation, getRecentViolations, getRateLimitStoreMode } = require('../services/rateLimitStore');
+const { RATE_LIMIT_POLICY, isAllowlisted, isDenylisted } = require('../config/rateLimit');
 
-// Store for tracking rate limit violations
-const violationStore = new Map();
+// Limiters created without a name are numbered in creation order, which is the same on every instance
+let unnamedLimiters = 0;
 
 /**
  * Enhanced rate limiter that combines IP and device fingerprinting
  */
 function createEnhancedRateLimit(options = {}) {
   const {
+    name = `limiter-${++unnamedLimiters}`, // Keeps the limiter's counters apart in the shared store
     windowMs = 15 * 60 * 1000, // 15 minutes default
     max = 100, // Default requests per window
     message = 'Too many requests from this device, please try again later.',
@@ -17,6 +20,7 @@ function createEnhancedRateLimit(options = {}) {
     skipFailedRequests = false,
     standardHeaders = true,
     legacyHeaders = false,
+    skip,
     ...otherOptions
   } = options;
 
@@ -28,20 +32,18 @@ function createEnhancedRateLimit(options = {}) {
     legacyHeaders,
     skipSuccessfulRequests,
     skipFailedRequests,
+    store: createRateLimitStore(name),
+    // Allowlisted addresses are never limited
+    skip: (req, res) => isAllowlisted(req.ip) || (skip ? skip(req, res) : false),
     keyGenerator: (req) => {
       // Use enhanced key that combines IP and device fingerprint
       return getEnhancedRateLimitKey(req);
     },
-    handler: (req, res) => {
+    handler: async (req, res) => {
       const key = getEnhancedRateLimitKey(req);
-      const now = Date.now();
       
       // Track violation
-      violationStore.set(key, {
-        timestamp: now,
-        attempts: (violationStore.get(key)?.attempts || 0) + 1,
-        windowMs
-      });
+      await recordViolation(key, windowMs);
       
       console.log(`Rate limit exceeded for device: ${key}`);
       
@@ -60,11 +62,13 @@ function createEnhancedRateLimit(options = {}) {
  */
 function createSpeedLimit(options = {}) {
   const {
+    name = `limiter-${++unnamedLimiters}`,
     windowMs = 15 * 60 * 1000, // 15 minutes
     delayAfter = 5, // Allow 5 requests at full speed
     delayMs = () => 500, // Delay each request by 500ms after delayAfter (new syntax)
     maxDelayMs = 10000, // Maximum delay of 10 seconds
     validate = { delayMs: false }, // Disable warning
+    skip,
     ...otherOptions
   } = options;
 
@@ -74,6 +78,8 @@ function createSpeedLimit(options = {}) {
     delayMs,
     maxDelayMs,
     validate,
+    store: createRateLimitStore(name),
+    skip: (req, res) => isAllowlisted(req.ip) || (skip ? skip(req, res) : false),
     keyGenerator: (req) => {
       return getEnhancedRateLimitKey(req);
     },
@@ -81,123 +87,93 @@ function createSpeedLimit(options = {}) {
   });
 }
 
-// Different rate limit configurations for different endpoint types
-
 /**
- * Strict rate limiting for upload endpoints (high resource usage)
+ * Create a limiter from its settings in the rate limit policy
  */
-const uploadRateLimit = createEnhancedRateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // 10 uploads per 15 minutes
-  message: 'Upload rate limit exceeded. You can upload 10 files per 15 minutes.',
-  skipSuccessfulRequests: false,
-  skipFailedRequests: true
-});
+function createPolicyLimiter(name, { type, windowMinutes, delayMs, ...settings }) {
+  const windowMs = Math.round(windowMinutes * 60 * 1000);
 
-/**
- * Speed limiting for upload endpoints to prevent abuse
- */
-const uploadSpeedLimit = createSpeedLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  delayAfter: 3, // Start slowing after 3 uploads
-  delayMs: () => 1000, // 1 second delay (new syntax)
-  maxDelayMs: 30000 // Maximum 30 second delay
-});
+  return type === 'speed'
+    ? createSpeedLimit({ name, windowMs, ...settings, delayMs: () => delayMs })
+    : createEnhancedRateLimit({ name, windowMs, ...settings });
+}
+
+// Every limiter in the policy, created once so the routes that share a limiter share its counters
+const limiters = new Map(
+  Object.entries(RATE_LIMIT_POLICY.limiters).map(([name, settings]) => [name, createPolicyLimiter(name, settings)])
+);
 
 /**
- * Moderate rate limiting for download/view endpoints
+ * Get a limiter of the policy by name
  */
-const downloadRateLimit = createEnhancedRateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // 100 downloads per 15 minutes
-  message: 'Download rate limit exceeded. You can download 100 files per 15 minutes.',
-  skipSuccessfulRequests: true,
-  skipFailedRequests: false
-});
+function getRateLimiter(name) {
+  if (!limiters.has(name)) {
+    throw new Error(`Unknown rate limiter "${name}"`);
+  }
+  return limiters.get(name);
+}
 
 /**
- * General API rate limiting for other endpoints
+ * Get the limiters the policy applies to a route, e.g. rateLimitRoute('POST /api/upload')
+ * @param {string} route - Method and full path, as listed in the policy's routes
+ * @returns {Function[]} Middleware in policy order, empty when the route isn't limited
  */
-const generalApiRateLimit = createEnhancedRateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 200, // 200 requests per 15 minutes
-  message: 'API rate limit exceeded. You can make 200 requests per 15 minutes.',
-  skipSuccessfulRequests: true,
-  skipFailedRequests: false
-});
+function rateLimitRoute(route) {
+  if (!RATE_LIMIT_POLICY.routes[route]) {
+    throw new Error(`Route "${route}" is missing from the rate limit policy`);
+  }
+  return RATE_LIMIT_POLICY.routes[route].map(getRateLimiter);
+}
+
+// Chunks of large uploads have their own limit, so they don't exhaust the global one
+const isChunkUpload = (req) => req.method === 'PUT' && req.path.startsWith('/api/uploads/');
 
 /**
- * Strict rate limiting for cleanup endpoints (admin operations)
+ * Global rate limiting to prevent overall abuse
  */
-const adminRateLimit = createEnhancedRateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 10, // 10 admin operations per hour
-  message: 'Admin operation rate limit exceeded. You can perform 10 operations per hour.',
-  skipSuccessfulRequests: false,
-  skipFailedRequests: false
-});
+const globalRateLimit = rateLimitRoute('*').map(limiter => (req, res, next) => (
+  isChunkUpload(req) ? next() : limiter(req, res, next)
+));
 
 /**
- * Very lenient rate limiting for health check
+ * Rate limiting for health check
  */
-const healthCheckRateLimit = createEnhancedRateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 60, // 60 health checks per minute
-  message: 'Health check rate limit exceeded.',
-  skipSuccessfulRequests: true,
-  skipFailedRequests: true
-});
+const healthCheckRateLimit = rateLimitRoute('GET /health');
 
 /**
- * Global rate limiting to prevent overall abuse
+ * Refuse requests from denylisted addresses before they reach any route
  */
-const globalRateLimit = createEnhancedRateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 500, // 500 total requests per 15 minutes
-  message: 'Global rate limit exceeded. Please reduce your request frequency.',
-  skipSuccessfulRequests: false,
-  skipFailedRequests: false
-});
+function blockDenylisted(req, res, next) {
+  if (isDenylisted(req.ip)) {
+    console.log(`🚫 Refused request from denylisted address: ${req.ip}`);
+    return res.status(403).json({
+      error: 'Access denied'
+    });
+  }
+  next();
+}
 
 /**
  * Get violation statistics for monitoring
  */
-function getViolationStats() {
-  const now = Date.now();
-  const recent = [];
-  const expired = [];
-  
-  for (const [key, data] of violationStore.entries()) {
-    if (now - data.timestamp > data.windowMs) {
-      expired.push(key);
-    } else {
-      recent.push({
-        deviceFingerprint: key,
-        violations: data.attempts,
-        lastViolation: new Date(data.timestamp).toISOString()
-      });
-    }
-  }
-  
-  // Clean up expired entries
-  expired.forEach(key => violationStore.delete(key));
+async function getViolationStats() {
+  const recent = await getRecentViolations();
   
   return {
+    store: getRateLimitStoreMode(),
     activeViolations: recent.length,
     totalViolations: recent.reduce((sum, v) => sum + v.violations, 0),
-    violations: recent.sort((a, b) => b.violations - a.violations)
+    violations: recent
   };
 }
 
 module.exports = {
   createEnhancedRateLimit,
   createSpeedLimit,
-  uploadRateLimit,
-  uploadSpeedLimit,
-  downloadRateLimit,
-  generalApiRateLimit,
-  adminRateLimit,
-  healthCheckRateLimit,
+  getRateLimiter,
+  rateLimitRoute,
   globalRateLimit,
+  healthCheckRateLimit,
+  blockDenylisted,
   getViolationStats
-};
\ No newline at end of file
+};
@@ -0,0 +1,158 @@
+const multer = require('multer');
+const { storeFile, deleteStoredFile } = require('../storage');
+const { scanFile, quarantineFile } = require('../scanners');
+const {
+  MAX_DIRECT_FILE_SIZE,
+  MAX_FILES_PER_SHARE,
+  SNIFF_SAMPLE_SIZE,
+  FILE_POLICY_ERROR,
+  resolveFileType,
+  getFileContentError
+} = require('../config/filePolicy');
+
+// Configure multer to use memory storage (store files in memory instead of disk)
+const storage = multer.memoryStorage();
+
+// Name used in storage for encrypted files, whose original name is ciphertext
+const ENCRYPTED_STORAGE_NAME = 'encrypted.bin';
+
+// Form fields arrive as strings, JSON bodies as booleans
+const isEncryptedUpload = (body) => {
+  return body?.encrypted === true || body?.encrypted === 'true';
+};
+
+// File filter to limit file types by name and declared type (security measure), the content is checked
+// once the file is in memory. The encrypted field must be sent before the files for multer to see it here
+const fileFilter = (req, file, cb) => {
+  const { mimeType, error } = resolveFileType(file.originalname, file.mimetype, isEncryptedUpload(req.body));
+
+  if (error) {
+    const policyError = new Error(error);
+    policyError.code = FILE_POLICY_ERROR;
+    return cb(policyError, false);
+  }
+
+  // Store the type worked out by the policy, not the one the client sent
+  file.mimetype = mimeType;
+  cb(null, true);
+};
+
+const upload = multer({ 
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: MAX_DIRECT_FILE_SIZE
+  }
+});
+
+// Remove files that were already uploaded when a later file in the same request fails
+const discardUploadedFiles = async (uploadedFiles) => {
+  for (const uploaded of uploadedFiles) {
+    try {
+      await deleteStoredFile(uploaded);
+      console.log('Cleaned up uploaded file due to error:', uploaded.storagePath);
+    } catch (cleanupError) {
+      console.error('Failed to cleanup uploaded file:', cleanupError);
+    }
+  }
+};
+
+// Middleware to scan files for malware after multer processes them, before anything is stored
+const scanUploadedFiles = async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(); // No files uploaded, continue
+  }
+
+  const scans = [];
+
+  try {
+    for (const file of req.files) {
+      const { data, error } = await scanFile(file.buffer, { encrypted: isEncryptedUpload(req.body) });
+
+      if (error) {
+        return res.status(503).json({ 
+          error: 'Files could not be scanned for malware, please try again later' 
+        });
+      }
+
+      if (data.status === 'infected') {
+        console.warn(`☣️ Rejected infected upload ${file.originalname} (${data.signature})`);
+        await quarantineFile(file.buffer, { fileName: file.originalname, signature: data.signature });
+        return res.status(422).json({ 
+          error: `${file.originalname} was rejected because it contains malware (${data.signature})` 
+        });
+      }
+
+      scans.push(data);
+    }
+
+    // Add scan results to request object (same order as req.files)
+    req.fileScans = scans;
+
+    next();
+  } catch (error) {
+    console.error('Malware scan error:', error);
+    res.status(500).json({ 
+      error: 'Failed to scan files for malware' 
+    });
+  }
+};
+
+// Middleware to store files with the configured storage driver after multer processes them
+const uploadToStorage = async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(); // No files uploaded, continue
+  }
+
+  // Check the content of every file before anything is stored
+  for (const file of req.files) {
+    const contentError = getFileContentError(file.buffer.subarray(0, SNIFF_SAMPLE_SIZE), file.mimetype);
+    if (contentError) {
+      return res.status(400).json({
+        error: `${file.originalname}: ${contentError}`
+      });
+    }
+  }
+
+  const uploadedFiles = [];
+
+  try {
+    for (const file of req.files) {
+      const { data, error } = await storeFile(
+        file.buffer,
+        isEncryptedUpload(req.body) ? ENCRYPTED_STORAGE_NAME : file.originalname,
+        file.mimetype
+      );
+
+      if (error) {
+        console.error('Storage upload error:', error);
+        await discardUploadedFiles(uploadedFiles);
+        return res.status(500).json({
+          error: 'Failed to upload file to storage'
+        });
+      }
+
+      uploadedFiles.push(data);
+    }
+
+    // Add storage data to request object (same order as req.files)
+    req.storedFiles = uploadedFiles;
+
+    next();
+  } catch (error) {
+    console.error('Upload to storage error:', error);
+    await discardUploadedFiles(uploadedFiles);
+    res.status(500).json({
+      error: 'Failed to upload file to storage'
+    });
+  }
+};
+
+module.exports = {
+  upload,
+  scanUploadedFiles,
+  uploadToStorage,
+  isEncryptedUpload,
+  ENCRYPTED_STORAGE_NAME,
+  MAX_FILES_PER_SHARE
+};
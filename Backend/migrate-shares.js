@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 const connectDB = require('./config/database');
+const Share = require('./models/Share');
 
 const migrateExistingShares = async () => {
   try {
@@ -34,6 +35,19 @@ const migrateExistingShares = async () => {
       }
     }
 
+    // Fill in the fields the gallery searches and sorts on, saving runs the hook that derives them
+    const sharesWithoutGalleryFields = await Share.find({ totalFileSize: { $exists: false } }).select('+password');
+
+    console.log(`📋 Found ${sharesWithoutGalleryFields.length} shares without gallery search fields`);
+
+    for (const share of sharesWithoutGalleryFields) {
+      // Defaults are applied on load, so the fields would otherwise look unchanged and not be written
+      share.markModified('totalFileSize');
+      share.markModified('searchText');
+      await share.save();
+      console.log(`✅ Updated gallery search fields of share ${share._id}`);
+    }
+
     // Now check for any indexes that need to be updated
     console.log('🔍 Checking database indexes...');
     const indexes = await mongoose.connection.db.collection('shares').indexes();
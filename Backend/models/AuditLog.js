@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { AUDIT_LOG_RETENTION_DAYS } = require('../config/admin');
+
+// One call to an admin endpoint, including rejected ones
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: String,
+    default: null // Name of the admin token, null when no valid token was sent
+  },
+  action: {
+    type: String,
+    required: true // Scope the endpoint requires, e.g. "cleanup.run"
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['allowed', 'unauthenticated', 'forbidden'],
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Old entries are dropped by MongoDB once the retention period has passed
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
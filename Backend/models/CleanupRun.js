@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { CLEANUP_HISTORY_DAYS } = require('../config/cleanup');
+
+// One run of the cleanup service, kept as history for the cleanup statistics
+const cleanupRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: String,
+    default: null // Admin token name of manual runs
+  },
+  owner: {
+    type: String,
+    required: true // Server process that ran the cleanup
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  deletedShares: {
+    type: Number,
+    default: 0
+  },
+  deletedFiles: {
+    type: Number,
+    default: 0
+  },
+  deletedUploads: {
+    type: Number,
+    default: 0
+  },
+  queuedFileDeletions: {
+    type: Number,
+    default: 0 // Files that couldn't be deleted and were queued for a retry
+  },
+  retriedFileDeletions: {
+    type: Number,
+    default: 0 // Queued files deleted by this run
+  },
+  abandonedFileDeletions: {
+    type: Number,
+    default: 0 // Queued files that ran out of attempts during this run
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  errorMessages: {
+    type: [String],
+    default: [] // The first MAX_RUN_ERRORS errors
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+});
+
+// Old runs are dropped by MongoDB once the retention period has passed
+cleanupRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: CLEANUP_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('CleanupRun', cleanupRunSchema);
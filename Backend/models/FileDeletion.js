@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A stored file whose deletion failed, retried by the cleanup service until it succeeds
+const fileDeletionSchema = new mongoose.Schema({
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  storagePath: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'failed'], // Failed deletions ran out of attempts and need an admin
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 1 // Queued after the first attempt failed
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+fileDeletionSchema.index({ storageDriver: 1, storagePath: 1 }, { unique: true });
+fileDeletionSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('FileDeletion', fileDeletionSchema);
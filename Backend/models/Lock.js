@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A lock only one server process holds at a time, so jobs like the cleanup don't run on every instance at once
+const lockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Name of the lock
+  },
+  owner: {
+    type: String,
+    required: true // Process holding the lock
+  },
+  lockedUntil: {
+    type: Date,
+    required: true // Anyone may take the lock over after this, in case its owner died
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { versionKey: false });
+
+/**
+ * Take a lock that is free, expired or already held by the same owner
+ * @param {string} name - Name of the lock
+ * @param {string} owner - Identifies the process taking it
+ * @param {number} ttlMs - How long the lock is held unless renewed
+ * @returns {Promise<boolean>} False when another owner holds the lock
+ */
+lockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+      { owner, lockedUntil: new Date(now.getTime() + ttlMs), acquiredAt: now },
+      { upsert: true, new: true }
+    );
+    return !!lock;
+  } catch (error) {
+    // The lock is held: the upsert tried to insert a second lock with the same name
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Extend a lock that is still held by the owner
+ * @returns {Promise<boolean>} False when the lock expired and was taken over
+ */
+lockSchema.statics.renew = async function(name, owner, ttlMs) {
+  const result = await this.updateOne(
+    { _id: name, owner },
+    { lockedUntil: new Date(Date.now() + ttlMs) }
+  );
+  return result.matchedCount === 1;
+};
+
+// Give a lock up, if the owner still holds it
+lockSchema.statics.release = async function(name, owner) {
+  await this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('Lock', lockSchema);
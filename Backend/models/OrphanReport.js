@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { CLEANUP_HISTORY_DAYS } = require('../config/cleanup');
+
+// Result of comparing a storage bucket with the files the database knows about
+const orphanReportSchema = new mongoose.Schema({
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: true // Only report orphans, don't delete them
+  },
+  triggeredBy: {
+    type: String,
+    default: null // Admin token name
+  },
+  owner: {
+    type: String,
+    required: true // Server process that ran the scan
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  graceHours: {
+    type: Number,
+    required: true
+  },
+  scannedFiles: {
+    type: Number,
+    default: 0
+  },
+  referencedFiles: {
+    type: Number,
+    default: 0 // Belong to a share or a chunked upload
+  },
+  recentFiles: {
+    type: Number,
+    default: 0 // Within the grace period, or of unknown age
+  },
+  queuedFiles: {
+    type: Number,
+    default: 0 // Already waiting in the file deletion retry queue
+  },
+  orphanedFiles: {
+    type: Number,
+    default: 0
+  },
+  orphanedBytes: {
+    type: Number,
+    default: 0
+  },
+  deletedFiles: {
+    type: Number,
+    default: 0
+  },
+  queuedFileDeletions: {
+    type: Number,
+    default: 0 // Orphans whose deletion failed and was queued for a retry
+  },
+  orphans: {
+    type: [{
+      _id: false,
+      path: String,
+      size: Number,
+      updatedAt: Date
+    }],
+    default: [] // The first MAX_REPORTED_ORPHANS orphans
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  errorMessages: {
+    type: [String],
+    default: []
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+});
+
+// Old reports are dropped by MongoDB once the retention period has passed
+orphanReportSchema.index({ startedAt: 1 }, { expireAfterSeconds: CLEANUP_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OrphanReport', orphanReportSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Requests one client made within the current window of a rate limiter, shared by every server instance
+const rateLimitCounterSchema = new mongoose.Schema({
+  limiter: {
+    type: String,
+    required: true // Name of the rate limiter
+  },
+  key: {
+    type: String,
+    required: true // Client key, IP address combined with the device fingerprint
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true // End of the current window
+  }
+}, { versionKey: false });
+
+rateLimitCounterSchema.index({ limiter: 1, key: 1 }, { unique: true });
+
+// Counters are dropped by MongoDB once their window has ended
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Count a request, starting a new window if the previous one has ended
+ * @param {string} limiter - Name of the rate limiter
+ * @param {string} key - Client key
+ * @param {number} windowMs - Length of a window
+ * @returns {Promise<{totalHits: number, resetTime: Date}>}
+ */
+rateLimitCounterSchema.statics.hit = async function(limiter, key, windowMs) {
+  const now = new Date();
+  const inWindow = { $gt: ['$resetAt', now] };
+  const update = [{
+    $set: {
+      hits: { $cond: [inWindow, { $add: ['$hits', 1] }, 1] },
+      resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+    }
+  }];
+
+  const increment = () => this.findOneAndUpdate({ limiter, key }, update, { upsert: true, new: true }).lean();
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Another instance created the counter at the same moment, counting again updates that one
+    if (error.code !== 11000) {
+      throw error;
+    }
+    counter = await increment();
+  }
+
+  return { totalHits: counter.hits, resetTime: counter.resetAt };
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Rate limits a device ran into recently, shown by the rate limit statistics
+const rateLimitViolationSchema = new mongoose.Schema({
+  _id: {
+    type: String // Client key, IP address combined with the device fingerprint
+  },
+  attempts: {
+    type: Number,
+    default: 0 // Requests refused since the device's first recent violation
+  },
+  lastViolation: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true // The window of the limiter it last ran into has ended
+  }
+}, { versionKey: false });
+
+// Violations are dropped by MongoDB once they are no longer recent
+rateLimitViolationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitViolation', rateLimitViolationSchema);
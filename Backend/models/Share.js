@@ -1,7 +1,69 @@
 const mongoose = require('mongoose');
-const { deleteFile } = require('../config/supabase');
+const crypto = require('crypto');
+const { deleteStoredFile } = require('../storage');
+const { resolveExpiryDuration } = require('../config/expiry');
+const { generateSlug } = require('../config/slug');
+const { SHARE_VISIBILITIES, DEFAULT_VISIBILITY } = require('../config/visibility');
+const { TEXT_FORMATS } = require('../config/languages');
+const { SCAN_STATUSES } = require('../scanners');
+
+// Attempts at finding an unused slug before giving up
+const MAX_SLUG_ATTEMPTS = 5;
+
+// A single uploaded file within a share
+const fileSchema = new mongoose.Schema({
+  // Public URL of files stored before files were made private, never handed out anymore
+  fileUrl: {
+    type: String,
+    default: null
+  },
+  storageDriver: {
+    type: String,
+    default: null
+  },
+  storagePath: {
+    type: String,
+    default: null
+  },
+  // Path of files stored before storage drivers were introduced (always Supabase)
+  supabaseFilePath: {
+    type: String,
+    default: null
+  },
+  originalFileName: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    default: null
+  },
+  // Malware scan result, files uploaded before scanning or while it was off are unscanned
+  scanStatus: {
+    type: String,
+    enum: SCAN_STATUSES,
+    default: 'unscanned'
+  },
+  scanner: {
+    type: String,
+    default: null
+  },
+  scannedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const shareSchema = new mongoose.Schema({
+  // Random public identifier used in share links, null for shares created before slugs
+  slug: {
+    type: String,
+    default: null
+  },
   title: {
     type: String,
     required: true,
@@ -12,10 +74,47 @@ const shareSchema = new mongoose.Schema({
     default: null,
     select: false // Don't include password in query results by default
   },
+  maxPasswordAttempts: {
+    type: Number,
+    default: null // Delete the share after this many wrong passwords, null to only lock it out
+  },
+  failedPasswordAttempts: {
+    type: Number,
+    default: 0 // Wrong passwords since the last successful unlock
+  },
+  passwordLockedUntil: {
+    type: Date,
+    default: null // Unlock attempts are refused until then
+  },
   content: {
     type: String,
     default: null
   },
+  language: {
+    type: String,
+    default: null // highlight.js language of the text, null for plain text shares from before highlighting
+  },
+  format: {
+    type: String,
+    enum: [...TEXT_FORMATS, null],
+    default: null // How the text is shown, null for shares from before formats (see getTextFormat)
+  },
+  files: {
+    type: [fileSchema],
+    default: []
+  },
+  // Sum of the file sizes, so the gallery can sort by size
+  totalFileSize: {
+    type: Number,
+    default: 0
+  },
+  // Copy of the text for the gallery search, only set while the share is public and its text is readable
+  searchText: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Single-file fields below are kept for shares created before multi-file uploads
   fileUrl: {
     type: String,
     default: null
@@ -36,6 +135,33 @@ const shareSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  visibility: {
+    type: String,
+    enum: SHARE_VISIBILITIES,
+    default: DEFAULT_VISIBILITY // Shares without the field, created before visibility, count as unlisted
+  },
+  encrypted: {
+    type: Boolean,
+    default: false // Content and files were encrypted in the browser; the key never reaches the server
+  },
+  maxViews: {
+    type: Number,
+    default: null // null means the share can be viewed any number of times
+  },
+  viewsRemaining: {
+    type: Number,
+    default: null
+  },
+  downloadTokens: {
+    type: [String],
+    default: [],
+    select: false // Single-use tokens handed to viewers of view-limited file shares
+  },
+  manageTokenHash: {
+    type: String,
+    default: null,
+    select: false // SHA-256 of the token that lets the uploader edit or delete the share
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -43,7 +169,7 @@ const shareSchema = new mongoose.Schema({
   expiresAt: {
     type: Date,
     default: function() {
-      return new Date(Date.now() + 10800000); // 3 hours from now
+      return new Date(Date.now() + resolveExpiryDuration()); // Default lifetime from now
     }
   }
 });
@@ -51,37 +177,193 @@ const shareSchema = new mongoose.Schema({
 // Remove TTL index from createdAt and don't use MongoDB's automatic TTL
 // Instead, we'll handle expiration manually in our cleanup service
 shareSchema.index({ expiresAt: 1 });
+shareSchema.index({ visibility: 1, createdAt: -1 });
+shareSchema.index({ title: 'text', searchText: 'text' }, { name: 'gallery_search', weights: { title: 5, searchText: 1 } });
+shareSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
 
-// Pre-remove hook to delete file from Supabase when document is removed
-shareSchema.pre('deleteOne', { document: true, query: false }, async function() {
-  if (this.supabaseFilePath) {
+// Identifier shown in links and API responses
+shareSchema.virtual('publicId').get(function() {
+  return this.slug || this._id.toString();
+});
+
+// Find a share by the identifier from its link. Shares created before slugs are still found by ObjectId,
+// newer ones only by their slug so the guessable ObjectId can't be used instead
+shareSchema.statics.findByPublicId = function(publicId) {
+  if (/^[0-9a-f]{24}$/i.test(publicId)) {
+    return this.findOne({ $or: [{ slug: publicId }, { _id: publicId, slug: null }] });
+  }
+
+  return this.findOne({ slug: publicId });
+};
+
+// Keep the fields the gallery searches and sorts on in sync with the share.
+// Text of password-protected or encrypted shares is never searchable, so it can't be probed through the gallery
+shareSchema.pre('save', function() {
+  const isSearchable = this.visibility === 'public' && !this.password && !this.encrypted;
+  this.searchText = isSearchable ? this.content : null;
+  this.totalFileSize = this.getFiles().reduce((total, file) => total + (file.fileSize || 0), 0);
+});
+
+// Give new shares a slug that isn't taken yet
+shareSchema.pre('validate', async function() {
+  if (!this.isNew || this.slug) {
+    return;
+  }
+
+  for (let attempt = 0; attempt < MAX_SLUG_ATTEMPTS; attempt++) {
+    const slug = generateSlug();
+    if (!await this.constructor.exists({ slug })) {
+      this.slug = slug;
+      return;
+    }
+  }
+
+  throw new Error('Could not generate a unique share slug');
+});
+
+// Check whether the share has passed its stored expiry time
+shareSchema.methods.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+// Get how the text is shown. Shares from before formats are shown as code when they were highlighted
+shareSchema.methods.getTextFormat = function() {
+  if (this.format) {
+    return this.format;
+  }
+
+  return this.language && this.language !== 'plaintext' ? 'code' : 'plain';
+};
+
+// Check whether the share self-destructs after a number of views
+shareSchema.methods.isViewLimited = function() {
+  return this.maxViews !== null && this.maxViews !== undefined;
+};
+
+// Atomically use up one view of a view-limited share. Optionally issues a token so the viewer can
+// download each file once without spending another view. Resolves to null when no views were left
+shareSchema.statics.consumeView = async function(shareId, { downloadFileCount = 0 } = {}) {
+  const update = { $inc: { viewsRemaining: -1 } };
+  let downloadToken = null;
+
+  if (downloadFileCount > 0) {
+    downloadToken = crypto.randomBytes(16).toString('hex');
+    // One grant per file, stored as "<token>:<file index>"
+    const grants = Array.from({ length: downloadFileCount }, (_, index) => `${downloadToken}:${index}`);
+    update.$push = { downloadTokens: { $each: grants } };
+  }
+
+  const share = await this.findOneAndUpdate(
+    { _id: shareId, viewsRemaining: { $gt: 0 } },
+    update,
+    { new: true }
+  ).select('+downloadTokens');
+
+  return share ? { share, downloadToken } : null;
+};
+
+// Atomically redeem the download grants issued with a view for the given files. Every grant must still be
+// unused, so a zip can't be downloaded after one of its files already was. Resolves to null otherwise
+shareSchema.statics.redeemDownloadToken = function(shareId, downloadToken, fileIndexes) {
+  const grants = fileIndexes.map(index => `${downloadToken}:${index}`);
+
+  return this.findOneAndUpdate(
+    { _id: shareId, downloadTokens: { $all: grants } },
+    { $pull: { downloadTokens: { $in: grants } } },
+    { new: true }
+  ).select('+downloadTokens');
+};
+
+// Check whether unlock attempts are currently refused after too many wrong passwords
+shareSchema.methods.isPasswordLocked = function() {
+  return !!this.passwordLockedUntil && this.passwordLockedUntil > new Date();
+};
+
+// Hash a manage token for storage (tokens are random, so a fast hash is enough)
+shareSchema.statics.hashManageToken = function(manageToken) {
+  return crypto.createHash('sha256').update(manageToken).digest('hex');
+};
+
+// Check a manage token against the stored hash (requires +manageTokenHash)
+shareSchema.methods.verifyManageToken = function(manageToken) {
+  if (!this.manageTokenHash || !manageToken) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.manageTokenHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashManageToken(manageToken), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Work out where a file is stored, including files from before storage drivers existed
+const toStoredFile = (file) => {
+  let { storageDriver, storagePath } = file;
+
+  if (!storagePath && file.supabaseFilePath) {
+    storageDriver = 'supabase';
+    storagePath = file.supabaseFilePath;
+  } else if (!storagePath && file.fileUrl && file.fileUrl.startsWith('/uploads/')) {
+    // Legacy files written to the local uploads directory
+    storageDriver = 'local';
+    storagePath = file.fileUrl.replace('/uploads/', '');
+  }
+
+  return {
+    storageDriver,
+    storagePath,
+    originalFileName: file.originalFileName,
+    fileSize: file.fileSize,
+    mimeType: file.mimeType,
+    scanStatus: file.scanStatus || 'unscanned',
+    scanner: file.scanner || null,
+    scannedAt: file.scannedAt || null
+  };
+};
+
+// Get the files attached to the share, including the single file of legacy shares
+shareSchema.methods.getFiles = function() {
+  if (this.files && this.files.length > 0) {
+    return this.files.map(toStoredFile);
+  }
+
+  if (this.fileUrl) {
+    return [toStoredFile(this)];
+  }
+
+  return [];
+};
+
+// Get the files of the share that still have something in storage
+shareSchema.methods.getStoredFiles = function() {
+  return this.getFiles().filter(file => file.storageDriver && file.storagePath);
+};
+
+// Delete every stored file of a share from storage
+const deleteShareFiles = async (share) => {
+  for (const file of share.getStoredFiles()) {
     try {
-      const { error } = await deleteFile(this.supabaseFilePath);
+      const { error } = await deleteStoredFile(file);
       if (error) {
-        console.error(`Failed to delete file from Supabase: ${this.supabaseFilePath}`, error);
+        console.error(`Failed to delete file from ${file.storageDriver} storage: ${file.storagePath}`, error);
       } else {
-        console.log(`Successfully deleted file from Supabase: ${this.supabaseFilePath}`);
+        console.log(`Successfully deleted file from ${file.storageDriver} storage: ${file.storagePath}`);
       }
     } catch (error) {
-      console.error(`Error deleting file from Supabase: ${this.supabaseFilePath}`, error);
+      console.error(`Error deleting file from ${file.storageDriver} storage: ${file.storagePath}`, error);
     }
   }
+};
+
+// Pre-remove hook to delete files from storage when document is removed
+shareSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  await deleteShareFiles(this);
 });
 
-// Pre-findOneAndDelete hook to delete file from Supabase
+// Pre-findOneAndDelete hook to delete files from storage
 shareSchema.pre('findOneAndDelete', async function() {
   const doc = await this.model.findOne(this.getQuery());
-  if (doc && doc.supabaseFilePath) {
-    try {
-      const { error } = await deleteFile(doc.supabaseFilePath);
-      if (error) {
-        console.error(`Failed to delete file from Supabase: ${doc.supabaseFilePath}`, error);
-      } else {
-        console.log(`Successfully deleted file from Supabase: ${doc.supabaseFilePath}`);
-      }
-    } catch (error) {
-      console.error(`Error deleting file from Supabase: ${doc.supabaseFilePath}`, error);
-    }
+  if (doc) {
+    await deleteShareFiles(doc);
   }
 });
 
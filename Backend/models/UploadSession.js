@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { UPLOAD_SESSION_TTL_MS } = require('../config/chunkUpload');
+const { SCAN_STATUSES } = require('../scanners');
+
+// Tracks a chunked upload from init until its file is attached to a share
+const uploadSessionSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true,
+    maxlength: 1024 // Encrypted file names are longer than their plaintext
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  encrypted: {
+    type: Boolean,
+    default: false // Encrypted in the browser, the name above is ciphertext
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+  uploadTokenHash: {
+    type: String,
+    required: true,
+    select: false // SHA-256 of the token that lets the uploader send chunks and attach the file to a share
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'assembling', 'completed'],
+    default: 'uploading'
+  },
+  // Set once the reassembled file has been streamed to storage
+  storageDriver: {
+    type: String,
+    default: null
+  },
+  storagePath: {
+    type: String,
+    default: null
+  },
+  // Malware scan result of the reassembled file, copied to the share with it
+  scanStatus: {
+    type: String,
+    enum: SCAN_STATUSES,
+    default: 'unscanned'
+  },
+  scanner: {
+    type: String,
+    default: null
+  },
+  scannedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: function() {
+      return new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+    }
+  }
+});
+
+// Stale sessions are removed by the cleanup service, which also deletes their chunks
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Hash an upload token for storage or lookup
+uploadSessionSchema.statics.hashUploadToken = function(uploadToken) {
+  return crypto.createHash('sha256').update(uploadToken).digest('hex');
+};
+
+// Check an upload token against the stored hash (requires +uploadTokenHash)
+uploadSessionSchema.methods.verifyUploadToken = function(uploadToken) {
+  if (!this.uploadTokenHash || !uploadToken || typeof uploadToken !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(this.uploadTokenHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashUploadToken(uploadToken), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Check whether the session has sat idle past its expiry time
+uploadSessionSchema.methods.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+// Get the number of bytes a given chunk must contain (the last chunk may be shorter)
+uploadSessionSchema.methods.getExpectedChunkSize = function(index) {
+  if (index === this.totalChunks - 1) {
+    return this.fileSize - this.chunkSize * (this.totalChunks - 1);
+  }
+  return this.chunkSize;
+};
+
+// Get the indexes of the chunks that haven't been received yet
+uploadSessionSchema.methods.getMissingChunks = function() {
+  const received = new Set(this.receivedChunks);
+  return Array.from({ length: this.totalChunks }, (_, index) => index)
+    .filter(index => !received.has(index));
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
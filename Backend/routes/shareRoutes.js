@@ -1,27 +1,44 @@
 const express = require('express');
 const router = express.Router();
-const { upload, uploadToSupabase } = require('../middleware/supabaseUpload');
-const { uploadContent, getContent, serveFile, getAllShares } = require('../controllers/shareController');
-const { cleanupExpiredShares, getCleanupStats } = require('../services/cleanupService');
-const { 
-  uploadRateLimit, 
-  uploadSpeedLimit, 
-  downloadRateLimit, 
-  generalApiRateLimit, 
-  adminRateLimit,
-  getViolationStats 
-} = require('../middleware/rateLimiting');
-
-// GET /all - Get all shares (must be before /:id route)
-router.get('/all', generalApiRateLimit, getAllShares);
+const { upload, scanUploadedFiles, uploadToStorage, MAX_FILES_PER_SHARE } = require('../middleware/storageUpload');
+const { uploadContent, checkAliasAvailability, unlockShare, getContent, serveRawText, serveFile, serveZip, getAllShares } = require('../controllers/shareController');
+const { initUpload, getUploadStatus, uploadChunk, completeUpload } = require('../controllers/chunkUploadController');
+const { getManagedShare, updateShare, deleteShare } = require('../controllers/manageController');
+const { streamShareEvents, streamGalleryEvents } = require('../controllers/eventsController');
+const { runCleanup, getCleanupStats, cleanupOrphanedFiles, getOrphanReports, getOrphanReport } = require('../services/cleanupService');
+const { STORAGE_DRIVERS, STORAGE_DRIVER } = require('../storage');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { getUploadLimits } = require('../config/filePolicy');
+const { getExpiryLimits } = require('../config/expiry');
+const AuditLog = require('../models/AuditLog');
+const { rateLimitRoute, getViolationStats } = require('../middleware/rateLimiting');
+const { RATE_LIMIT_POLICY } = require('../config/rateLimit');
+
+// GET /all - Get the public shares in the gallery (must be before /:id route)
+router.get('/all', rateLimitRoute('GET /api/all'), getAllShares);
+
+// GET /all/events - Server-Sent Events telling open galleries to refresh (must be before /:id/events)
+router.get('/all/events', rateLimitRoute('GET /api/all/events'), streamGalleryEvents);
+
+// GET /config/limits - Get the upload limits and allowed file types, so clients can check files before uploading
+router.get('/config/limits', rateLimitRoute('GET /api/config/limits'), (req, res) => {
+  res.json({
+    success: true,
+    limits: {
+      ...getUploadLimits(),
+      ...getExpiryLimits()
+    }
+  });
+});
 
 // GET /rate-limit/stats - Get rate limiting violation statistics
-router.get('/rate-limit/stats', adminRateLimit, async (req, res) => {
+router.get('/rate-limit/stats', rateLimitRoute('GET /api/rate-limit/stats'), requireAdmin('ratelimit.read'), async (req, res) => {
   try {
-    const stats = getViolationStats();
+    const stats = await getViolationStats();
     res.json({
       success: true,
       rateLimitStats: stats,
+      rateLimitPolicy: RATE_LIMIT_POLICY,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -33,7 +50,7 @@ router.get('/rate-limit/stats', adminRateLimit, async (req, res) => {
 });
 
 // GET /cleanup/stats - Get cleanup statistics
-router.get('/cleanup/stats', adminRateLimit, async (req, res) => {
+router.get('/cleanup/stats', rateLimitRoute('GET /api/cleanup/stats'), requireAdmin('cleanup.read'), async (req, res) => {
   try {
     const stats = await getCleanupStats();
     res.json({
@@ -49,10 +66,11 @@ router.get('/cleanup/stats', adminRateLimit, async (req, res) => {
 });
 
 // POST /cleanup - Manually trigger cleanup
-router.post('/cleanup', adminRateLimit, async (req, res) => {
+router.post('/cleanup', rateLimitRoute('POST /api/cleanup'), requireAdmin('cleanup.run'), async (req, res) => {
   try {
-    const result = await cleanupExpiredShares();
-    res.json(result);
+    const result = await runCleanup({ trigger: 'manual', triggeredBy: req.admin.name });
+    // Another server process holds the cleanup lock
+    res.status(result.skipped ? 409 : 200).json(result);
   } catch (error) {
     console.error('Manual cleanup error:', error);
     res.status(500).json({
@@ -62,13 +80,147 @@ router.post('/cleanup', adminRateLimit, async (req, res) => {
   }
 });
 
-// POST /upload - Upload text or file
-router.post('/upload', uploadRateLimit, uploadSpeedLimit, upload.single('file'), uploadToSupabase, uploadContent);
+// POST /cleanup/orphans - Scan storage for files nothing refers to, deleting them unless it's a dry run
+router.post('/cleanup/orphans', rateLimitRoute('POST /api/cleanup/orphans'), requireAdmin('cleanup.run'), async (req, res) => {
+  try {
+    const storageDriver = req.body?.storageDriver || STORAGE_DRIVER;
+    if (!STORAGE_DRIVERS.includes(storageDriver)) {
+      return res.status(400).json({
+        error: `storageDriver must be one of: ${STORAGE_DRIVERS.join(', ')}`
+      });
+    }
+
+    // Only an explicit false deletes anything
+    const dryRun = !(req.body?.dryRun === false || req.body?.dryRun === 'false');
+
+    const result = await cleanupOrphanedFiles({ storageDriver, dryRun, triggeredBy: req.admin.name });
+    if (result.skipped) {
+      return res.status(409).json(result);
+    }
+
+    // The scan goes on in the background, poll the report for its progress
+    res.status(202).json({
+      success: true,
+      report: result.report
+    });
+  } catch (error) {
+    console.error('Orphaned file scan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start the orphaned file scan'
+    });
+  }
+});
+
+// GET /cleanup/orphans - Get the latest orphaned file reports
+router.get('/cleanup/orphans', rateLimitRoute('GET /api/cleanup/orphans'), requireAdmin('cleanup.read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      reports: await getOrphanReports()
+    });
+  } catch (error) {
+    console.error('Orphan reports error:', error);
+    res.status(500).json({
+      error: 'Failed to get orphaned file reports'
+    });
+  }
+});
+
+// GET /cleanup/orphans/:reportId - Get an orphaned file report with the orphans it found
+router.get('/cleanup/orphans/:reportId', rateLimitRoute('GET /api/cleanup/orphans/:reportId'), requireAdmin('cleanup.read'), async (req, res) => {
+  try {
+    const report = await getOrphanReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Orphan report error:', error);
+    res.status(500).json({
+      error: 'Failed to get orphaned file report'
+    });
+  }
+});
+
+// GET /admin/audit-log - Get recent admin actions, newest first
+router.get('/admin/audit-log', rateLimitRoute('GET /api/admin/audit-log'), requireAdmin('audit.read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = {};
+    if (req.query.actor) {
+      filter.actor = String(req.query.actor);
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-__v');
+
+    res.json({
+      success: true,
+      entries
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({
+      error: 'Failed to get audit log'
+    });
+  }
+});
+
+// POST /upload - Upload text or files
+router.post('/upload', rateLimitRoute('POST /api/upload'), upload.array('files', MAX_FILES_PER_SHARE), scanUploadedFiles, uploadToStorage, uploadContent);
+
+// GET /slugs/:alias - Check whether a custom link is still available
+router.get('/slugs/:alias', rateLimitRoute('GET /api/slugs/:alias'), checkAliasAvailability);
+
+// POST /uploads - Start a resumable chunked upload for a large file
+router.post('/uploads', rateLimitRoute('POST /api/uploads'), initUpload);
+
+// GET /uploads/:uploadId - Get the received chunks of an upload (used to resume)
+router.get('/uploads/:uploadId', rateLimitRoute('GET /api/uploads/:uploadId'), getUploadStatus);
+
+// PUT /uploads/:uploadId/chunks/:index - Upload one chunk as the raw request body
+router.put('/uploads/:uploadId/chunks/:index', rateLimitRoute('PUT /api/uploads/:uploadId/chunks/:index'), uploadChunk);
+
+// POST /uploads/:uploadId/complete - Reassemble the chunks and store the file
+router.post('/uploads/:uploadId/complete', rateLimitRoute('POST /api/uploads/:uploadId/complete'), completeUpload);
+
+// GET /raw/:id - Get the text of a share as text/plain (must be before the /:id/* routes, which would take /raw/events)
+router.get('/raw/:id', rateLimitRoute('GET /api/raw/:id'), serveRawText);
+
+// GET /file/:id - Serve the first file directly for download
+router.get('/file/:id', rateLimitRoute('GET /api/file/:id'), serveFile);
+
+// GET /file/:id/zip - Download all files of a share as a zip (must be before /file/:id/:index route)
+router.get('/file/:id/zip', rateLimitRoute('GET /api/file/:id/zip'), serveZip);
+
+// GET /file/:id/:index - Serve a specific file of a multi-file share
+router.get('/file/:id/:index', rateLimitRoute('GET /api/file/:id/:index'), serveFile);
+
+// GET /:id/manage - Get a share's details for its owner (needs the manage token)
+router.get('/:id/manage', rateLimitRoute('GET /api/:id/manage'), getManagedShare);
+
+// GET /:id/events - Server-Sent Events for a share's expiry, deletion and edits
+router.get('/:id/events', rateLimitRoute('GET /api/:id/events'), streamShareEvents);
+
+// POST /:id/unlock - Exchange a share's password for an access token
+router.post('/:id/unlock', rateLimitRoute('POST /api/:id/unlock'), unlockShare);
 
 // GET /:id - Get shared content (text and/or file info)
-router.get('/:id', downloadRateLimit, getContent);
+router.get('/:id', rateLimitRoute('GET /api/:id'), getContent);
+
+// PATCH /:id - Edit or extend a share (needs the manage token)
+router.patch('/:id', rateLimitRoute('PATCH /api/:id'), updateShare);
 
-// GET /file/:id - Serve file directly for download
-router.get('/file/:id', downloadRateLimit, serveFile);
+// DELETE /:id - Delete a share early (needs the manage token)
+router.delete('/:id', rateLimitRoute('DELETE /api/:id'), deleteShare);
 
 module.exports = router;
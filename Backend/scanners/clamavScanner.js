@@ -0,0 +1,124 @@
+const net = require('net');
+const { Readable } = require('stream');
+
+// clamd socket: a unix socket path, or host:port for a daemon listening on TCP
+const CLAMAV_SOCKET = process.env.CLAMAV_SOCKET || '/var/run/clamav/clamd.ctl';
+
+// How long a scan may take before it counts as failed (defaults to 1 minute)
+const CLAMAV_TIMEOUT_MS = parseInt(process.env.CLAMAV_TIMEOUT_MS) || 60 * 1000;
+
+// INSTREAM data is sent in chunks prefixed with their length
+const INSTREAM_CHUNK_SIZE = 64 * 1024;
+
+const getConnectOptions = (socket) => {
+  const match = socket.match(/^([^/:]+):(\d+)$/);
+  return match ? { host: match[1], port: Number(match[2]) } : { path: socket };
+};
+
+// Replies look like "stream: OK" or "stream: Eicar-Test-Signature FOUND"
+const parseReply = (reply) => {
+  if (/: OK$/.test(reply)) {
+    return { data: { infected: false, signature: null }, error: null };
+  }
+
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { data: { infected: true, signature: found[1] }, error: null };
+  }
+
+  return { data: null, error: new Error(`Unexpected ClamAV reply: ${reply || 'none'}`) };
+};
+
+// Wait until the socket takes more data. clamd may close the connection mid-stream (e.g. over its
+// StreamMaxLength) and then 'drain' never comes, so a close, an error or the timeout ends the wait too
+const waitForDrain = (socket) => new Promise((resolve, reject) => {
+  const done = (error) => {
+    clearTimeout(timer);
+    socket.off('drain', onDrain);
+    socket.off('close', onClose);
+    socket.off('error', done);
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+  const onDrain = () => done();
+  const onClose = () => done(new Error('ClamAV closed the connection before the file was sent'));
+  const timer = setTimeout(() => done(new Error('ClamAV stopped reading the file')), CLAMAV_TIMEOUT_MS);
+
+  socket.on('drain', onDrain);
+  socket.on('close', onClose);
+  socket.on('error', done);
+});
+
+/**
+ * Scanner that streams files to a ClamAV daemon (clamd) with the INSTREAM command
+ * clamd refuses streams over its StreamMaxLength (25MB by default), raise it to the largest upload
+ */
+const createClamavScanner = () => {
+  const connectOptions = getConnectOptions(CLAMAV_SOCKET);
+
+  return {
+    name: 'clamav',
+
+    scan(body) {
+      return new Promise((resolve) => {
+        const socket = net.createConnection(connectOptions);
+        const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+        let reply = '';
+        let settled = false;
+
+        // Also stops reading the file, which would otherwise stay open when the connection fails
+        const finish = (result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          source.destroy();
+          resolve(result);
+        };
+
+        socket.setTimeout(CLAMAV_TIMEOUT_MS, () => finish({ data: null, error: new Error('ClamAV scan timed out') }));
+        socket.on('error', (error) => finish({ data: null, error }));
+
+        // Commands prefixed with "z" get a reply terminated by a NUL byte
+        socket.on('data', (data) => {
+          reply += data.toString();
+          if (reply.includes('\0')) {
+            finish(parseReply(reply.split('\0')[0].trim()));
+          }
+        });
+        socket.on('end', () => finish(parseReply(reply.trim())));
+
+        socket.on('connect', async () => {
+          try {
+            socket.write('zINSTREAM\0');
+
+            for await (const chunk of source) {
+              for (let offset = 0; offset < chunk.length; offset += INSTREAM_CHUNK_SIZE) {
+                if (settled) return;
+
+                const part = chunk.subarray(offset, offset + INSTREAM_CHUNK_SIZE);
+                const length = Buffer.alloc(4);
+                length.writeUInt32BE(part.length);
+
+                if (!socket.write(Buffer.concat([length, part]))) {
+                  await waitForDrain(socket);
+                }
+              }
+            }
+
+            // A zero length chunk ends the stream
+            socket.write(Buffer.alloc(4));
+          } catch (error) {
+            finish({ data: null, error });
+          }
+        });
+      });
+    }
+  };
+};
+
+module.exports = {
+  createClamavScanner
+};
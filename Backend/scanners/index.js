@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { createClamavScanner } = require('./clamavScanner');
+const { createStubScanner } = require('./stubScanner');
+
+/**
+ * Malware scanners
+ *
+ * Every scanner implements the same interface, resolving to { data, error } like the storage drivers:
+ *   scan(body)  Scan a Buffer or readable stream, data is { infected, signature }
+ */
+const scannerFactories = {
+  clamav: createClamavScanner,
+  stub: createStubScanner
+};
+
+// Scanner uploaded files are checked with, selected by the MALWARE_SCANNER env var ('none' turns scanning off)
+const MALWARE_SCANNER = (process.env.MALWARE_SCANNER || 'none').toLowerCase();
+
+// Store files unscanned when the scanner fails, instead of refusing the upload
+const MALWARE_SCAN_FAIL_OPEN = process.env.MALWARE_SCAN_FAIL_OPEN === 'true';
+
+// Infected files are kept here for review, without it they are discarded
+const MALWARE_QUARANTINE_DIR = process.env.MALWARE_QUARANTINE_DIR ? path.resolve(process.env.MALWARE_QUARANTINE_DIR) : null;
+
+// Scan results stored on files. Infected files are never stored
+const SCAN_STATUSES = ['clean', 'unscanned'];
+
+const UNSCANNED = { status: 'unscanned', signature: null, scanner: null, scannedAt: null };
+
+let scanner = null;
+
+/**
+ * Get the configured scanner
+ * @returns {object|null} The scanner, or null when scanning is turned off
+ */
+const getScanner = () => {
+  if (MALWARE_SCANNER === 'none') {
+    return null;
+  }
+
+  if (!scannerFactories[MALWARE_SCANNER]) {
+    throw new Error(`Unknown malware scanner "${MALWARE_SCANNER}". Use one of: none, ${Object.keys(scannerFactories).join(', ')}`);
+  }
+
+  if (!scanner) {
+    scanner = scannerFactories[MALWARE_SCANNER]();
+  }
+
+  return scanner;
+};
+
+/**
+ * Scan an uploaded file with the configured scanner
+ * @param {Buffer|Readable} body - The file contents
+ * @param {object} [options]
+ * @param {boolean} [options.encrypted] - Ciphertext looks like random bytes to a scanner, so encrypted files stay unscanned
+ * @returns {Promise<{data: {status: string, signature: string|null, scanner: string|null, scannedAt: Date|null}, error: object}>}
+ *   status is 'clean', 'infected' or 'unscanned'. error is only set when the scan failed and MALWARE_SCAN_FAIL_OPEN is off
+ */
+const scanFile = async (body, { encrypted = false } = {}) => {
+  const activeScanner = getScanner();
+  if (!activeScanner || encrypted) {
+    return { data: UNSCANNED, error: null };
+  }
+
+  const { data, error } = await activeScanner.scan(body);
+
+  if (error) {
+    console.error(`❌ Malware scan failed (${activeScanner.name}):`, error.message);
+    return MALWARE_SCAN_FAIL_OPEN ? { data: UNSCANNED, error: null } : { data: null, error };
+  }
+
+  return {
+    data: {
+      status: data.infected ? 'infected' : 'clean',
+      signature: data.signature,
+      scanner: activeScanner.name,
+      scannedAt: new Date()
+    },
+    error: null
+  };
+};
+
+/**
+ * Keep an infected file for review in MALWARE_QUARANTINE_DIR, with a .json note next to it
+ * Does nothing when no quarantine directory is configured
+ * @param {Buffer|Readable} body - The file contents
+ * @param {{fileName: string, signature: string}} details
+ * @returns {Promise<void>}
+ */
+const quarantineFile = async (body, { fileName, signature }) => {
+  if (!MALWARE_QUARANTINE_DIR) {
+    return;
+  }
+
+  try {
+    await fs.promises.mkdir(MALWARE_QUARANTINE_DIR, { recursive: true });
+
+    const baseName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(MALWARE_QUARANTINE_DIR, `${baseName}.quarantine`);
+
+    // Only the server's user may read quarantined files
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(filePath, body, { mode: 0o600 });
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath, { mode: 0o600 }));
+    }
+
+    await fs.promises.writeFile(
+      path.join(MALWARE_QUARANTINE_DIR, `${baseName}.json`),
+      JSON.stringify({ fileName, signature, quarantinedAt: new Date() }, null, 2),
+      { mode: 0o600 }
+    );
+
+    console.log(`☣️ Quarantined infected file ${fileName} (${signature})`);
+  } catch (error) {
+    console.error('Failed to quarantine infected file:', error);
+  }
+};
+
+module.exports = {
+  MALWARE_SCANNER,
+  SCAN_STATUSES,
+  getScanner,
+  scanFile,
+  quarantineFile
+};
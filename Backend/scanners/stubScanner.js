@@ -0,0 +1,36 @@
+// EICAR test file, a harmless string every antivirus reports as infected
+const EICAR_TEST_STRING = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*');
+
+/**
+ * Scanner for tests and development without ClamAV
+ * It reports files containing the EICAR test string as infected and everything else as clean
+ */
+const createStubScanner = () => {
+  return {
+    name: 'stub',
+
+    async scan(body) {
+      try {
+        const source = Buffer.isBuffer(body) ? [body] : body;
+        // Keep the end of the previous chunk, so the string is found across chunk boundaries
+        let tail = Buffer.alloc(0);
+
+        for await (const chunk of source) {
+          const window = Buffer.concat([tail, chunk]);
+          if (window.includes(EICAR_TEST_STRING)) {
+            return { data: { infected: true, signature: 'Eicar-Test-Signature' }, error: null };
+          }
+          tail = window.subarray(Math.max(0, window.length - EICAR_TEST_STRING.length + 1));
+        }
+
+        return { data: { infected: false, signature: null }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createStubScanner
+};
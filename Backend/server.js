@@ -1,6 +1,5 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const multer = require('multer');
 require('dotenv').config();
 
@@ -12,9 +11,25 @@ const shareRoutes = require('./routes/shareRoutes');
 
 // Import cleanup service
 const { scheduleCleanup } = require('./services/cleanupService');
+const { CLEANUP_INTERVAL_MINUTES } = require('./config/cleanup');
+const { startChangeStreamService, stopChangeStreamService, getChangeStreamMode } = require('./services/changeStreamService');
 
 // Import rate limiting middleware
-const { globalRateLimit } = require('./middleware/rateLimiting');
+const { globalRateLimit, healthCheckRateLimit, blockDenylisted } = require('./middleware/rateLimiting');
+const { getRateLimitStoreMode } = require('./services/rateLimitStore');
+
+// Import upload limits
+const { MAX_FILES_PER_SHARE } = require('./middleware/storageUpload');
+const { MAX_DIRECT_FILE_SIZE, FILE_POLICY_ERROR } = require('./config/filePolicy');
+
+// Import admin tokens
+const { ADMIN_TOKENS } = require('./config/admin');
+
+// Import gallery settings
+const { PUBLIC_GALLERY_ENABLED } = require('./config/visibility');
+
+// Import storage drivers
+const { getStorage, STORAGE_DRIVER } = require('./storage');
 
 // Initialize Express app
 const app = express();
@@ -22,6 +37,9 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Set up the configured storage driver now, so missing credentials fail at startup
+getStorage();
+
 // Middleware
 const allowedOrigins = [
   'http://localhost:3000',
@@ -42,7 +60,8 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Retry-After'] // Read by the password form's lockout countdown
 }));
 
 app.use(express.json({ limit: '50mb' }));
@@ -51,25 +70,25 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // Trust proxy for accurate IP detection behind reverse proxies
 app.set('trust proxy', 1);
 
-// Apply global rate limiting to all endpoints
+// Refuse denylisted addresses, then apply global rate limiting to all endpoints
+app.use(blockDenylisted);
 app.use(globalRateLimit);
 
-// Serve static files from uploads directory (for legacy files)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // API Routes
 app.use('/api', shareRoutes);
 
 // Health check endpoint
-app.get('/health', require('./middleware/rateLimiting').healthCheckRateLimit, (req, res) => {
+app.get('/health', healthCheckRateLimit, (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    storage: 'Supabase',
+    storage: STORAGE_DRIVER,
     cleanup: 'Enabled',
-    rateLimiting: 'Enabled'
+    shareEvents: getChangeStreamMode(),
+    rateLimiting: 'Enabled',
+    rateLimitStore: getRateLimitStoreMode()
   });
 });
 
@@ -79,12 +98,31 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     availableEndpoints: [
       'POST /api/upload - Upload text or file',
+      'POST /api/uploads - Start a resumable chunked upload',
+      'GET /api/uploads/:uploadId - Get chunked upload progress',
+      'PUT /api/uploads/:uploadId/chunks/:index - Upload one chunk',
+      'POST /api/uploads/:uploadId/complete - Finish a chunked upload',
+      'GET /api/slugs/:alias - Check whether a custom link is available',
+      'GET /api/config/limits - Get the upload limits and allowed file types',
+      'POST /api/:id/unlock - Unlock a password-protected share',
       'GET /api/:id - Get shared content',
+      'GET /api/:id/events - Stream expiry, deletion and edits of a share (Server-Sent Events)',
+      'GET /api/:id/manage - Get a share for its owner',
+      'PATCH /api/:id - Edit or extend a share',
+      'DELETE /api/:id - Delete a share',
+      'GET /api/raw/:id - Get the text of a share as plain text',
       'GET /api/file/:id - Download file',
-      'GET /api/all - Get all shares',
+      'GET /api/file/:id/:index - Download a specific file of a share',
+      'GET /api/file/:id/zip - Download all files of a share as a zip',
+      'GET /api/all - Get the public shares in the gallery',
+      'GET /api/all/events - Stream gallery changes (Server-Sent Events)',
       'GET /api/cleanup/stats - Get cleanup statistics',
       'POST /api/cleanup - Manually trigger cleanup',
+      'POST /api/cleanup/orphans - Scan storage for orphaned files',
+      'GET /api/cleanup/orphans - Get the orphaned file reports',
+      'GET /api/cleanup/orphans/:reportId - Get an orphaned file report',
       'GET /api/rate-limit/stats - Get rate limiting statistics',
+      'GET /api/admin/audit-log - Get the admin audit log',
       'GET /health - Health check'
     ]
   });
@@ -97,11 +135,23 @@ app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ 
-        error: 'File too large. Maximum size is 50MB.' 
+        error: `File too large. Maximum size is ${Math.round(MAX_DIRECT_FILE_SIZE / 1024 / 1024)}MB. Use chunked uploads for bigger files.` 
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ 
+        error: `Too many files or unexpected file field. Upload up to ${MAX_FILES_PER_SHARE} files in the "files" field.` 
       });
     }
   }
   
+  // Rejected by the file type policy while multer was reading the request
+  if (error.code === FILE_POLICY_ERROR) {
+    return res.status(400).json({ 
+      error: error.message 
+    });
+  }
+  
   res.status(500).json({ 
     error: 'Internal server error' 
   });
@@ -115,19 +165,26 @@ const server = app.listen(PORT, () => {
   console.log(`📱 Health check: http://localhost:${PORT}/health`);
   console.log(`📤 Upload endpoint: http://localhost:${PORT}/api/upload`);
   console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`☁️ Storage: Supabase`);
+  console.log(`☁️ Storage: ${STORAGE_DRIVER}`);
+  console.log(`🖼️ Public gallery: ${PUBLIC_GALLERY_ENABLED ? 'enabled' : 'disabled'}`);
+  console.log(`🔐 Admin API: ${ADMIN_TOKENS.length > 0 ? `${ADMIN_TOKENS.length} token(s) configured` : 'disabled (set ADMIN_API_KEY or ADMIN_TOKENS)'}`);
   console.log(`🌐 Allowed CORS origins:`, allowedOrigins);
   
-  // Start scheduled cleanup (every hour)
+  // Start scheduled cleanup (every hour by default)
   if (process.env.ENABLE_SCHEDULED_CLEANUP !== 'false') {
-    scheduleCleanup(60); // Run every 60 minutes
-    console.log(`🧹 Scheduled cleanup enabled (every 60 minutes)`);
+    scheduleCleanup(CLEANUP_INTERVAL_MINUTES);
+    console.log(`🧹 Scheduled cleanup enabled (every ${CLEANUP_INTERVAL_MINUTES} minutes)`);
   }
+
+  // Push expiry and deletion of shares to open viewers
+  startChangeStreamService();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
+  // Open event streams would keep the server from closing
+  stopChangeStreamService();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Share = require('../models/Share');
+const { SHARE_EVENTS_POLL_SECONDS, GALLERY_EVENT_DELAY_MS } = require('../config/shareEvents');
+
+/**
+ * Change stream service
+ * Watches shares for updates and deletions and hands them to listeners, such as the event streams of open viewers.
+ * Uses MongoDB change streams when the server supports them (replica sets and Atlas) and polls otherwise
+ */
+
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open event stream
+
+const GALLERY_EVENT = 'gallery';
+const shareEvent = (shareId) => `share:${shareId}`;
+
+// Fields whose change means viewers should load the share again
+const CONTENT_FIELDS = ['title', 'content', 'language', 'format', 'files', 'fileUrl', 'password', 'encrypted'];
+
+// Fields shown in the public gallery, changes to them refresh open galleries
+const GALLERY_FIELDS = ['visibility', 'title', 'expiresAt', 'files', 'content', 'password'];
+
+let changeStream = null;
+let pollTimer = null;
+let galleryTimer = null;
+let mode = 'stopped';
+
+// Last seen state of every watched share and of the gallery, used by the polling fallback
+const polledShares = new Map();
+let polledGallery = null;
+
+const touches = (changedFields, fields) => {
+  return changedFields.some(changed => fields.some(field => changed === field || changed.startsWith(`${field}.`)));
+};
+
+const emitGalleryChange = () => {
+  if (galleryTimer || events.listenerCount(GALLERY_EVENT) === 0) {
+    return;
+  }
+
+  galleryTimer = setTimeout(() => {
+    galleryTimer = null;
+    events.emit(GALLERY_EVENT, { type: 'changed' });
+  }, GALLERY_EVENT_DELAY_MS);
+};
+
+const emitShareUpdate = (shareId, { expiresAt, viewsRemaining, contentChanged }) => {
+  const update = { type: 'updated', contentChanged };
+  if (expiresAt !== undefined) update.expiresAt = expiresAt;
+  if (viewsRemaining !== undefined) update.viewsRemaining = viewsRemaining;
+
+  events.emit(shareEvent(shareId), update);
+};
+
+const handleChange = (change) => {
+  const shareId = change.documentKey?._id?.toString();
+
+  switch (change.operationType) {
+    case 'insert':
+      if (change.fullDocument?.visibility === 'public') {
+        emitGalleryChange();
+      }
+      break;
+
+    case 'update': {
+      const updatedFields = change.updateDescription?.updatedFields || {};
+      const changedFields = Object.keys(updatedFields).concat(change.updateDescription?.removedFields || []);
+      const contentChanged = touches(changedFields, CONTENT_FIELDS);
+
+      // Wrong passwords and download tokens also update shares, viewers don't need to hear about those
+      if (contentChanged || 'expiresAt' in updatedFields || 'viewsRemaining' in updatedFields) {
+        emitShareUpdate(shareId, {
+          expiresAt: updatedFields.expiresAt,
+          viewsRemaining: updatedFields.viewsRemaining,
+          contentChanged
+        });
+      }
+      if (touches(changedFields, GALLERY_FIELDS)) {
+        emitGalleryChange();
+      }
+      break;
+    }
+
+    case 'replace':
+      emitShareUpdate(shareId, {
+        expiresAt: change.fullDocument?.expiresAt,
+        viewsRemaining: change.fullDocument?.viewsRemaining,
+        contentChanged: true
+      });
+      emitGalleryChange();
+      break;
+
+    case 'delete':
+      events.emit(shareEvent(shareId), { type: 'deleted' });
+      // Deletions don't say whether the share was public, so open galleries always refresh
+      emitGalleryChange();
+      break;
+  }
+};
+
+// Fingerprint of what viewers see, so polling notices edits without keeping the content around
+const getContentHash = (share) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(CONTENT_FIELDS.map(field => share[field] ?? null)))
+    .digest('base64url');
+};
+
+const pollShares = async () => {
+  const watchedIds = events.eventNames()
+    .filter(name => typeof name === 'string' && name.startsWith('share:'))
+    .map(name => name.slice('share:'.length));
+
+  // Forget shares nobody watches anymore
+  for (const shareId of polledShares.keys()) {
+    if (!watchedIds.includes(shareId)) {
+      polledShares.delete(shareId);
+    }
+  }
+
+  if (watchedIds.length === 0) {
+    return;
+  }
+
+  const shares = await Share.find({ _id: { $in: watchedIds } }).select('+password').lean();
+  const found = new Map(shares.map(share => [share._id.toString(), share]));
+
+  for (const shareId of watchedIds) {
+    const share = found.get(shareId);
+    const previous = polledShares.get(shareId);
+
+    if (!share) {
+      polledShares.delete(shareId);
+      events.emit(shareEvent(shareId), { type: 'deleted' });
+      continue;
+    }
+
+    const current = {
+      expiresAt: share.expiresAt?.getTime(),
+      viewsRemaining: share.viewsRemaining,
+      contentHash: getContentHash(share)
+    };
+    polledShares.set(shareId, current);
+
+    // The first poll of a share only records its state
+    if (previous && (
+      previous.expiresAt !== current.expiresAt ||
+      previous.viewsRemaining !== current.viewsRemaining ||
+      previous.contentHash !== current.contentHash
+    )) {
+      emitShareUpdate(shareId, {
+        expiresAt: share.expiresAt,
+        viewsRemaining: share.viewsRemaining,
+        contentChanged: previous.contentHash !== current.contentHash
+      });
+    }
+  }
+};
+
+const pollGallery = async () => {
+  if (events.listenerCount(GALLERY_EVENT) === 0) {
+    polledGallery = null;
+    return;
+  }
+
+  const [summary] = await Share.aggregate([
+    { $match: { visibility: 'public' } },
+    { $group: { _id: null, count: { $sum: 1 }, newest: { $max: '$createdAt' }, nextExpiry: { $min: '$expiresAt' } } }
+  ]);
+
+  const current = JSON.stringify(summary || null);
+  if (polledGallery !== null && polledGallery !== current) {
+    emitGalleryChange();
+  }
+  polledGallery = current;
+};
+
+const startPolling = () => {
+  mode = 'polling';
+  console.log(`🔁 Share events: polling every ${SHARE_EVENTS_POLL_SECONDS} seconds`);
+
+  pollTimer = setInterval(async () => {
+    try {
+      await pollShares();
+      await pollGallery();
+    } catch (error) {
+      console.error('❌ Error polling shares for changes:', error);
+    }
+  }, SHARE_EVENTS_POLL_SECONDS * 1000);
+};
+
+/**
+ * Start watching shares, with a change stream when MongoDB supports it and polling otherwise
+ */
+const startChangeStreamService = () => {
+  if (mode !== 'stopped') {
+    return;
+  }
+
+  mode = 'changeStream';
+  changeStream = Share.watch([
+    { $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } }
+  ]);
+
+  changeStream.on('change', handleChange);
+
+  // Standalone servers refuse change streams, and a broken stream may have missed changes, so poll from here on
+  changeStream.on('error', (error) => {
+    console.warn(`⚠️ Share change stream unavailable (${error.message})`);
+    changeStream.close().catch(() => {});
+    changeStream = null;
+
+    if (mode === 'changeStream') {
+      startPolling();
+    }
+  });
+
+  console.log('👀 Share events: watching the shares change stream');
+};
+
+/**
+ * Stop watching shares and tell every listener the server is shutting down
+ */
+const stopChangeStreamService = async () => {
+  mode = 'stopped';
+  clearInterval(pollTimer);
+  clearTimeout(galleryTimer);
+  pollTimer = null;
+  galleryTimer = null;
+
+  if (changeStream) {
+    await changeStream.close().catch(() => {});
+    changeStream = null;
+  }
+
+  for (const eventName of events.eventNames()) {
+    events.emit(eventName, { type: 'shutdown' });
+  }
+};
+
+/**
+ * Listen for changes to one share
+ * @param {string} shareId - MongoDB _id of the share
+ * @param {function} listener - Called with { type: 'updated', expiresAt?, viewsRemaining?, contentChanged },
+ *   { type: 'deleted' } or { type: 'shutdown' }
+ * @returns {function} Stops listening
+ */
+const watchShare = (shareId, listener) => {
+  const eventName = shareEvent(shareId.toString());
+  events.on(eventName, listener);
+  return () => events.off(eventName, listener);
+};
+
+/**
+ * Listen for changes to the public gallery
+ * @param {function} listener - Called with { type: 'changed' } or { type: 'shutdown' }
+ * @returns {function} Stops listening
+ */
+const watchGallery = (listener) => {
+  events.on(GALLERY_EVENT, listener);
+  return () => events.off(GALLERY_EVENT, listener);
+};
+
+/**
+ * Get how changes are being detected
+ * @returns {'changeStream'|'polling'|'stopped'}
+ */
+const getChangeStreamMode = () => mode;
+
+module.exports = {
+  startChangeStreamService,
+  stopChangeStreamService,
+  watchShare,
+  watchGallery,
+  getChangeStreamMode
+};
@@ -1,111 +1,512 @@
+const os = require('os');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Share = require('../models/Share');
-const { deleteFile } = require('../config/supabase');
+const UploadSession = require('../models/UploadSession');
+const Lock = require('../models/Lock');
+const FileDeletion = require('../models/FileDeletion');
+const CleanupRun = require('../models/CleanupRun');
+const OrphanReport = require('../models/OrphanReport');
+const { STORAGE_DRIVER, getStorage, deleteStoredFiles } = require('../storage');
+const { removeUploadDir } = require('../config/chunkUpload');
+const {
+  CLEANUP_INTERVAL_MINUTES,
+  CLEANUP_BATCH_SIZE,
+  CLEANUP_MAX_BATCHES,
+  CLEANUP_LOCK_TTL_SECONDS,
+  FILE_DELETION_MAX_ATTEMPTS,
+  ORPHAN_GRACE_HOURS,
+  MAX_REPORTED_ORPHANS,
+  MAX_RUN_ERRORS,
+  getNextDeletionAttempt
+} = require('../config/cleanup');
 
 /**
- * Cleanup service for handling file deletion when documents expire
- * This handles the automatic cleanup of files from Supabase when MongoDB TTL expires documents
+ * Cleanup service for removing expired shares, abandoned uploads and their files
+ * Runs in batches under a lock shared by every server process, so only one instance sweeps at a time.
+ * File deletions that fail are queued and retried with backoff by later runs
  */
 
+const CLEANUP_LOCK = 'cleanup';
+const ORPHAN_LOCK = 'orphan-scan';
+const LOCK_TTL_MS = CLEANUP_LOCK_TTL_SECONDS * 1000;
+
+// Identifies this process as the lock owner and in the run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Run state shared by the sweep steps: counters, errors and the lock renewal
+const createRunContext = (run, lockName = CLEANUP_LOCK) => ({
+  run,
+
+  addError(message) {
+    console.error(`❌ ${message}`);
+    run.errorCount++;
+    if (run.errorMessages.length < MAX_RUN_ERRORS) {
+      run.errorMessages.push(message);
+    }
+  },
+
+  // Called between batches, stops the run if another process took the lock over in the meantime
+  async renewLock() {
+    if (!await Lock.renew(lockName, INSTANCE_ID, LOCK_TTL_MS)) {
+      throw new Error(`Lost the ${lockName} lock to another process`);
+    }
+  }
+});
+
 /**
- * Manual cleanup function to remove expired shares and their associated files
- * This can be run periodically as a backup to TTL expiration
+ * Delete files from storage in bulk, queueing the ones that fail for a retry
+ * @returns {Promise<number>} Number of files deleted
  */
-const cleanupExpiredShares = async () => {
-  try {
-    console.log('🧹 Starting manual cleanup of expired shares...');
-    
-    const now = new Date();
-    
-    // Find expired shares using the expiresAt field
-    const expiredShares = await Share.find({
-      expiresAt: { $lt: now }
+const removeFiles = async (files, context) => {
+  if (files.length === 0) {
+    return 0;
+  }
+
+  const { data } = await deleteStoredFiles(files);
+
+  if (data.failed.length > 0) {
+    // Upserts, so a file queued before isn't queued twice
+    await FileDeletion.bulkWrite(data.failed.map(({ file, error }) => ({
+      updateOne: {
+        filter: { storageDriver: file.storageDriver, storagePath: file.storagePath },
+        update: {
+          $setOnInsert: { status: 'pending', attempts: 1, nextAttemptAt: getNextDeletionAttempt(1) },
+          $set: { lastError: error.message || String(error) }
+        },
+        upsert: true
+      }
+    })));
+
+    data.failed.forEach(({ file, error }) => {
+      context.addError(`Failed to delete ${file.storageDriver} file ${file.storagePath}, queued for a retry: ${error.message || error}`);
     });
+    context.run.queuedFileDeletions += data.failed.length;
+  }
 
-    console.log(`📋 Found ${expiredShares.length} expired shares to clean up`);
+  context.run.deletedFiles += data.deleted.length;
+  return data.deleted.length;
+};
 
-    let deletedCount = 0;
-    let fileDeletedCount = 0;
-    let errors = [];
+/**
+ * Remove expired shares and their files, a batch at a time
+ */
+const sweepExpiredShares = async (context) => {
+  // Shares expiring while the run is going are left for the next one
+  const now = new Date();
 
-    for (const share of expiredShares) {
-      try {
-        // Delete file from Supabase if it exists
-        if (share.supabaseFilePath) {
-          const { error } = await deleteFile(share.supabaseFilePath);
-          if (error) {
-            console.error(`❌ Failed to delete file from Supabase: ${share.supabaseFilePath}`, error);
-            errors.push(`File deletion failed for ${share.supabaseFilePath}: ${error.message}`);
-          } else {
-            console.log(`✅ Deleted file from Supabase: ${share.supabaseFilePath}`);
-            fileDeletedCount++;
-          }
-        }
+  for (let batch = 0; batch < CLEANUP_MAX_BATCHES; batch++) {
+    const shares = await Share.find({ expiresAt: { $lt: now } })
+      .sort({ expiresAt: 1 })
+      .limit(CLEANUP_BATCH_SIZE)
+      .select('files fileUrl supabaseFilePath');
+
+    if (shares.length === 0) {
+      return;
+    }
+
+    const shareIds = shares.map(share => share._id);
+
+    // deleteMany skips the model's file hooks, the files are removed in bulk below.
+    // The expiry is checked again, in case an owner extended a share since it was loaded
+    const { deletedCount } = await Share.deleteMany({ _id: { $in: shareIds }, expiresAt: { $lt: now } });
+
+    const remaining = deletedCount === shares.length
+      ? new Set()
+      : new Set((await Share.find({ _id: { $in: shareIds } }).distinct('_id')).map(id => id.toString()));
+    const deletedShares = shares.filter(share => !remaining.has(share._id.toString()));
+
+    await removeFiles(deletedShares.flatMap(share => share.getStoredFiles()), context);
+    context.run.deletedShares += deletedShares.length;
+
+    console.log(`🗑️ Deleted ${deletedShares.length} expired shares (batch ${batch + 1})`);
+
+    if (shares.length < CLEANUP_BATCH_SIZE) {
+      return;
+    }
+    await context.renewLock();
+  }
+};
+
+/**
+ * Remove chunked upload sessions that were abandoned, along with their chunks on disk
+ * Completed uploads that never got attached to a share also have their stored file deleted
+ */
+const sweepStaleUploads = async (context) => {
+  const now = new Date();
 
-        // Delete the document from MongoDB
-        await Share.findByIdAndDelete(share._id);
-        deletedCount++;
-        console.log(`🗑️ Deleted expired share: ${share._id} (${share.title})`);
+  for (let batch = 0; batch < CLEANUP_MAX_BATCHES; batch++) {
+    const uploads = await UploadSession.find({ expiresAt: { $lt: now } })
+      .limit(CLEANUP_BATCH_SIZE)
+      .select('_id');
 
+    if (uploads.length === 0) {
+      return;
+    }
+
+    // Each session is deleted on its own with the expiry checked again: a chunk may have renewed it since
+    // it was loaded, or a share may have claimed it. Only the chunks and files of sessions deleted here are removed
+    const deletedUploads = [];
+    for (const { _id } of uploads) {
+      const upload = await UploadSession.findOneAndDelete({ _id, expiresAt: { $lt: now } });
+      if (upload) {
+        deletedUploads.push(upload);
+      }
+    }
+
+    for (const upload of deletedUploads) {
+      try {
+        await removeUploadDir(upload._id);
       } catch (error) {
-        console.error(`❌ Error deleting share ${share._id}:`, error);
-        errors.push(`Share deletion failed for ${share._id}: ${error.message}`);
+        context.addError(`Failed to remove the chunks of upload ${upload._id}: ${error.message}`);
       }
     }
 
-    const result = {
-      success: true,
-      deletedShares: deletedCount,
-      deletedFiles: fileDeletedCount,
-      totalExpired: expiredShares.length,
-      errors: errors,
-      timestamp: new Date().toISOString()
-    };
+    await removeFiles(deletedUploads.filter(upload => upload.storagePath), context);
+    context.run.deletedUploads += deletedUploads.length;
 
-    console.log('🧹 Cleanup completed:', result);
-    return result;
+    console.log(`🗑️ Deleted ${deletedUploads.length} stale uploads (batch ${batch + 1})`);
 
-  } catch (error) {
-    console.error('❌ Error during cleanup process:', error);
-    return {
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    };
+    if (uploads.length < CLEANUP_BATCH_SIZE) {
+      return;
+    }
+    await context.renewLock();
   }
 };
 
 /**
- * Clean up orphaned files in Supabase that don't have corresponding database records
- * This is useful for cleaning up files that might be left behind due to errors
+ * Retry the queued file deletions that are due
  */
-const cleanupOrphanedFiles = async () => {
-  try {
-    console.log('🔍 Starting cleanup of orphaned files...');
-    
-    // This would require listing all files in Supabase storage and comparing
-    // with database records. For now, we'll just return a placeholder
-    // as Supabase doesn't have a simple way to list all files without pagination
-    
-    console.log('⚠️ Orphaned file cleanup not implemented yet. This requires manual intervention.');
+const retryFileDeletions = async (context) => {
+  const now = new Date();
+
+  for (let batch = 0; batch < CLEANUP_MAX_BATCHES; batch++) {
+    const queued = await FileDeletion.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(CLEANUP_BATCH_SIZE);
+
+    if (queued.length === 0) {
+      return;
+    }
+
+    const { data } = await deleteStoredFiles(queued);
+
+    if (data.deleted.length > 0) {
+      await FileDeletion.deleteMany({ _id: { $in: data.deleted.map(entry => entry._id) } });
+      context.run.deletedFiles += data.deleted.length;
+      context.run.retriedFileDeletions += data.deleted.length;
+    }
+
+    for (const { file: entry, error } of data.failed) {
+      const attempts = entry.attempts + 1;
+      const abandoned = attempts >= FILE_DELETION_MAX_ATTEMPTS;
+
+      await FileDeletion.updateOne({ _id: entry._id }, {
+        attempts,
+        lastError: error.message || String(error),
+        status: abandoned ? 'failed' : 'pending',
+        nextAttemptAt: getNextDeletionAttempt(attempts)
+      });
+
+      if (abandoned) {
+        context.run.abandonedFileDeletions++;
+        context.addError(`Gave up deleting ${entry.storageDriver} file ${entry.storagePath} after ${attempts} attempts: ${error.message || error}`);
+      }
+    }
+
+    if (queued.length < CLEANUP_BATCH_SIZE) {
+      return;
+    }
+    await context.renewLock();
+  }
+};
+
+// Shape a run record for API responses
+const formatRun = (run) => ({
+  id: run._id,
+  trigger: run.trigger,
+  triggeredBy: run.triggeredBy,
+  owner: run.owner,
+  status: run.status,
+  deletedShares: run.deletedShares,
+  deletedFiles: run.deletedFiles,
+  deletedUploads: run.deletedUploads,
+  queuedFileDeletions: run.queuedFileDeletions,
+  retriedFileDeletions: run.retriedFileDeletions,
+  abandonedFileDeletions: run.abandonedFileDeletions,
+  errorCount: run.errorCount,
+  errors: run.errorMessages,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  durationMs: run.durationMs
+});
+
+/**
+ * Run the cleanup: expired shares, stale uploads, then the queued file deletions
+ * Only one process runs it at a time, others skip it while the lock is held
+ * @param {object} [options]
+ * @param {'scheduled'|'manual'} [options.trigger] - What started the run
+ * @param {string} [options.triggeredBy] - Admin token name of manual runs
+ * @returns {Promise<object>} The run record, or { skipped: true } when another process is cleaning up
+ */
+const runCleanup = async ({ trigger = 'scheduled', triggeredBy = null } = {}) => {
+  if (!await Lock.acquire(CLEANUP_LOCK, INSTANCE_ID, LOCK_TTL_MS)) {
+    const lock = await Lock.findById(CLEANUP_LOCK).lean();
+    console.log(`⏭️ Skipping cleanup, ${lock?.owner || 'another process'} is already running it`);
     return {
-      success: true,
-      message: 'Orphaned file cleanup requires manual implementation based on your specific needs',
+      success: false,
+      skipped: true,
+      error: 'Cleanup is already running',
+      lockedBy: lock?.owner || null,
+      lockedUntil: lock?.lockedUntil || null,
       timestamp: new Date().toISOString()
     };
+  }
+
+  const run = await CleanupRun.create({ trigger, triggeredBy, owner: INSTANCE_ID });
+  const context = createRunContext(run);
 
+  console.log(`🧹 Starting ${trigger} cleanup (run ${run._id})...`);
+
+  try {
+    await sweepExpiredShares(context);
+    await context.renewLock();
+    await sweepStaleUploads(context);
+    await context.renewLock();
+    await retryFileDeletions(context);
+    run.status = 'completed';
   } catch (error) {
-    console.error('❌ Error during orphaned file cleanup:', error);
+    context.addError(`Cleanup failed: ${error.message}`);
+    run.status = 'failed';
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save().catch(error => console.error('❌ Failed to save the cleanup run:', error));
+    await Lock.release(CLEANUP_LOCK, INSTANCE_ID).catch(error => console.error('❌ Failed to release the cleanup lock:', error));
+  }
+
+  const result = {
+    success: run.status === 'completed',
+    ...formatRun(run),
+    timestamp: new Date().toISOString()
+  };
+
+  console.log('🧹 Cleanup completed:', result);
+  return result;
+};
+
+// Share fields that hold where its files are stored
+const ORPHAN_SHARE_FIELDS = 'files fileUrl supabaseFilePath originalFileName';
+
+const getShareFilePaths = (share, storageDriver) => {
+  return share.getStoredFiles()
+    .filter(file => file.storageDriver === storageDriver)
+    .map(file => file.storagePath);
+};
+
+/**
+ * Collect every path of a driver the database refers to
+ * @param {string} storageDriver
+ * @param {string[]} [storagePaths] - Only look these paths up, instead of reading every share
+ * @returns {Promise<{referenced: Set<string>, queued: Set<string>}>}
+ */
+const findKnownPaths = async (storageDriver, storagePaths = null) => {
+  const referenced = new Set();
+  const pathFilter = storagePaths ? { $in: storagePaths } : { $ne: null };
+
+  // Legacy files are matched by the fields they were stored with
+  const shareConditions = [{ files: { $elemMatch: { storageDriver, storagePath: pathFilter } } }];
+  if (storageDriver === 'supabase') {
+    shareConditions.push({ supabaseFilePath: pathFilter }, { 'files.supabaseFilePath': pathFilter });
+  }
+  if (storageDriver === 'local') {
+    const urlFilter = storagePaths ? { $in: storagePaths.map(storagePath => `/uploads/${storagePath}`) } : /^\/uploads\//;
+    shareConditions.push({ fileUrl: urlFilter }, { 'files.fileUrl': urlFilter });
+  }
+
+  const shares = Share.find({ $or: shareConditions }).select(ORPHAN_SHARE_FIELDS).cursor();
+  for await (const share of shares) {
+    getShareFilePaths(share, storageDriver).forEach(storagePath => referenced.add(storagePath));
+  }
+
+  const uploadPaths = await UploadSession.find({ storageDriver, storagePath: pathFilter }).distinct('storagePath');
+  uploadPaths.forEach(storagePath => referenced.add(storagePath));
+
+  const queued = new Set(await FileDeletion.find({ storageDriver, storagePath: pathFilter }).distinct('storagePath'));
+
+  return { referenced, queued };
+};
+
+// Shape an orphan report for API responses, the orphan list is only included when asked for
+const formatOrphanReport = (report, { includeOrphans = false } = {}) => ({
+  id: report._id,
+  storageDriver: report.storageDriver,
+  dryRun: report.dryRun,
+  triggeredBy: report.triggeredBy,
+  owner: report.owner,
+  status: report.status,
+  graceHours: report.graceHours,
+  scannedFiles: report.scannedFiles,
+  referencedFiles: report.referencedFiles,
+  recentFiles: report.recentFiles,
+  queuedFiles: report.queuedFiles,
+  orphanedFiles: report.orphanedFiles,
+  orphanedBytes: report.orphanedBytes,
+  deletedFiles: report.deletedFiles,
+  queuedFileDeletions: report.queuedFileDeletions,
+  ...(includeOrphans ? { orphans: report.orphans } : {}),
+  errorCount: report.errorCount,
+  errors: report.errorMessages,
+  startedAt: report.startedAt,
+  finishedAt: report.finishedAt,
+  durationMs: report.durationMs
+});
+
+/**
+ * Walk the bucket page by page and delete (or only report) the files nothing refers to
+ */
+const reconcileOrphanedFiles = async (report, context) => {
+  const storage = getStorage(report.storageDriver);
+  const graceCutoff = new Date(Date.now() - report.graceHours * 60 * 60 * 1000);
+
+  // Loaded before the walk, files stored after this are younger than the grace period anyway
+  const { referenced, queued } = await findKnownPaths(report.storageDriver);
+  const orphans = [];
+  let cursor = null;
+
+  do {
+    const { data, error } = await storage.list({ cursor, limit: CLEANUP_BATCH_SIZE * 10 });
+    if (error) {
+      throw new Error(`Failed to list ${report.storageDriver} storage: ${error.message || error}`);
+    }
+
+    for (const file of data.files) {
+      report.scannedFiles++;
+
+      if (referenced.has(file.path)) {
+        report.referencedFiles++;
+      } else if (queued.has(file.path)) {
+        report.queuedFiles++;
+      } else if (!file.updatedAt || file.updatedAt > graceCutoff) {
+        report.recentFiles++;
+      } else {
+        orphans.push(file);
+        report.orphanedFiles++;
+        report.orphanedBytes += file.size || 0;
+        if (report.orphans.length < MAX_REPORTED_ORPHANS) {
+          report.orphans.push(file);
+        }
+      }
+    }
+
+    cursor = data.nextCursor;
+    await report.save();
+    await context.renewLock();
+  } while (cursor);
+
+  if (report.dryRun) {
+    return;
+  }
+
+  // Deleting while listing would shift the pages, so orphans are removed once the walk is done
+  for (let start = 0; start < orphans.length; start += CLEANUP_BATCH_SIZE) {
+    const batch = orphans.slice(start, start + CLEANUP_BATCH_SIZE);
+
+    // Check again, a share may have claimed a file since the paths were loaded
+    const known = await findKnownPaths(report.storageDriver, batch.map(file => file.path));
+    const files = batch
+      .filter(file => !known.referenced.has(file.path) && !known.queued.has(file.path))
+      .map(file => ({ storageDriver: report.storageDriver, storagePath: file.path }));
+
+    await removeFiles(files, context);
+    await context.renewLock();
+  }
+
+  console.log(`🗑️ Deleted ${report.deletedFiles} orphaned files from ${report.storageDriver} storage`);
+};
+
+/**
+ * Find stored files that no share, chunked upload or queued deletion refers to, and optionally delete them
+ * The walk can take a while on big buckets, so it runs in the background and the report is saved as it goes
+ * @param {object} [options]
+ * @param {string} [options.storageDriver] - Driver whose storage is walked, defaults to STORAGE_DRIVER
+ * @param {boolean} [options.dryRun] - Only report the orphans (the default)
+ * @param {string} [options.triggeredBy] - Admin token name
+ * @returns {Promise<object>} The report as it was started, with a `finished` promise resolving to the final report,
+ *   or { skipped: true } while another scan is running
+ */
+const cleanupOrphanedFiles = async ({ storageDriver = STORAGE_DRIVER, dryRun = true, triggeredBy = null } = {}) => {
+  if (!await Lock.acquire(ORPHAN_LOCK, INSTANCE_ID, LOCK_TTL_MS)) {
+    const lock = await Lock.findById(ORPHAN_LOCK).lean();
     return {
       success: false,
-      error: error.message,
+      skipped: true,
+      error: 'An orphaned file scan is already running',
+      lockedBy: lock?.owner || null,
+      lockedUntil: lock?.lockedUntil || null,
       timestamp: new Date().toISOString()
     };
   }
+
+  const report = await OrphanReport.create({
+    storageDriver,
+    dryRun,
+    triggeredBy,
+    owner: INSTANCE_ID,
+    graceHours: ORPHAN_GRACE_HOURS
+  });
+  const context = createRunContext(report, ORPHAN_LOCK);
+
+  console.log(`🔍 Starting ${dryRun ? 'dry run of the ' : ''}orphaned file scan of ${storageDriver} storage (report ${report._id})...`);
+
+  const finished = (async () => {
+    try {
+      await reconcileOrphanedFiles(report, context);
+      report.status = 'completed';
+    } catch (error) {
+      context.addError(`Orphaned file scan failed: ${error.message}`);
+      report.status = 'failed';
+    } finally {
+      report.finishedAt = new Date();
+      report.durationMs = report.finishedAt - report.startedAt;
+      await report.save().catch(error => console.error('❌ Failed to save the orphan report:', error));
+      await Lock.release(ORPHAN_LOCK, INSTANCE_ID).catch(error => console.error('❌ Failed to release the orphan scan lock:', error));
+    }
+
+    console.log(`🔍 Orphaned file scan ${report.status}: ${report.orphanedFiles} orphans in ${report.scannedFiles} files`);
+    return formatOrphanReport(report, { includeOrphans: true });
+  })();
+
+  return {
+    success: true,
+    report: formatOrphanReport(report),
+    finished
+  };
 };
 
 /**
- * Get cleanup statistics
+ * Get the latest orphaned file reports, without their orphan lists
+ */
+const getOrphanReports = async (limit = 20) => {
+  const reports = await OrphanReport.find().select('-orphans').sort({ startedAt: -1 }).limit(limit);
+  return reports.map(report => formatOrphanReport(report));
+};
+
+/**
+ * Get one orphaned file report, including the orphans it found
+ * @returns {Promise<object|null>} Null when the report doesn't exist or was dropped
+ */
+const getOrphanReport = async (reportId) => {
+  if (!mongoose.isValidObjectId(reportId)) {
+    return null;
+  }
+
+  const report = await OrphanReport.findById(reportId);
+  return report ? formatOrphanReport(report, { includeOrphans: true }) : null;
+};
+
+/**
+ * Get cleanup statistics, the state of the lock and retry queue, and the latest runs
  */
 const getCleanupStats = async () => {
   try {
@@ -116,12 +517,22 @@ const getCleanupStats = async () => {
       totalShares,
       recentShares,
       expiredShares,
-      sharesWithFiles
+      sharesWithFiles,
+      pendingUploads,
+      pendingFileDeletions,
+      failedFileDeletions,
+      lock,
+      recentRuns
     ] = await Promise.all([
       Share.countDocuments({}),
       Share.countDocuments({ createdAt: { $gte: oneHourAgo } }),
       Share.countDocuments({ expiresAt: { $lt: now } }),
-      Share.countDocuments({ supabaseFilePath: { $ne: null } })
+      Share.countDocuments({ $or: [{ fileUrl: { $ne: null } }, { 'files.0': { $exists: true } }] }),
+      UploadSession.countDocuments({ status: { $ne: 'completed' } }),
+      FileDeletion.countDocuments({ status: 'pending' }),
+      FileDeletion.countDocuments({ status: 'failed' }),
+      Lock.findById(CLEANUP_LOCK).lean(),
+      CleanupRun.find().sort({ startedAt: -1 }).limit(10)
     ]);
 
     return {
@@ -129,6 +540,14 @@ const getCleanupStats = async () => {
       recentShares, // Created in last hour
       expiredShares, // Should be cleaned up
       sharesWithFiles,
+      pendingUploads, // Chunked uploads still in progress
+      pendingFileDeletions, // Failed file deletions waiting for a retry
+      failedFileDeletions, // Out of attempts, need an admin
+      lock: lock && lock.lockedUntil > now
+        ? { owner: lock.owner, acquiredAt: lock.acquiredAt, lockedUntil: lock.lockedUntil }
+        : null,
+      lastRun: recentRuns[0] ? formatRun(recentRuns[0]) : null,
+      recentRuns: recentRuns.map(formatRun),
       timestamp: new Date().toISOString()
     };
 
@@ -142,20 +561,34 @@ const getCleanupStats = async () => {
 };
 
 /**
- * Schedule periodic cleanup (optional - can be used with cron jobs)
+ * Schedule periodic cleanup. Every server process schedules it, the lock lets one of them run it at a time
  */
-const scheduleCleanup = (intervalMinutes = 60) => {
+const scheduleCleanup = (intervalMinutes = CLEANUP_INTERVAL_MINUTES) => {
   console.log(`⏰ Scheduling cleanup to run every ${intervalMinutes} minutes`);
-  
+
+  let running = false;
+
   return setInterval(async () => {
-    console.log('🕐 Running scheduled cleanup...');
-    await cleanupExpiredShares();
+    // A run that takes longer than the interval isn't started twice by the same process
+    if (running) return;
+
+    running = true;
+    try {
+      console.log('🕐 Running scheduled cleanup...');
+      await runCleanup({ trigger: 'scheduled' });
+    } catch (error) {
+      console.error('❌ Scheduled cleanup error:', error);
+    } finally {
+      running = false;
+    }
   }, intervalMinutes * 60 * 1000);
 };
 
 module.exports = {
-  cleanupExpiredShares,
+  runCleanup,
   cleanupOrphanedFiles,
+  getOrphanReports,
+  getOrphanReport,
   getCleanupStats,
   scheduleCleanup
 };
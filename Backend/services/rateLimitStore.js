@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const RateLimitViolation = require('../models/RateLimitViolation');
+const { RATE_LIMIT_STORE } = require('../config/rateLimit');
+
+// Violations recorded by this process, all of them with the memory store or while MongoDB is unreachable
+const memoryViolations = new Map();
+
+let usingFallback = false;
+
+// Requests never wait for MongoDB to connect, they are counted in memory until it is
+const isMongoAvailable = () => RATE_LIMIT_STORE === 'mongo' && mongoose.connection.readyState === 1;
+
+/**
+ * Run an operation against MongoDB, or against this process's memory when MongoDB can't be used
+ * @param {Function} mongoOperation - Operation on the shared store
+ * @param {Function} memoryOperation - Same operation on the in-memory store
+ * @returns {Promise<*>} Result of whichever operation ran
+ */
+const withFallback = async (mongoOperation, memoryOperation) => {
+  if (!isMongoAvailable()) {
+    return memoryOperation();
+  }
+
+  try {
+    const result = await mongoOperation();
+    if (usingFallback) {
+      usingFallback = false;
+      console.log('✅ Rate limits are shared through MongoDB again');
+    }
+    return result;
+  } catch (error) {
+    if (!usingFallback) {
+      usingFallback = true;
+      console.error('⚠️ Rate limit store failed, counting in memory until MongoDB answers again:', error.message);
+    }
+    return memoryOperation();
+  }
+};
+
+/**
+ * Create the store of one rate limiter, for express-rate-limit and express-slow-down.
+ * Each limiter needs its own store
+ * @param {string} name - Name of the limiter, keeps its counters apart from the other limiters'
+ * @returns {object} Store
+ */
+const createRateLimitStore = (name) => {
+  const memoryStore = new MemoryStore();
+  let windowMs;
+
+  return {
+    prefix: name,
+    localKeys: RATE_LIMIT_STORE === 'memory',
+
+    init(options) {
+      windowMs = options.windowMs;
+      memoryStore.init(options);
+    },
+
+    get(key) {
+      return withFallback(async () => {
+        const counter = await RateLimitCounter.findOne({ limiter: name, key, resetAt: { $gt: new Date() } }).lean();
+        return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+      }, () => memoryStore.get(key));
+    },
+
+    increment(key) {
+      return withFallback(() => RateLimitCounter.hit(name, key, windowMs), () => memoryStore.increment(key));
+    },
+
+    async decrement(key) {
+      await withFallback(
+        () => RateLimitCounter.updateOne({ limiter: name, key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } }, { $inc: { hits: -1 } }),
+        () => memoryStore.decrement(key)
+      );
+    },
+
+    async resetKey(key) {
+      await withFallback(() => RateLimitCounter.deleteOne({ limiter: name, key }), () => memoryStore.resetKey(key));
+    },
+
+    async resetAll() {
+      await withFallback(() => RateLimitCounter.deleteMany({ limiter: name }), () => memoryStore.resetAll());
+    },
+
+    shutdown() {
+      memoryStore.shutdown();
+    }
+  };
+};
+
+/**
+ * Record a request refused by a rate limiter
+ * @param {string} key - Client key, IP address combined with the device fingerprint
+ * @param {number} windowMs - Window of the limiter, the violation counts as recent until it has passed
+ * @returns {Promise<void>}
+ */
+const recordViolation = async (key, windowMs) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + windowMs);
+
+  await withFallback(
+    () => RateLimitViolation.updateOne({ _id: key }, [{
+      $set: {
+        attempts: { $cond: [{ $gt: ['$expiresAt', now] }, { $add: ['$attempts', 1] }, 1] },
+        lastViolation: now,
+        expiresAt
+      }
+    }], { upsert: true }),
+    () => {
+      const previous = memoryViolations.get(key);
+      memoryViolations.set(key, {
+        attempts: previous && previous.expiresAt > now ? previous.attempts + 1 : 1,
+        lastViolation: now,
+        expiresAt
+      });
+    }
+  );
+};
+
+/**
+ * List the devices that ran into a rate limit recently
+ * @returns {Promise<Array<{deviceFingerprint: string, violations: number, lastViolation: string}>>} Most violations first
+ */
+const getRecentViolations = async () => {
+  const now = new Date();
+
+  const violations = await withFallback(
+    async () => {
+      const recent = await RateLimitViolation.find({ expiresAt: { $gt: now } }).lean();
+      return recent.map(({ _id, ...violation }) => ({ key: _id, ...violation }));
+    },
+    () => {
+      const recent = [];
+      for (const [key, violation] of memoryViolations.entries()) {
+        if (violation.expiresAt > now) {
+          recent.push({ key, ...violation });
+        } else {
+          memoryViolations.delete(key);
+        }
+      }
+      return recent;
+    }
+  );
+
+  return violations
+    .map(violation => ({
+      deviceFingerprint: violation.key,
+      violations: violation.attempts,
+      lastViolation: violation.lastViolation.toISOString()
+    }))
+    .sort((a, b) => b.violations - a.violations);
+};
+
+/**
+ * Where rate limits are currently kept
+ * @returns {string} 'mongo' when shared between instances, 'memory' when only this process counts
+ */
+const getRateLimitStoreMode = () => (isMongoAvailable() && !usingFallback ? 'mongo' : 'memory');
+
+module.exports = {
+  createRateLimitStore,
+  recordViolation,
+  getRecentViolations,
+  getRateLimitStoreMode
+};
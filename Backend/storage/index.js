@@ -0,0 +1,193 @@
+const { createSupabaseDriver } = require('./supabaseDriver');
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+/**
+ * Storage drivers
+ *
+ * Every driver implements the same interface, with methods resolving to { data, error }
+ * like the Supabase client does:
+ *   upload(body, path, { mimeType })  Store a Buffer or readable stream under path
+ *   delete(path)                      Remove a stored file
+ *   deleteMany(paths)                 Remove several stored files, data is { deleted: [path], failed: [{ path, error }] }
+ *   stream(path)                      Open a stored file as a readable stream
+ *   list({ prefix, cursor, limit })   List a page of the files under prefix, subfolders included,
+ *                                     data is { files: [{ path, size, updatedAt }], nextCursor }. Pass nextCursor back
+ *                                     for the next page, it is null on the last one. Pages may be short, even empty
+ *
+ * Files are private. Drivers that can hand out temporary links also implement:
+ *   getSignedUrl(path, { expiresIn, downloadName })  Resolves to { signedUrl }
+ */
+const driverFactories = {
+  supabase: createSupabaseDriver,
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+// Names of every storage driver
+const STORAGE_DRIVERS = Object.keys(driverFactories);
+
+// Driver new files are stored with, selected by the STORAGE_DRIVER env var
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+// How long signed file URLs stay valid, in seconds
+const SIGNED_URL_EXPIRES_IN = parseInt(process.env.SIGNED_URL_EXPIRES_SECONDS, 10) || 300;
+
+// Drivers are created on first use, so unused ones never need their env vars or SDKs
+const drivers = new Map();
+
+/**
+ * Get a storage driver by name
+ * @param {string} [name] - Driver name, defaults to the configured STORAGE_DRIVER
+ * @returns {object} The driver
+ */
+const getStorage = (name = STORAGE_DRIVER) => {
+  if (!driverFactories[name]) {
+    throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(driverFactories).join(', ')}`);
+  }
+
+  if (!drivers.has(name)) {
+    drivers.set(name, driverFactories[name]());
+  }
+
+  return drivers.get(name);
+};
+
+/**
+ * Generate a unique storage path with timestamp and random string
+ * @param {string} originalName - The original file name
+ * @returns {string} A unique file name
+ */
+const generateUniqueFileName = (originalName) => {
+  const timestamp = Date.now();
+  const randomString = Math.round(Math.random() * 1E9);
+  const extension = originalName.split('.').pop();
+  const nameWithoutExt = originalName.split('.').slice(0, -1).join('.');
+
+  return `${timestamp}-${randomString}-${nameWithoutExt}.${extension}`;
+};
+
+/**
+ * Store a file with the configured driver
+ * @param {Buffer|Readable} body - The file contents
+ * @param {string} originalName - Used to build the unique storage path
+ * @param {string} mimeType - The MIME type of the file
+ * @returns {Promise<{data: {storageDriver: string, storagePath: string}, error: object}>}
+ */
+const storeFile = async (body, originalName, mimeType) => {
+  const storage = getStorage();
+  const { data, error } = await storage.upload(body, generateUniqueFileName(originalName), { mimeType });
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  return {
+    data: {
+      storageDriver: storage.name,
+      storagePath: data.path
+    },
+    error: null
+  };
+};
+
+/**
+ * Delete a stored file with the driver it was stored with
+ * @param {{storageDriver: string, storagePath: string}} file
+ * @returns {Promise<{data: object, error: object}>}
+ */
+const deleteStoredFile = async (file) => {
+  try {
+    return await getStorage(file.storageDriver).delete(file.storagePath);
+  } catch (error) {
+    return { data: null, error };
+  }
+};
+
+/**
+ * Delete many stored files, in as few requests per driver as it allows
+ * @param {{storageDriver: string, storagePath: string}[]} files
+ * @returns {Promise<{data: {deleted: object[], failed: {file: object, error: object}[]}, error: object}>}
+ *   Every file ends up in either deleted or failed
+ */
+const deleteStoredFiles = async (files) => {
+  const deleted = [];
+  const failed = [];
+
+  const filesByDriver = new Map();
+  for (const file of files) {
+    if (!filesByDriver.has(file.storageDriver)) {
+      filesByDriver.set(file.storageDriver, []);
+    }
+    filesByDriver.get(file.storageDriver).push(file);
+  }
+
+  for (const [driverName, driverFiles] of filesByDriver) {
+    try {
+      const { data } = await getStorage(driverName).deleteMany(driverFiles.map(file => file.storagePath));
+      const errors = new Map(data.failed.map(({ path, error }) => [path, error]));
+
+      driverFiles.forEach(file => {
+        if (errors.has(file.storagePath)) {
+          failed.push({ file, error: errors.get(file.storagePath) });
+        } else {
+          deleted.push(file);
+        }
+      });
+    } catch (error) {
+      // Unknown driver, or one whose credentials are gone
+      driverFiles.forEach(file => failed.push({ file, error }));
+    }
+  }
+
+  return { data: { deleted, failed }, error: null };
+};
+
+/**
+ * Open a stored file as a readable stream
+ * @param {{storageDriver: string, storagePath: string}} file
+ * @returns {Promise<{data: Readable, error: object}>}
+ */
+const openStoredFile = async (file) => {
+  try {
+    return await getStorage(file.storageDriver).stream(file.storagePath);
+  } catch (error) {
+    return { data: null, error };
+  }
+};
+
+/**
+ * Create a short-lived URL a stored file can be downloaded from directly
+ * @param {{storageDriver: string, storagePath: string, originalFileName: string}} file
+ * @returns {Promise<{data: string|null, error: object}>} The signed URL, or null if the driver can't sign URLs
+ */
+const getSignedFileUrl = async (file) => {
+  try {
+    const storage = getStorage(file.storageDriver);
+    if (!storage.getSignedUrl) {
+      return { data: null, error: null };
+    }
+
+    const { data, error } = await storage.getSignedUrl(file.storagePath, {
+      expiresIn: SIGNED_URL_EXPIRES_IN,
+      downloadName: file.originalFileName
+    });
+
+    return { data: data ? data.signedUrl : null, error };
+  } catch (error) {
+    return { data: null, error };
+  }
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  STORAGE_DRIVER,
+  SIGNED_URL_EXPIRES_IN,
+  getStorage,
+  generateUniqueFileName,
+  storeFile,
+  deleteStoredFile,
+  deleteStoredFiles,
+  openStoredFile,
+  getSignedFileUrl
+};
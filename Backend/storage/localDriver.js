@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Files returned per page when listing
+const LIST_PAGE_SIZE = 1000;
+
+// Directory files are written to (defaults to Backend/uploads, where legacy local files already live)
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+
+/**
+ * Storage driver that keeps files on the local filesystem, for self-hosting and for running without Supabase
+ * It has no signed URLs, so files are always streamed through the API
+ */
+const createLocalDriver = () => {
+  // Keep every path inside the storage directory
+  const resolvePath = (filePath) => {
+    const fullPath = path.resolve(LOCAL_STORAGE_DIR, filePath);
+    if (!fullPath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+      throw new Error(`Invalid storage path: ${filePath}`);
+    }
+    return fullPath;
+  };
+
+  // Walk the storage directory, returning file paths relative to it. Uploads never start with a dot,
+  // so dotfiles like the .gitkeep of Backend/uploads are left out and never reported as orphans
+  const listDirectory = async (directory) => {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    const filePaths = [];
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const fullPath = path.join(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        filePaths.push(...await listDirectory(fullPath));
+      } else if (entry.isFile()) {
+        filePaths.push(path.relative(LOCAL_STORAGE_DIR, fullPath).split(path.sep).join('/'));
+      }
+    }
+
+    return filePaths;
+  };
+
+  return {
+    name: 'local',
+
+    async upload(body, filePath, options = {}) {
+      try {
+        const fullPath = resolvePath(filePath);
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+        // 'wx' refuses to overwrite, matching the other drivers
+        if (Buffer.isBuffer(body)) {
+          await fs.promises.writeFile(fullPath, body, { flag: 'wx' });
+        } else {
+          await pipeline(body, fs.createWriteStream(fullPath, { flags: 'wx' }));
+        }
+
+        return { data: { path: filePath }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async delete(filePath) {
+      try {
+        await fs.promises.rm(resolvePath(filePath), { force: true });
+        return { data: { path: filePath }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async deleteMany(filePaths) {
+      const deleted = [];
+      const failed = [];
+
+      for (const filePath of filePaths) {
+        const { error } = await this.delete(filePath);
+        if (error) {
+          failed.push({ path: filePath, error });
+        } else {
+          deleted.push(filePath);
+        }
+      }
+
+      return { data: { deleted, failed }, error: null };
+    },
+
+    async stream(filePath) {
+      try {
+        const fullPath = resolvePath(filePath);
+        await fs.promises.access(fullPath, fs.constants.R_OK);
+        return { data: fs.createReadStream(fullPath), error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async list({ prefix = '', cursor = null, limit = LIST_PAGE_SIZE } = {}) {
+      try {
+        const directory = prefix ? resolvePath(prefix) : LOCAL_STORAGE_DIR;
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        // Sorted, so the offset in the cursor points at the same file on the next call
+        const filePaths = (await listDirectory(directory)).sort();
+        const offset = parseInt(cursor) || 0;
+        const page = filePaths.slice(offset, offset + limit);
+
+        const files = await Promise.all(page.map(async (filePath) => {
+          const stats = await fs.promises.stat(resolvePath(filePath));
+          return { path: filePath, size: stats.size, updatedAt: stats.mtime };
+        }));
+
+        return {
+          data: { files, nextCursor: offset + limit < filePaths.length ? String(offset + limit) : null },
+          error: null
+        };
+      } catch (error) {
+        return { data: null, error };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createLocalDriver,
+  LOCAL_STORAGE_DIR
+};
@@ -0,0 +1,148 @@
+/**
+ * Storage driver for Amazon S3 and S3-compatible services (MinIO, Cloudflare R2, Backblaze B2, ...)
+ * The AWS SDK is only loaded when this driver is selected
+ */
+const createS3Driver = () => {
+  const {
+    S3Client,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    GetObjectCommand,
+    ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+  const { Upload } = require('@aws-sdk/lib-storage');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('Missing S3_BUCKET environment variable. Please set it in your .env file');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // Most self-hosted S3-compatible services need path-style URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined // Fall back to the default AWS credential chain
+  });
+
+  return {
+    name: 's3',
+
+    async upload(body, filePath, { mimeType } = {}) {
+      try {
+        // Multipart upload, so streams of unknown length work too
+        const upload = new Upload({
+          client,
+          params: {
+            Bucket: bucket,
+            Key: filePath,
+            Body: body,
+            ContentType: mimeType
+          }
+        });
+        await upload.done();
+
+        return { data: { path: filePath }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async delete(filePath) {
+      try {
+        const data = await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: filePath }));
+        return { data, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async deleteMany(filePaths) {
+      const deleted = [];
+      const failed = [];
+
+      // DeleteObjects takes at most 1000 keys per request
+      for (let start = 0; start < filePaths.length; start += 1000) {
+        const batch = filePaths.slice(start, start + 1000);
+
+        try {
+          const { Errors = [] } = await client.send(new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+          }));
+
+          const errors = new Map(Errors.map(({ Key, Code, Message }) => [Key, new Error(`${Code}: ${Message}`)]));
+          batch.forEach(path => {
+            if (errors.has(path)) {
+              failed.push({ path, error: errors.get(path) });
+            } else {
+              deleted.push(path);
+            }
+          });
+        } catch (error) {
+          batch.forEach(path => failed.push({ path, error }));
+        }
+      }
+
+      return { data: { deleted, failed }, error: null };
+    },
+
+    async getSignedUrl(filePath, { expiresIn, downloadName } = {}) {
+      try {
+        const command = new GetObjectCommand({
+          Bucket: bucket,
+          Key: filePath,
+          ResponseContentDisposition: downloadName
+            ? `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`
+            : 'attachment'
+        });
+        const signedUrl = await getSignedUrl(client, command, { expiresIn });
+
+        return { data: { signedUrl }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async stream(filePath) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: filePath }));
+        return { data: Body, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async list({ prefix = '', cursor = null, limit = 1000 } = {}) {
+      try {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: cursor || undefined,
+          MaxKeys: limit
+        }));
+
+        const files = (page.Contents || []).map(object => ({
+          path: object.Key,
+          size: object.Size,
+          updatedAt: object.LastModified
+        }));
+
+        return {
+          data: { files, nextCursor: page.IsTruncated ? page.NextContinuationToken : null },
+          error: null
+        };
+      } catch (error) {
+        return { data: null, error };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createS3Driver
+};
@@ -0,0 +1,113 @@
+const { Readable } = require('stream');
+
+// Page size used when listing the bucket
+const LIST_PAGE_SIZE = 1000;
+
+// Most paths removed in one request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Storage driver backed by a Supabase Storage bucket
+ * The Supabase client is only loaded (and its env vars checked) when this driver is selected
+ */
+const createSupabaseDriver = () => {
+  const { supabase, uploadFile, deleteFile, deleteFiles, createSignedUrl, STORAGE_BUCKET } = require('../config/supabase');
+
+  return {
+    name: 'supabase',
+
+    async upload(body, filePath, { mimeType } = {}) {
+      const { data, error } = await uploadFile(body, filePath, mimeType);
+      return { data: data ? { path: data.path } : null, error };
+    },
+
+    async delete(filePath) {
+      return deleteFile(filePath);
+    },
+
+    async deleteMany(filePaths) {
+      const deleted = [];
+      const failed = [];
+
+      for (let start = 0; start < filePaths.length; start += DELETE_BATCH_SIZE) {
+        const batch = filePaths.slice(start, start + DELETE_BATCH_SIZE);
+        const { error } = await deleteFiles(batch);
+
+        if (error) {
+          batch.forEach(path => failed.push({ path, error }));
+        } else {
+          deleted.push(...batch);
+        }
+      }
+
+      return { data: { deleted, failed }, error: null };
+    },
+
+    async getSignedUrl(filePath, { expiresIn, downloadName } = {}) {
+      const { data, error } = await createSignedUrl(filePath, expiresIn, downloadName);
+      return { data: data ? { signedUrl: data.signedUrl } : null, error };
+    },
+
+    async stream(filePath) {
+      try {
+        const { data, error } = await supabase.storage
+          .from(STORAGE_BUCKET)
+          .download(filePath);
+
+        if (error) {
+          return { data: null, error };
+        }
+
+        return { data: Readable.fromWeb(data.stream()), error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    // Supabase lists one folder at a time, so the cursor holds the folder being listed, the offset in it
+    // and the subfolders still to visit. A page can hold fewer than `limit` files, or none, while folders remain
+    async list({ prefix = '', cursor = null, limit = LIST_PAGE_SIZE } = {}) {
+      try {
+        const position = cursor
+          ? JSON.parse(Buffer.from(cursor, 'base64url').toString())
+          : { folder: prefix, offset: 0, pending: [] };
+
+        const { data, error } = await supabase.storage
+          .from(STORAGE_BUCKET)
+          .list(position.folder, { limit, offset: position.offset, sortBy: { column: 'name', order: 'asc' } });
+
+        if (error) {
+          return { data: null, error };
+        }
+
+        const toPath = (name) => (position.folder ? `${position.folder}/${name}` : name);
+
+        // Folders come back without an id
+        const files = data.filter(item => item.id).map(item => ({
+          path: toPath(item.name),
+          size: item.metadata?.size ?? null,
+          updatedAt: item.updated_at ? new Date(item.updated_at) : null
+        }));
+        const pending = position.pending.concat(data.filter(item => !item.id).map(item => toPath(item.name)));
+
+        let next = null;
+        if (data.length === limit) {
+          next = { folder: position.folder, offset: position.offset + limit, pending };
+        } else if (pending.length > 0) {
+          next = { folder: pending[0], offset: 0, pending: pending.slice(1) };
+        }
+
+        return {
+          data: { files, nextCursor: next ? Buffer.from(JSON.stringify(next)).toString('base64url') : null },
+          error: null
+        };
+      } catch (error) {
+        return { data: null, error };
+      }
+    }
+  };
+};
+
+module.exports = {
+  createSupabaseDriver
+};
@@ -0,0 +1,104 @@
+/**
+ * Test script to verify access tokens of password-protected shares
+ */
+
+const crypto = require('crypto');
+
+const SECRET = 'test-access-token-secret';
+
+// The secret is read when config/accessToken.js loads, so load it again for every secret
+const loadAccessToken = (secret) => {
+  const originalSecret = process.env.ACCESS_TOKEN_SECRET;
+  process.env.ACCESS_TOKEN_SECRET = secret;
+
+  try {
+    delete require.cache[require.resolve('./config/accessToken')];
+    return require('./config/accessToken');
+  } finally {
+    if (originalSecret === undefined) {
+      delete process.env.ACCESS_TOKEN_SECRET;
+    } else {
+      process.env.ACCESS_TOKEN_SECRET = originalSecret;
+    }
+  }
+};
+
+// Mock share document, as selected with +password
+const createMockShare = (password = '$2a$10$hashedpassword') => {
+  const id = crypto.randomBytes(12).toString('hex');
+  return { _id: { toString: () => id }, password };
+};
+
+// Sign a token the way the server does, to forge tokens with a valid signature but other claims
+const signToken = (share, expiresAt, password = share.password) => {
+  const signature = crypto
+    .createHmac('sha256', SECRET)
+    .update(`${share._id.toString()}.${expiresAt}.${password}`)
+    .digest('base64url');
+  return `${expiresAt}.${signature}`;
+};
+
+// Test function
+const testAccessTokens = () => {
+  console.log('🧪 Testing Access Tokens...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+
+  const { ACCESS_TOKEN_EXPIRES_SECONDS, createAccessToken, verifyAccessToken } = loadAccessToken(SECRET);
+  const share = createMockShare();
+
+  console.log('1. Issuing tokens:');
+  const before = Date.now();
+  const { accessToken, expiresAt } = createAccessToken(share);
+  console.log('   Token:', accessToken);
+  check('Token is "<expiry>.<signature>"', /^\d+\.[A-Za-z0-9_-]+$/.test(accessToken));
+  check(`Token expires after ${ACCESS_TOKEN_EXPIRES_SECONDS} seconds`,
+    Math.abs(expiresAt.getTime() - before - ACCESS_TOKEN_EXPIRES_SECONDS * 1000) < 2000);
+  check('Token unlocks the share it was issued for', verifyAccessToken(accessToken, share));
+
+  console.log('\n2. Rejecting tokens for another share or password:');
+  check('Token is refused for another share', !verifyAccessToken(accessToken, createMockShare()));
+  check('Changing the password revokes the token', !verifyAccessToken(accessToken, { ...share, password: '$2a$10$otherpassword' }));
+  check('Removing the password revokes the token', !verifyAccessToken(accessToken, { ...share, password: null }));
+  check('Token signed with another secret is refused', !verifyAccessToken(loadAccessToken('another-secret').createAccessToken(share).accessToken, share));
+
+  console.log('\n3. Rejecting expired and tampered tokens:');
+  const expired = Math.floor(Date.now() / 1000) - 1;
+  check('Token signed here like the server does is accepted', verifyAccessToken(signToken(share, expired + 60), share));
+  check('Correctly signed but expired token is refused', !verifyAccessToken(signToken(share, expired), share));
+  const [tokenExpiry, signature] = accessToken.split('.');
+  const changedSignature = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+  check('Pushing the expiry back breaks the signature', !verifyAccessToken(`${Number(tokenExpiry) + 3600}.${signature}`, share));
+  check('Changed signature is refused', !verifyAccessToken(`${tokenExpiry}.${changedSignature}`, share));
+
+  console.log('\n4. Rejecting malformed tokens:');
+  ['', null, undefined, 42, 'no-dot', `.${signature}`, `abc.${signature}`, `${tokenExpiry}.`].forEach(token => {
+    check(`Malformed token ${JSON.stringify(token)} is refused`, !verifyAccessToken(token, share));
+  });
+
+  if (allTestsPassed) {
+    console.log('\n✅ All access token tests passed successfully!');
+  } else {
+    console.log('\n❌ Some access token tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Export for potential use in other tests
+module.exports = { testAccessTokens };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  try {
+    process.exit(testAccessTokens() ? 0 : 1);
+  } catch (error) {
+    console.error('\n💥 Access token tests failed:', error);
+    process.exit(1);
+  }
+}
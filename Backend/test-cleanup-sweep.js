@@ -0,0 +1,254 @@
+/**
+ * Test script to verify the retry schedule of failed file deletions and the stale upload sweep of the cleanup service
+ *
+ * Runs without a database: the model calls made by a cleanup run are replaced by in-memory versions,
+ * storage deletes are only recorded and chunks are written to a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read when config/chunkUpload.js loads, so it is set before the cleanup service is loaded
+const chunkDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vanishbin-cleanup-'));
+process.env.CHUNK_UPLOAD_DIR = chunkDir;
+
+const storage = require('./storage');
+
+// Stored files the test deleted, by storage path. Paths containing "broken" fail to delete.
+// The cleanup service keeps its own reference to deleteStoredFiles, so it is replaced before the service is loaded
+const deletedFiles = [];
+storage.deleteStoredFiles = async (files) => {
+  const deleted = files.filter(file => !file.storagePath.includes('broken'));
+  deletedFiles.push(...deleted.map(file => file.storagePath));
+  return {
+    data: {
+      deleted,
+      failed: files.filter(file => file.storagePath.includes('broken')).map(file => ({ file, error: new Error('Storage unavailable') }))
+    },
+    error: null
+  };
+};
+
+const Share = require('./models/Share');
+const UploadSession = require('./models/UploadSession');
+const Lock = require('./models/Lock');
+const FileDeletion = require('./models/FileDeletion');
+const CleanupRun = require('./models/CleanupRun');
+const { FILE_DELETION_MAX_ATTEMPTS, getNextDeletionAttempt } = require('./config/cleanup');
+const { getUploadDir } = require('./config/chunkUpload');
+const { runCleanup } = require('./services/cleanupService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Resolves to the given result however the query is chained
+const query = (getResult) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve().then(getResult).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Upload sessions and queued file deletions kept in memory instead of MongoDB, by id
+const sessions = new Map();
+const fileDeletions = new Map();
+
+// Called after the sweep has loaded the stale sessions, to change them before they are deleted
+let afterStaleUploadsFound = () => {};
+
+Lock.acquire = async () => true;
+Lock.renew = async () => true;
+Lock.release = async () => true;
+CleanupRun.create = async (data) => {
+  const run = new CleanupRun(data);
+  run.save = async () => run;
+  return run;
+};
+Share.find = () => query(() => []);
+
+UploadSession.find = (filter) => query(() => {
+  const found = [...sessions.values()].filter(session => session.expiresAt < filter.expiresAt.$lt);
+  afterStaleUploadsFound();
+  return found.map(session => ({ _id: session._id }));
+});
+UploadSession.findOneAndDelete = async (filter) => {
+  const session = sessions.get(String(filter._id));
+  if (!session || !(session.expiresAt < filter.expiresAt.$lt)) {
+    return null;
+  }
+
+  sessions.delete(String(filter._id));
+  return session;
+};
+
+FileDeletion.find = (filter) => query(() => [...fileDeletions.values()]
+  .filter(entry => entry.status === filter.status && entry.nextAttemptAt <= filter.nextAttemptAt.$lte));
+FileDeletion.deleteMany = async (filter) => {
+  filter._id.$in.forEach(id => fileDeletions.delete(String(id)));
+};
+FileDeletion.updateOne = async (filter, update) => {
+  Object.assign(fileDeletions.get(String(filter._id)), update);
+};
+FileDeletion.bulkWrite = async (operations) => {
+  operations.forEach(({ updateOne: { filter, update } }) => {
+    const existing = [...fileDeletions.values()].find(entry => entry.storagePath === filter.storagePath);
+    if (existing) {
+      Object.assign(existing, update.$set);
+    } else {
+      queueFileDeletion({ ...filter, ...update.$setOnInsert, ...update.$set });
+    }
+  });
+};
+
+const queueFileDeletion = (data) => {
+  const entry = new FileDeletion(data);
+  fileDeletions.set(String(entry._id), entry);
+  return entry;
+};
+
+// Create an upload session whose chunks sit on disk, expired unless given a later expiry
+const createUpload = (storagePath, expiresAt = new Date(Date.now() - MINUTE)) => {
+  const session = new UploadSession({
+    fileName: 'report.pdf',
+    fileSize: 1000,
+    mimeType: 'application/pdf',
+    chunkSize: 1000,
+    totalChunks: 1,
+    uploadTokenHash: UploadSession.hashUploadToken('token'),
+    storageDriver: storagePath ? 'local' : null,
+    storagePath,
+    expiresAt
+  });
+  fs.mkdirSync(getUploadDir(session._id), { recursive: true });
+  fs.writeFileSync(path.join(getUploadDir(session._id), '0.part'), 'chunk');
+  sessions.set(String(session._id), session);
+  return session;
+};
+
+const hasChunks = (session) => fs.existsSync(getUploadDir(session._id));
+
+// Run the cleanup with its logs kept out of the test output
+const runQuietCleanup = async () => {
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await runCleanup();
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+};
+
+// Checks run by the test function below
+const runCleanupSweepChecks = async () => {
+  console.log('🧪 Testing Cleanup Retries and Stale Upload Sweep...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+  const getDelay = (attempts) => {
+    const before = Date.now();
+    const delay = getNextDeletionAttempt(attempts) - before;
+    // Allows for the clock moving on while the date is worked out
+    return Math.round(delay / 1000) * 1000;
+  };
+
+  console.log('1. Retry schedule of failed file deletions (1 minute doubling up to 1 day):');
+  [[1, MINUTE], [2, 2 * MINUTE], [3, 4 * MINUTE], [5, 16 * MINUTE], [11, 1024 * MINUTE], [12, DAY]].forEach(([attempts, expected]) => {
+    const delay = getDelay(attempts);
+    check(`${attempts} failed attempt${attempts === 1 ? '' : 's'}: retried after ${delay / MINUTE} minute${delay === MINUTE ? '' : 's'}`, delay === expected);
+  });
+  [50, 1100, Number.MAX_SAFE_INTEGER].forEach(attempts => {
+    check(`${attempts} failed attempts: capped at 1 day`, getDelay(attempts) === DAY);
+  });
+
+  console.log('\n2. Sweeping stale uploads:');
+  const abandoned = createUpload(null);
+  const completed = createUpload('completed.pdf');
+  const active = createUpload('active.pdf', new Date(Date.now() + DAY));
+  const renewed = createUpload(null);
+  const claimed = createUpload('claimed.pdf');
+  afterStaleUploadsFound = () => {
+    // A chunk arrives and a share claims an upload between loading the stale sessions and deleting them
+    renewed.expiresAt = new Date(Date.now() + DAY);
+    sessions.delete(String(claimed._id));
+    afterStaleUploadsFound = () => {};
+  };
+
+  const run = await runQuietCleanup();
+  check('The run completes', run.success === true && run.errorCount === 0);
+  check('Stale sessions are deleted with their chunks',
+    !sessions.has(String(abandoned._id)) && !hasChunks(abandoned) && !sessions.has(String(completed._id)) && !hasChunks(completed));
+  check('The file of a completed upload nobody attached is deleted', deletedFiles.includes('completed.pdf'));
+  check('Sessions that haven\'t expired are left alone', sessions.has(String(active._id)) && hasChunks(active));
+  check('A session renewed during the sweep keeps its chunks', sessions.has(String(renewed._id)) && hasChunks(renewed));
+  check('The file of an upload claimed during the sweep is kept', !deletedFiles.includes('claimed.pdf') && hasChunks(claimed));
+  check(`Only the deleted sessions are counted: ${run.deletedUploads}`, run.deletedUploads === 2);
+
+  console.log('\n3. Queueing and retrying failed file deletions:');
+  createUpload('broken-upload.pdf');
+  const queuedRun = await runQuietCleanup();
+  const [queued] = [...fileDeletions.values()];
+  check('A file that fails to delete is queued', queuedRun.queuedFileDeletions === 1 && queued?.storagePath === 'broken-upload.pdf');
+  check('The queued deletion is retried after a minute',
+    queued?.attempts === 1 && Math.abs(queued.nextAttemptAt - Date.now() - MINUTE) < 5000);
+
+  const due = queueFileDeletion({ storageDriver: 'local', storagePath: 'due.pdf', attempts: 2, nextAttemptAt: new Date(Date.now() - MINUTE) });
+  const failing = queueFileDeletion({ storageDriver: 'local', storagePath: 'broken-due.pdf', attempts: 2, nextAttemptAt: new Date(Date.now() - MINUTE) });
+  const lastTry = queueFileDeletion({
+    storageDriver: 'local',
+    storagePath: 'broken-last.pdf',
+    attempts: FILE_DELETION_MAX_ATTEMPTS - 1,
+    nextAttemptAt: new Date(Date.now() - MINUTE)
+  });
+  const retryRun = await runQuietCleanup();
+  check('A due deletion that succeeds leaves the queue', !fileDeletions.has(String(due._id)) && deletedFiles.includes('due.pdf'));
+  check('Deletions that aren\'t due yet are left for later', fileDeletions.has(String(queued._id)) && queued.attempts === 1);
+  check('A retry that fails again backs off further',
+    failing.attempts === 3 && failing.status === 'pending' && Math.abs(failing.nextAttemptAt - Date.now() - 4 * MINUTE) < 5000);
+  check(`A deletion is given up after ${FILE_DELETION_MAX_ATTEMPTS} attempts`,
+    lastTry.attempts === FILE_DELETION_MAX_ATTEMPTS && lastTry.status === 'failed' && retryRun.abandonedFileDeletions === 1);
+  check('Given up deletions are reported as errors', retryRun.errorCount === 1 && /Gave up deleting/.test(retryRun.errors[0]));
+
+  const finalRun = await runQuietCleanup();
+  check('Given up deletions aren\'t retried', finalRun.retriedFileDeletions === 0 && finalRun.abandonedFileDeletions === 0);
+
+  if (allTestsPassed) {
+    console.log('\n✅ All cleanup sweep tests passed successfully!');
+  } else {
+    console.log('\n❌ Some cleanup sweep tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Test function, removes the chunks it wrote however it ends
+const testCleanupSweep = async () => {
+  try {
+    return await runCleanupSweepChecks();
+  } finally {
+    fs.rmSync(chunkDir, { recursive: true, force: true });
+  }
+};
+
+// Export for potential use in other tests
+module.exports = { testCleanupSweep };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testCleanupSweep()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('\n💥 Cleanup sweep tests failed:', error);
+      process.exit(1);
+    });
+}
@@ -1,7 +1,7 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 const connectDB = require('./config/database');
-const { cleanupExpiredShares, getCleanupStats } = require('./services/cleanupService');
+const { runCleanup, getCleanupStats } = require('./services/cleanupService');
 const Share = require('./models/Share');
 
 const testCleanup = async () => {
@@ -14,7 +14,7 @@ const testCleanup = async () => {
     console.log('Stats before cleanup:', statsBefore);
 
     console.log('\n📋 Listing all shares with their expiration status...');
-    const allShares = await Share.find({}).select('title createdAt expiresAt supabaseFilePath');
+    const allShares = await Share.find({}).select('title createdAt expiresAt files fileUrl supabaseFilePath');
     const now = new Date();
     
     allShares.forEach(share => {
@@ -26,12 +26,12 @@ const testCleanup = async () => {
       console.log(`   Created: ${share.createdAt.toISOString()}`);
       console.log(`   Expires: ${share.expiresAt.toISOString()}`);
       console.log(`   Status: ${isExpired ? '❌ EXPIRED' : `✅ Active (${minutesUntilExpiry} min remaining)`}`);
-      console.log(`   Has file: ${share.supabaseFilePath ? '📁 Yes' : '❌ No'}`);
+      console.log(`   Has file: ${share.getStoredFiles().length > 0 ? '📁 Yes' : '❌ No'}`);
       console.log('');
     });
 
     console.log('\n🧹 Running cleanup...');
-    const cleanupResult = await cleanupExpiredShares();
+    const cleanupResult = await runCleanup({ trigger: 'manual' });
     console.log('Cleanup result:', cleanupResult);
 
     console.log('\n🔍 Getting cleanup statistics after cleanup...');
@@ -0,0 +1,121 @@
+/**
+ * Test script to verify the file type policy applied to every upload
+ */
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(24, 1)]);
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n1 0 obj\n');
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4, 1), Buffer.from('WEBPVP8 ')]);
+const ZIP = Buffer.concat([Buffer.from('504b0304', 'hex'), Buffer.alloc(26, 1)]);
+
+// The allowed types are read when config/filePolicy.js loads, so load it again for every environment
+const loadFilePolicy = (allowedFileTypes) => {
+  const originalTypes = process.env.ALLOWED_FILE_TYPES;
+  if (allowedFileTypes === undefined) {
+    delete process.env.ALLOWED_FILE_TYPES;
+  } else {
+    process.env.ALLOWED_FILE_TYPES = allowedFileTypes;
+  }
+
+  try {
+    delete require.cache[require.resolve('./config/filePolicy')];
+    return require('./config/filePolicy');
+  } finally {
+    if (originalTypes === undefined) {
+      delete process.env.ALLOWED_FILE_TYPES;
+    } else {
+      process.env.ALLOWED_FILE_TYPES = originalTypes;
+    }
+  }
+};
+
+// Test function
+const testFilePolicy = () => {
+  console.log('🧪 Testing File Type Policy...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+
+  const { resolveFileType, getFileContentError, getUploadLimits, ENCRYPTED_MIME_TYPE } = loadFilePolicy(undefined);
+
+  console.log('1. Resolving types from the file name:');
+  [
+    ['photo.PNG', 'image/png', 'image/png'],
+    ['report.pdf', '', 'application/pdf'],
+    ['report.pdf', ENCRYPTED_MIME_TYPE, 'application/pdf'],
+    ['archive.zip', 'application/x-zip-compressed', 'application/zip'],
+    ['notes.txt', 'text/plain; charset=utf-8', 'text/plain'],
+    ['backup.tar.gz', 'application/gzip', 'application/gzip']
+  ].forEach(([fileName, declaredMimeType, expected]) => {
+    const { mimeType, error } = resolveFileType(fileName, declaredMimeType);
+    check(`${fileName} sent as "${declaredMimeType}" is stored as ${expected}`, mimeType === expected && error === null);
+  });
+
+  console.log('\n2. Rejecting names and types outside the policy:');
+  [
+    ['setup.exe', 'application/x-msdownload', '.exe files are not allowed'],
+    ['invoice.pdf.exe', 'application/pdf', '.exe files are not allowed'],
+    ['README', 'text/plain', 'Files need an extension'],
+    ['report.pdf', 'image/png', "doesn't match the .pdf extension"],
+    ['page.html', 'text/html', '.html files are not allowed']
+  ].forEach(([fileName, declaredMimeType, expected]) => {
+    const { mimeType, error } = resolveFileType(fileName, declaredMimeType);
+    check(`${fileName} sent as ${declaredMimeType} is refused: ${error}`, mimeType === null && (error || '').includes(expected));
+  });
+
+  console.log('\n3. Encrypted uploads:');
+  check('Ciphertext sent as application/octet-stream is accepted without an extension',
+    resolveFileType('AbC_-xyz', ENCRYPTED_MIME_TYPE, true).mimeType === ENCRYPTED_MIME_TYPE);
+  check('Encrypted file with another type is refused', resolveFileType('photo.png', 'image/png', true).error !== null);
+  check('Ciphertext content is not inspected', getFileContentError(Buffer.from([0, 1, 2, 255]), ENCRYPTED_MIME_TYPE) === null);
+
+  console.log('\n4. Checking file content against its type:');
+  check('PNG content passes as image/png', getFileContentError(PNG, 'image/png') === null);
+  check('PDF content passes as application/pdf', getFileContentError(PDF, 'application/pdf') === null);
+  check('WebP signature is found at its offset', getFileContentError(WEBP, 'image/webp') === null);
+  check('ZIP content passes as a .docx', getFileContentError(ZIP, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') === null);
+
+  const disguisedError = getFileContentError(PDF, 'image/png');
+  check(`PDF renamed to .png is refused: ${disguisedError}`, (disguisedError || '').includes('it looks like application/pdf'));
+  check('Empty file is refused as an image', getFileContentError(Buffer.alloc(0), 'image/png') !== null);
+  check('Unknown type is refused', getFileContentError(PNG, 'image/svg+xml') === 'File type not allowed');
+
+  console.log('\n5. Checking text content:');
+  check('UTF-8 text passes as text/plain', getFileContentError(Buffer.from('Grüße, 你好 👋\n'), 'text/plain') === null);
+  check('Multi-byte character cut off at the end of the sample passes', getFileContentError(Buffer.from('abc 👋').subarray(0, 6), 'text/plain') === null);
+  check('Text with NUL bytes is refused', getFileContentError(Buffer.from('abc\0def'), 'text/plain') !== null);
+  check('Invalid UTF-8 is refused', getFileContentError(Buffer.from([0x61, 0xff, 0xfe, 0x62]), 'text/csv') !== null);
+  check('Binary file renamed to .txt is refused', (getFileContentError(PDF, 'text/plain') || '').includes('application/pdf'));
+
+  console.log('\n6. Narrowing the policy with ALLOWED_FILE_TYPES:');
+  const narrowed = loadFilePolicy('image/png, application/pdf');
+  check('Listed types are accepted', narrowed.resolveFileType('photo.png', 'image/png').mimeType === 'image/png');
+  check('Other types are refused', narrowed.resolveFileType('notes.txt', 'text/plain').error === '.txt files are not allowed');
+  const { allowedTypes } = narrowed.getUploadLimits();
+  check('GET /config/limits lists only the allowed types', allowedTypes.map(type => type.mimeType).join() === 'image/png,application/pdf');
+  check('Text types are flagged for clients', getUploadLimits().allowedTypes.find(type => type.mimeType === 'text/csv').text === true);
+
+  if (allTestsPassed) {
+    console.log('\n✅ All file type policy tests passed successfully!');
+  } else {
+    console.log('\n❌ Some file type policy tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Export for potential use in other tests
+module.exports = { testFilePolicy };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  try {
+    process.exit(testFilePolicy() ? 0 : 1);
+  } catch (error) {
+    console.error('\n💥 File type policy tests failed:', error);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Test script to verify the lockout schedule after wrong share passwords
+ */
+
+const LOCKOUT_VARIABLES = ['PASSWORD_LOCKOUT_FREE_ATTEMPTS', 'PASSWORD_LOCKOUT_BASE_SECONDS', 'PASSWORD_LOCKOUT_MAX_SECONDS'];
+
+// The schedule is read when config/passwordLockout.js loads, so load it again for every environment
+const loadPasswordLockout = (env) => {
+  const originalEnv = {};
+  LOCKOUT_VARIABLES.forEach(name => {
+    originalEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+  Object.assign(process.env, env);
+
+  try {
+    delete require.cache[require.resolve('./config/passwordLockout')];
+    return require('./config/passwordLockout');
+  } finally {
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+};
+
+// Test function
+const testPasswordLockout = () => {
+  console.log('🧪 Testing Password Lockout...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+  const checkSchedule = (getPasswordLockoutSeconds, expected) => {
+    expected.forEach((seconds, index) => {
+      const failedAttempts = index + 1;
+      const actual = getPasswordLockoutSeconds(failedAttempts);
+      check(`${failedAttempts} wrong password${failedAttempts === 1 ? '' : 's'}: ${actual}s lockout (expected ${seconds}s)`, actual === seconds);
+    });
+  };
+
+  console.log('1. Default schedule (3 free attempts, 30s doubling up to 1 hour):');
+  const defaults = loadPasswordLockout({});
+  check('3 free attempts', defaults.PASSWORD_LOCKOUT_FREE_ATTEMPTS === 3);
+  checkSchedule(defaults.getPasswordLockoutSeconds, [0, 0, 0, 30, 60, 120, 240, 480, 960, 1920, 3600, 3600]);
+
+  console.log('\n2. Lockout stays capped for any number of attempts:');
+  [50, 1100, Number.MAX_SAFE_INTEGER].forEach(failedAttempts => {
+    check(`${failedAttempts} wrong passwords: capped at 3600s`, defaults.getPasswordLockoutSeconds(failedAttempts) === 3600);
+  });
+  check('No lockout before the first wrong password', defaults.getPasswordLockoutSeconds(0) === 0);
+
+  console.log('\n3. Schedule from the environment (1 free attempt, 10s doubling up to 1 minute):');
+  const custom = loadPasswordLockout({
+    PASSWORD_LOCKOUT_FREE_ATTEMPTS: '1',
+    PASSWORD_LOCKOUT_BASE_SECONDS: '10',
+    PASSWORD_LOCKOUT_MAX_SECONDS: '60'
+  });
+  checkSchedule(custom.getPasswordLockoutSeconds, [0, 10, 20, 40, 60, 60]);
+
+  console.log('\n4. Self-destruct limit:');
+  check('Uploaders can allow at most 20 wrong passwords', defaults.MAX_PASSWORD_ATTEMPTS_LIMIT === 20);
+
+  if (allTestsPassed) {
+    console.log('\n✅ All password lockout tests passed successfully!');
+  } else {
+    console.log('\n❌ Some password lockout tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Export for potential use in other tests
+module.exports = { testPasswordLockout };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  try {
+    process.exit(testPasswordLockout() ? 0 : 1);
+  } catch (error) {
+    console.error('\n💥 Password lockout tests failed:', error);
+    process.exit(1);
+  }
+}
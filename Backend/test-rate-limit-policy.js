@@ -0,0 +1,147 @@
+/**
+ * Test script to verify loading and validation of the rate limit policy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const POLICY_VARIABLES = ['RATE_LIMIT_STORE', 'RATE_LIMIT_POLICY_FILE', 'RATE_LIMIT_ALLOWLIST', 'RATE_LIMIT_DENYLIST'];
+
+// Holds the policy files written by the test while it runs
+let policyDir;
+
+// Write a policy file, as JSON unless it is given as a string
+const writePolicy = (name, policy) => {
+  const file = path.join(policyDir, `${name}.json`);
+  fs.writeFileSync(file, typeof policy === 'string' ? policy : JSON.stringify(policy));
+  return file;
+};
+
+// The policy is loaded when config/rateLimit.js loads, so load it again for every environment
+const loadRateLimit = (env) => {
+  const originalEnv = {};
+  POLICY_VARIABLES.forEach(name => {
+    originalEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+  Object.assign(process.env, env);
+
+  try {
+    delete require.cache[require.resolve('./config/rateLimit')];
+    return require('./config/rateLimit');
+  } finally {
+    Object.entries(originalEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+};
+
+// Checks run by the test function below
+const runRateLimitPolicyChecks = () => {
+  console.log('🧪 Testing Rate Limit Policy...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+  const checkThrows = (description, env, expectedMessage) => {
+    try {
+      loadRateLimit(env);
+      check(`${description} (no error thrown)`, false);
+    } catch (error) {
+      // Messages listing every route are cut short to keep the output readable
+      const message = error.message.split(`${policyDir}${path.sep}`).join('');
+      check(`${description}: ${message.length > 140 ? `${message.slice(0, 140)}...` : message}`, error.message.includes(expectedMessage));
+    }
+  };
+  const checkInvalidPolicy = (description, policy, expectedMessage) => {
+    checkThrows(description, { RATE_LIMIT_POLICY_FILE: writePolicy('invalid', policy) }, expectedMessage);
+  };
+
+  console.log('1. Default policy:');
+  const defaults = loadRateLimit({});
+  const { limiters, routes } = defaults.RATE_LIMIT_POLICY;
+  check('Counters are shared through MongoDB by default', defaults.RATE_LIMIT_STORE === 'mongo');
+  check('Policy comes from the defaults', defaults.RATE_LIMIT_POLICY.source === 'defaults');
+  check('Every route uses known limiters', Object.values(routes).every(names => names.every(name => limiters[name])));
+  check('Uploads are limited and slowed down', routes['POST /api/upload'].join() === 'upload,upload-speed');
+  check('Nobody is allow- or denylisted', !defaults.isAllowlisted('127.0.0.1') && !defaults.isDenylisted('127.0.0.1'));
+
+  console.log('\n2. Loading the example policy file:');
+  const example = loadRateLimit({ RATE_LIMIT_POLICY_FILE: path.join(__dirname, 'rate-limit-policy.example.json') });
+  const { limiters: exampleLimiters, routes: exampleRoutes } = example.RATE_LIMIT_POLICY;
+  check('Changed settings are merged into the default limiter',
+    exampleLimiters.upload.max === 20 && exampleLimiters.upload.windowMinutes === 15 && exampleLimiters.upload.skipFailedRequests === true);
+  check('New limiters are added', exampleLimiters.search?.type === 'rate' && exampleLimiters.search.max === 30);
+  check('Routes get the listed limiters', exampleRoutes['GET /api/all'].join() === 'general-api,search');
+  check('An empty list turns limiting off for a route', exampleRoutes['GET /health'].length === 0);
+  check('Routes left out keep their defaults', exampleRoutes['GET /api/:id'].join() === 'download');
+
+  console.log('\n3. Allow- and denylists:');
+  check('Address in an allowlisted range skips limits', example.isAllowlisted('10.20.30.40'));
+  check('Allowlisted single address skips limits', example.isAllowlisted('127.0.0.1'));
+  check('Other addresses are limited', !example.isAllowlisted('11.0.0.1') && !example.isAllowlisted('127.0.0.2'));
+  check('Address in a denylisted range is refused', example.isDenylisted('203.0.113.9'));
+  check('IPv4-mapped IPv6 address in a denylisted range is refused', example.isDenylisted('::ffff:203.0.113.9'));
+  check('Missing or malformed addresses are never listed', !example.isDenylisted(undefined) && !example.isDenylisted('not-an-ip'));
+
+  const fromEnv = loadRateLimit({ RATE_LIMIT_ALLOWLIST: '2001:db8::/32, 192.168.1.5', RATE_LIMIT_DENYLIST: '198.51.100.0/24' });
+  check('RATE_LIMIT_ALLOWLIST adds IPv6 ranges and addresses', fromEnv.isAllowlisted('2001:db8::1') && fromEnv.isAllowlisted('192.168.1.5'));
+  check('RATE_LIMIT_DENYLIST adds ranges', fromEnv.isDenylisted('198.51.100.77') && !fromEnv.isDenylisted('198.51.101.1'));
+
+  console.log('\n4. Refusing invalid policies at startup:');
+  checkThrows('Unknown store', { RATE_LIMIT_STORE: 'redis' }, 'Unknown rate limit store "redis"');
+  checkThrows('Missing policy file', { RATE_LIMIT_POLICY_FILE: path.join(policyDir, 'missing.json') }, "Can't read rate limit policy");
+  checkInvalidPolicy('Broken JSON', '{ "limiters": ', "Can't read rate limit policy");
+  checkInvalidPolicy('Array instead of an object', [], 'it must be a JSON object');
+  checkInvalidPolicy('Unknown top-level key', { limits: {} }, 'unknown key "limits"');
+  checkInvalidPolicy('New limiter without a type', { limiters: { search: { windowMinutes: 1, max: 5 } } }, 'Limiter "search" needs a type');
+  checkInvalidPolicy('Setting of the other limiter type', { limiters: { upload: { delayMs: 500 } } }, 'Unknown setting "delayMs"');
+  checkInvalidPolicy('Zero max', { limiters: { upload: { max: 0 } } }, 'needs a max of at least 1');
+  checkInvalidPolicy('Window given as a string', { limiters: { upload: { windowMinutes: '15' } } }, 'needs a windowMinutes above 0');
+  checkInvalidPolicy('Speed limiter without delays', { limiters: { slow: { type: 'speed', windowMinutes: 1 } } }, 'needs a delayAfter of 0 or more');
+  checkInvalidPolicy('Flag that is not a boolean', { limiters: { upload: { skipFailedRequests: 'yes' } } }, 'must be true or false');
+  checkInvalidPolicy('Unknown route', { routes: { 'GET /api/everything': ['global'] } }, 'unknown route "GET /api/everything"');
+  checkInvalidPolicy('Route with an unknown limiter', { routes: { 'GET /api/all': ['search'] } }, 'uses unknown limiter "search"');
+  checkInvalidPolicy('Route without a list', { routes: { 'GET /api/all': 'general-api' } }, 'must list limiter names');
+  checkInvalidPolicy('Range with a bad prefix', { allowlist: ['10.0.0.0/33'] }, 'Invalid address "10.0.0.0/33"');
+  checkThrows('Malformed address in the env', { RATE_LIMIT_DENYLIST: 'not-an-ip' }, 'Invalid address "not-an-ip"');
+
+  if (allTestsPassed) {
+    console.log('\n✅ All rate limit policy tests passed successfully!');
+  } else {
+    console.log('\n❌ Some rate limit policy tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Test function, removes the policy files it wrote however it ends
+const testRateLimitPolicy = () => {
+  policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vanishbin-policy-'));
+  try {
+    return runRateLimitPolicyChecks();
+  } finally {
+    fs.rmSync(policyDir, { recursive: true, force: true });
+  }
+};
+
+// Export for potential use in other tests
+module.exports = { testRateLimitPolicy };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  try {
+    process.exit(testRateLimitPolicy() ? 0 : 1);
+  } catch (error) {
+    console.error('\n💥 Rate limit policy tests failed:', error);
+    process.exit(1);
+  }
+}
@@ -8,8 +8,7 @@ const app = express();
 // Import rate limiting middleware
 const { 
   createEnhancedRateLimit, 
-  uploadRateLimit, 
-  downloadRateLimit,
+  getRateLimiter,
   getViolationStats 
 } = require('./middleware/rateLimiting');
 
@@ -17,20 +16,20 @@ const {
 app.set('trust proxy', 1);
 
 // Test endpoints with different rate limits
-app.get('/test-upload', uploadRateLimit, (req, res) => {
+app.get('/test-upload', getRateLimiter('upload'), (req, res) => {
   res.json({ success: true, message: 'Upload endpoint reached' });
 });
 
-app.get('/test-download', downloadRateLimit, (req, res) => {
+app.get('/test-download', getRateLimiter('download'), (req, res) => {
   res.json({ success: true, message: 'Download endpoint reached' });
 });
 
-app.get('/test-custom', createEnhancedRateLimit({ max: 3, windowMs: 10000 }), (req, res) => {
+app.get('/test-custom', createEnhancedRateLimit({ name: 'test-custom', max: 3, windowMs: 10000 }), (req, res) => {
   res.json({ success: true, message: 'Custom rate limit endpoint reached' });
 });
 
-app.get('/stats', (req, res) => {
-  res.json(getViolationStats());
+app.get('/stats', async (req, res) => {
+  res.json(await getViolationStats());
 });
 
 /**
@@ -139,10 +138,10 @@ function printManualTestingInstructions() {
   console.log('   curl -H "X-Forwarded-For: 1.1.1.1" http://localhost:5000/api/all');
   console.log('   curl -H "X-Forwarded-For: 2.2.2.2" http://localhost:5000/api/all');
   console.log('5. Check rate limit stats:');
-  console.log('   curl http://localhost:5000/api/rate-limit/stats');
+  console.log('   curl -H "Authorization: Bearer $ADMIN_API_KEY" http://localhost:5000/api/rate-limit/stats');
   console.log('6. Test health check:');
   console.log('   curl http://localhost:5000/health');
-  console.log('\n💡 Rate Limits per 15 minutes:');
+  console.log('\n💡 Default rate limits per 15 minutes (see RATE_LIMIT_POLICY_FILE):');
   console.log('   - Upload: 10 requests');
   console.log('   - Download: 100 requests');
   console.log('   - General API: 200 requests');
@@ -0,0 +1,109 @@
+/**
+ * Test script to verify share slugs and custom alias rules
+ */
+
+const SLUG_PATTERN = /^[A-Za-z0-9]+$/;
+
+// The slug length is read when config/slug.js loads, so load it again for every environment
+const loadSlug = (slugLength) => {
+  const originalLength = process.env.SHARE_SLUG_LENGTH;
+  if (slugLength === undefined) {
+    delete process.env.SHARE_SLUG_LENGTH;
+  } else {
+    process.env.SHARE_SLUG_LENGTH = slugLength;
+  }
+
+  try {
+    delete require.cache[require.resolve('./config/slug')];
+    return require('./config/slug');
+  } finally {
+    if (originalLength === undefined) {
+      delete process.env.SHARE_SLUG_LENGTH;
+    } else {
+      process.env.SHARE_SLUG_LENGTH = originalLength;
+    }
+  }
+};
+
+// Path segments a share alias would be confused with: the first segment of every API route
+// (/api/all vs /api/:id) and what follows the share id (/api/raw/events vs /api/:id/events)
+const getRouteSegments = () => {
+  const shareRoutes = require('./routes/shareRoutes');
+  const segments = new Set();
+
+  shareRoutes.stack.filter(layer => layer.route).forEach(layer => {
+    const [first, second] = layer.route.path.split('/').filter(Boolean);
+    if (!first.startsWith(':')) {
+      segments.add(first);
+    } else if (second && !second.startsWith(':')) {
+      segments.add(second);
+    }
+  });
+
+  return [...segments].sort();
+};
+
+// Test function
+const testSlug = () => {
+  console.log('🧪 Testing Share Slugs and Custom Aliases...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+
+  console.log('1. Generating slugs:');
+  const slug = loadSlug(undefined);
+  const slugs = Array.from({ length: 1000 }, () => slug.generateSlug());
+  console.log('   Example slug:', slugs[0]);
+  check(`Slugs are ${slug.SHARE_SLUG_LENGTH} URL-safe characters`,
+    slug.SHARE_SLUG_LENGTH === 10 && slugs.every(value => value.length === 10 && SLUG_PATTERN.test(value)));
+  check('1000 slugs are all different', new Set(slugs).size === slugs.length);
+  check('SHARE_SLUG_LENGTH sets the length', loadSlug('16').generateSlug().length === 16);
+  check('SHARE_SLUG_LENGTH below 8 is raised to 8', loadSlug('4').SHARE_SLUG_LENGTH === 8);
+
+  console.log('\n2. Accepting valid aliases:');
+  ['abc', 'my-link', 'team-2024-report', 'a'.repeat(slug.MAX_ALIAS_LENGTH)].forEach(alias => {
+    check(`"${alias}" is accepted`, slug.getAliasError(alias) === null);
+  });
+
+  console.log('\n3. Rejecting malformed aliases:');
+  ['ab', 'a'.repeat(slug.MAX_ALIAS_LENGTH + 1), 'My-Link', '-abc', 'abc-', 'a--b', 'a_b', 'a/b', 'héllo', 42, null].forEach(alias => {
+    const error = slug.getAliasError(alias);
+    check(`${JSON.stringify(alias)} is refused: ${error}`, Boolean(error));
+  });
+
+  console.log('\n4. Reserving aliases that clash with routes:');
+  const routeSegments = getRouteSegments();
+  console.log('   Route segments:', routeSegments.join(', '));
+  routeSegments.forEach(segment => {
+    check(`"${segment}" is reserved`, /is reserved/.test(slug.getAliasError(segment) || ''));
+  });
+  ['view', 'manage', 'my-shares', 'health'].forEach(page => {
+    check(`"${page}" (frontend page or server route) is reserved`, /is reserved/.test(slug.getAliasError(page) || ''));
+  });
+  check('ObjectId-like aliases are reserved', /is reserved/.test(slug.getAliasError('507f1f77bcf86cd799439011') || ''));
+
+  if (allTestsPassed) {
+    console.log('\n✅ All slug and alias tests passed successfully!');
+  } else {
+    console.log('\n❌ Some slug and alias tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Export for potential use in other tests
+module.exports = { testSlug };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  try {
+    process.exit(testSlug() ? 0 : 1);
+  } catch (error) {
+    console.error('\n💥 Slug and alias tests failed:', error);
+    process.exit(1);
+  }
+}
@@ -4,7 +4,8 @@ const path = require('path');
 require('dotenv').config();
 
 // Test Supabase integration
-const { uploadFile, deleteFile, getPublicUrl, generateUniqueFileName } = require('./config/supabase');
+const { uploadFile, deleteFile, createSignedUrl } = require('./config/supabase');
+const { generateUniqueFileName } = require('./storage');
 
 async function testSupabaseIntegration() {
   console.log('🧪 Testing Supabase Integration...\n');
@@ -67,8 +68,7 @@ async function testSupabaseIntegration() {
         console.log('\n💡 RLS Error Fix:');
         console.log('   This is a Row Level Security (RLS) issue. Try one of these solutions:');
         console.log('   1. Add SUPABASE_SERVICE_ROLE_KEY to your .env file');
-        console.log('   2. Make your storage bucket public in Supabase dashboard');
-        console.log('   3. Configure RLS policies for anonymous users');
+        console.log('   2. Configure RLS policies for anonymous users');
         console.log('   See SUPABASE_RLS_FIX.md for detailed instructions');
       }
       
@@ -77,10 +77,15 @@ async function testSupabaseIntegration() {
     console.log('✅ File uploaded successfully');
     console.log(`   Path: ${uploadData.path}`);
 
-    // Test public URL
-    console.log('\n3. Testing public URL generation...');
-    const publicUrl = getPublicUrl(uploadData.path);
-    console.log(`✅ Public URL generated: ${publicUrl}`);
+    // Test signed URL
+    console.log('\n3. Testing signed URL generation...');
+    const { data: signedData, error: signedError } = await createSignedUrl(uploadData.path, 60);
+
+    if (signedError) {
+      console.error('❌ Signed URL generation failed:', signedError);
+      return false;
+    }
+    console.log(`✅ Signed URL generated: ${signedData.signedUrl}`);
 
     // Test file deletion
     console.log('\n4. Testing file deletion...');
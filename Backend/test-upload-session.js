@@ -0,0 +1,207 @@
+/**
+ * Test script to verify chunk bookkeeping of chunked uploads and handing them back when a share isn't created
+ *
+ * Runs without a database: the UploadSession and Share calls made while creating a share are replaced
+ * by in-memory versions, and storage deletes are only recorded
+ */
+
+const mongoose = require('mongoose');
+const storage = require('./storage');
+
+// Stored files the test deleted, by storage path. The controller keeps its own reference to
+// deleteStoredFile, so it is replaced before the controller is loaded
+const deletedFiles = [];
+storage.deleteStoredFile = async (file) => {
+  deletedFiles.push(file.storagePath);
+  return { error: null };
+};
+
+const UploadSession = require('./models/UploadSession');
+const Share = require('./models/Share');
+const { uploadContent } = require('./controllers/shareController');
+
+const MB = 1024 * 1024;
+
+// Upload sessions kept in memory instead of MongoDB, by id
+const sessions = new Map();
+
+UploadSession.findOneAndDelete = (filter) => ({
+  select: async () => {
+    const session = sessions.get(String(filter._id));
+    if (!session || session.uploadTokenHash !== filter.uploadTokenHash || session.status !== filter.status) {
+      return null;
+    }
+
+    sessions.delete(String(filter._id));
+    return session;
+  }
+});
+
+// Fails like MongoDB when a session with the same id is already back
+UploadSession.insertMany = async (documents) => {
+  documents.forEach(document => {
+    if (sessions.has(String(document._id))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    sessions.set(String(document._id), new UploadSession(document));
+  });
+};
+
+Share.exists = async () => null;
+
+// Create a finished upload, returning its id and upload token as the client would hold them
+const createCompletedUpload = (fileName) => {
+  const uploadToken = `${fileName}-token`;
+  const session = new UploadSession({
+    fileName,
+    fileSize: 3 * MB,
+    mimeType: 'application/pdf',
+    chunkSize: 2 * MB,
+    totalChunks: 2,
+    receivedChunks: [0, 1],
+    uploadTokenHash: UploadSession.hashUploadToken(uploadToken),
+    status: 'completed',
+    storageDriver: 'local',
+    storagePath: `uploads/${fileName}`
+  });
+  sessions.set(String(session._id), session);
+  return { uploadId: String(session._id), uploadToken };
+};
+
+// Send a share with the given chunked uploads through POST /upload, returning the status code and body
+const createShare = async (uploads, body = {}) => {
+  const req = {
+    body: {
+      title: 'Chunked upload',
+      expiresIn: '1h',
+      uploadIds: uploads.map(upload => upload.uploadId),
+      uploadTokens: uploads.map(upload => upload.uploadToken),
+      ...body
+    }
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  // The failures below are on purpose, keep the controller's error logs out of the test output
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  try {
+    await uploadContent(req, res);
+  } finally {
+    console.error = originalConsoleError;
+  }
+  return res;
+};
+
+// Test function
+const testUploadSession = async () => {
+  console.log('🧪 Testing Chunked Upload Sessions...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+
+  console.log('1. Expected chunk sizes:');
+  const uneven = new UploadSession({ fileSize: 5 * MB + 123, chunkSize: 2 * MB, totalChunks: 3 });
+  check('Every chunk but the last is a full chunk', uneven.getExpectedChunkSize(0) === 2 * MB && uneven.getExpectedChunkSize(1) === 2 * MB);
+  check('The last chunk holds the rest of the file', uneven.getExpectedChunkSize(2) === MB + 123);
+  const even = new UploadSession({ fileSize: 4 * MB, chunkSize: 2 * MB, totalChunks: 2 });
+  check('The last chunk is a full chunk when the file size is a multiple of it', even.getExpectedChunkSize(1) === 2 * MB);
+  const single = new UploadSession({ fileSize: 1000, chunkSize: 2 * MB, totalChunks: 1 });
+  check('A file smaller than a chunk is sent as one short chunk', single.getExpectedChunkSize(0) === 1000);
+  check('The expected sizes add up to the file size',
+    [0, 1, 2].reduce((total, index) => total + uneven.getExpectedChunkSize(index), 0) === uneven.fileSize);
+
+  console.log('\n2. Missing chunks:');
+  const session = new UploadSession({ fileSize: 5 * MB, chunkSize: MB, totalChunks: 5 });
+  check('Every chunk is missing before the first one arrives', session.getMissingChunks().join() === '0,1,2,3,4');
+  session.receivedChunks = [3, 0];
+  check('Chunks can arrive out of order', session.getMissingChunks().join() === '1,2,4');
+  session.receivedChunks = [0, 1, 1, 2, 3, 3];
+  check('A chunk sent twice is counted once', session.getMissingChunks().join() === '4');
+  session.receivedChunks = [4, 2, 0, 1, 3];
+  check('Nothing is missing once every chunk arrived', session.getMissingChunks().length === 0);
+
+  console.log('\n3. Upload tokens and expiry:');
+  const tokenSession = new UploadSession({ uploadTokenHash: UploadSession.hashUploadToken('secret-token') });
+  check('The upload token is accepted', tokenSession.verifyUploadToken('secret-token'));
+  check('Another token is refused', !tokenSession.verifyUploadToken('other-token'));
+  check('A missing token is refused', !tokenSession.verifyUploadToken(undefined) && !tokenSession.verifyUploadToken(''));
+  check('A new session has not expired', !new UploadSession({}).isExpired());
+  check('A session past its expiry time has expired', new UploadSession({ expiresAt: new Date(Date.now() - 1000) }).isExpired());
+
+  console.log('\n4. Handing back uploads when the share isn\'t created:');
+  const uploads = [createCompletedUpload('first.pdf'), createCompletedUpload('second.pdf')];
+  const missing = await createShare([...uploads, { uploadId: String(new mongoose.Types.ObjectId()), uploadToken: 'unknown' }]);
+  check('An unknown upload refuses the share', missing.statusCode === 400);
+  check('The uploads claimed before it are handed back', uploads.every(({ uploadId }) => sessions.has(uploadId)));
+
+  Share.prototype.save = async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { slug: 1 } });
+  };
+  const aliasTaken = await createShare(uploads, { alias: 'team-report' });
+  check('A custom link taken during the save is reported', aliasTaken.statusCode === 409 && aliasTaken.body.aliasTaken === true);
+  check('The uploads are handed back after the alias collision', uploads.every(({ uploadId }) => sessions.has(uploadId)));
+
+  Share.prototype.save = async () => {
+    throw new Error('Operation timed out');
+  };
+  const failed = await createShare(uploads);
+  check('A failed save is reported', failed.statusCode === 500);
+  check('The uploads are handed back after the failed save', uploads.every(({ uploadId }) => sessions.has(uploadId)));
+  check('Files of handed back uploads are kept in storage', deletedFiles.length === 0);
+
+  const originalInsertMany = UploadSession.insertMany;
+  UploadSession.insertMany = async (documents) => {
+    if (String(documents[0]._id) === uploads[0].uploadId) {
+      throw new Error('Connection lost');
+    }
+    return originalInsertMany(documents);
+  };
+  await createShare(uploads);
+  UploadSession.insertMany = originalInsertMany;
+  check('An upload that can\'t be handed back has its file removed', deletedFiles.join() === 'uploads/first.pdf');
+  check('The other uploads are still handed back', !sessions.has(uploads[0].uploadId) && sessions.has(uploads[1].uploadId));
+
+  Share.prototype.save = async function() {
+    return this;
+  };
+  const created = await createShare([uploads[1]]);
+  check('A handed back upload can be attached to a new share',
+    created.statusCode === 201 && created.body.data.files[0].originalFileName === 'second.pdf');
+  check('The attached upload is used up', !sessions.has(uploads[1].uploadId));
+
+  if (allTestsPassed) {
+    console.log('\n✅ All upload session tests passed successfully!');
+  } else {
+    console.log('\n❌ Some upload session tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Export for potential use in other tests
+module.exports = { testUploadSession };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testUploadSession()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('\n💥 Upload session tests failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,145 @@
+/**
+ * Test script to verify view counting and single-use download grants of view-limited shares
+ *
+ * Runs without a database: Share.findOneAndUpdate is replaced by an in-memory version that applies
+ * the same filter and update in one step, like MongoDB does for a single document
+ */
+
+const mongoose = require('mongoose');
+const Share = require('./models/Share');
+
+// Shares kept in memory instead of MongoDB, by id
+const shares = new Map();
+
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof mongoose.Types.ObjectId) {
+    return String(value) === String(condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$gt': return value > operand;
+      case '$all': return Array.isArray(value) && operand.every(item => value.includes(item));
+      default: throw new Error(`Operator ${operator} is not supported by this test`);
+    }
+  });
+};
+
+const applyUpdate = (share, update) => {
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+    share[field] += amount;
+  });
+  Object.entries(update.$push || {}).forEach(([field, { $each }]) => {
+    share[field] = [...(share[field] || []), ...$each];
+  });
+  Object.entries(update.$pull || {}).forEach(([field, { $in }]) => {
+    share[field] = (share[field] || []).filter(item => !$in.includes(item));
+  });
+};
+
+// In-memory findOneAndUpdate. Requests wait a tick first so concurrent calls interleave,
+// then the match and the update happen without a break, which is what makes them atomic
+Share.findOneAndUpdate = (filter, update) => ({
+  select: async () => {
+    await new Promise(resolve => setImmediate(resolve));
+
+    const share = shares.get(String(filter._id));
+    const matches = share && Object.entries(filter).every(([field, condition]) => matchesCondition(share[field], condition));
+    if (!matches) {
+      return null;
+    }
+
+    applyUpdate(share, update);
+    return { ...share, downloadTokens: [...(share.downloadTokens || [])] };
+  }
+});
+
+const createShare = (viewsRemaining) => {
+  const share = { _id: new mongoose.Types.ObjectId(), viewsRemaining, downloadTokens: [] };
+  shares.set(String(share._id), share);
+  return share;
+};
+
+// Test function
+const testViewLimits = async () => {
+  console.log('🧪 Testing View Limits and Download Grants...\n');
+
+  let allTestsPassed = true;
+  const check = (description, condition) => {
+    console.log(`   ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      allTestsPassed = false;
+    }
+  };
+
+  console.log('1. Spending views:');
+  const share = createShare(2);
+  const viewed = await Share.consumeView(share._id, { downloadFileCount: 2 });
+  check('A view is spent', viewed?.share.viewsRemaining === 1 && share.viewsRemaining === 1);
+  check('One download grant per file is issued',
+    share.downloadTokens.join() === `${viewed.downloadToken}:0,${viewed.downloadToken}:1`);
+  const textView = await Share.consumeView(share._id);
+  check('A view without files issues no download token', textView?.downloadToken === null && share.downloadTokens.length === 2);
+  check('No views left refuses the next view', await Share.consumeView(share._id) === null && share.viewsRemaining === 0);
+
+  console.log('\n2. Spending views concurrently:');
+  const busyShare = createShare(3);
+  const results = await Promise.all(Array.from({ length: 8 }, () => Share.consumeView(busyShare._id, { downloadFileCount: 1 })));
+  const successful = results.filter(Boolean);
+  check(`8 viewers racing for 3 views: ${successful.length} got in`, successful.length === 3);
+  check('The view count never drops below 0', busyShare.viewsRemaining === 0);
+  check('Only the viewers who got in hold download grants',
+    busyShare.downloadTokens.length === 3 && new Set(successful.map(result => result.downloadToken)).size === 3);
+
+  console.log('\n3. Redeeming single file downloads:');
+  const fileShare = createShare(5);
+  const { downloadToken } = await Share.consumeView(fileShare._id, { downloadFileCount: 3 });
+  check('The grant of a file can be redeemed', await Share.redeemDownloadToken(fileShare._id, downloadToken, [0]) !== null);
+  check('The same grant can\'t be redeemed twice', await Share.redeemDownloadToken(fileShare._id, downloadToken, [0]) === null);
+  check('Grants of the other files are untouched', fileShare.downloadTokens.join() === `${downloadToken}:1,${downloadToken}:2`);
+  check('An unknown token is refused', await Share.redeemDownloadToken(fileShare._id, 'f'.repeat(32), [1]) === null);
+  check('A token is refused for another share', await Share.redeemDownloadToken(share._id, downloadToken, [1]) === null);
+
+  console.log('\n4. Redeeming zip downloads:');
+  check('A zip is refused once one of its files was downloaded',
+    await Share.redeemDownloadToken(fileShare._id, downloadToken, [0, 1, 2]) === null);
+  check('The refused zip leaves the remaining grants usable', fileShare.downloadTokens.length === 2 &&
+    await Share.redeemDownloadToken(fileShare._id, downloadToken, [1]) !== null);
+
+  const zipShare = createShare(5);
+  const zipView = await Share.consumeView(zipShare._id, { downloadFileCount: 3 });
+  check('A zip with every grant unused is allowed', await Share.redeemDownloadToken(zipShare._id, zipView.downloadToken, [0, 1, 2]) !== null);
+  check('The zip uses up every grant', zipShare.downloadTokens.length === 0);
+
+  console.log('\n5. Redeeming concurrently:');
+  const raceShare = createShare(5);
+  const raceView = await Share.consumeView(raceShare._id, { downloadFileCount: 2 });
+  const [zip, file] = await Promise.all([
+    Share.redeemDownloadToken(raceShare._id, raceView.downloadToken, [0, 1]),
+    Share.redeemDownloadToken(raceShare._id, raceView.downloadToken, [0])
+  ]);
+  check('A zip and a file download racing for the same grant: only one wins', (zip === null) !== (file === null));
+  const repeated = await Promise.all(Array.from({ length: 5 }, () => Share.redeemDownloadToken(raceShare._id, raceView.downloadToken, [1])));
+  // The second file's grant is left only when the single file download won
+  check('5 downloads racing for one grant: at most one wins', repeated.filter(Boolean).length === (zip ? 0 : 1));
+
+  if (allTestsPassed) {
+    console.log('\n✅ All view limit tests passed successfully!');
+  } else {
+    console.log('\n❌ Some view limit tests failed!');
+  }
+  return allTestsPassed;
+};
+
+// Export for potential use in other tests
+module.exports = { testViewLimits };
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testViewLimits()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('\n💥 View limit tests failed:', error);
+      process.exit(1);
+    });
+}
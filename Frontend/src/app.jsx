@@ -46,6 +46,24 @@ const AllContentPage = lazy(
   }
 );
 
+const ManagePage = lazy(
+  () => import('./components/ManagePage'),
+  {
+    componentName: 'Manage Page',
+    useSkeleton: true,
+    skeletonType: 'form'
+  }
+);
+
+const MySharesPage = lazy(
+  () => import('./components/MySharesPage'),
+  {
+    componentName: 'My Shares',
+    useSkeleton: true,
+    skeletonType: 'list'
+  }
+);
+
 const ErrorHandlingDemo = lazy(
   () => import('./components/ErrorHandlingDemo'),
   {
@@ -124,6 +142,30 @@ const AllContent = ({ toast }) => {
   );
 };
 
+// Manage Share Component (for routing)
+const ManageShare = ({ matches, toast }) => {
+  return (
+    <AsyncErrorBoundary 
+      title="Manage Page Error"
+      message="Failed to load share management."
+    >
+      <ManagePage id={matches.id} toast={toast} />
+    </AsyncErrorBoundary>
+  );
+};
+
+// My Shares Component (for routing)
+const MyShares = ({ toast }) => {
+  return (
+    <AsyncErrorBoundary 
+      title="My Shares Error"
+      message="Failed to load your shares."
+    >
+      <MySharesPage toast={toast} />
+    </AsyncErrorBoundary>
+  );
+};
+
 // Error Demo Component (for routing)
 const ErrorDemo = ({ toast }) => {
   return (
@@ -173,6 +215,7 @@ export function App() {
           preloadComponent(() => import('./components/ViewPage')),
           preloadComponent(() => import('./components/AllContentPage')),
           preloadComponent(() => import('./components/ResultCard')),
+          preloadComponent(() => import('./components/MySharesPage')),
           preloadComponent(() => import('./components/ErrorHandlingDemo')),
           preloadComponent(() => import('./components/LazyComponentsDemo'))
         ]);
@@ -232,6 +275,8 @@ export function App() {
               <HomePage path="/" toast={toast} />
               <AllContent path="/all" toast={toast} />
               <ViewContent path="/view/:id" toast={toast} />
+              <ManageShare path="/manage/:id" toast={toast} />
+              <MyShares path="/my-shares" toast={toast} />
               <ErrorDemo path="/error-demo" toast={toast} />
               <LazyDemo path="/lazy-demo" toast={toast} />
               <NotFound default />
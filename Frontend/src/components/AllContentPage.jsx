@@ -1,25 +1,86 @@
-import { useState, useEffect } from 'preact/hooks';
+import { useState, useEffect, useRef } from 'preact/hooks';
 import { API_ENDPOINTS } from '../config/api';
 import { passwordCache } from '../utils/passwordCache';
+import { scrollToTop } from '../utils/helpers';
+
+// Type filters of the gallery (values match the backend's `type` parameter, '' shows everything)
+const TYPE_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'text', label: 'Text' },
+  { value: 'file', label: 'Files' },
+  { value: 'image', label: 'Images' },
+  { value: 'video', label: 'Videos' },
+  { value: 'audio', label: 'Audio' },
+  { value: 'document', label: 'Documents' },
+  { value: 'archive', label: 'Archives' }
+];
+
+// Values match the backend's `protected` parameter
+const PROTECTION_FILTERS = [
+  { value: '', label: 'Any' },
+  { value: 'false', label: 'No password' },
+  { value: 'true', label: 'Password protected' }
+];
+
+// Values match the backend's `sort` parameter, ranking by relevance needs a search query
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match', searchOnly: true },
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'expiring', label: 'Expiring soon' },
+  { value: 'largest', label: 'Largest first' },
+  { value: 'smallest', label: 'Smallest first' }
+];
 
 const AllContentPage = () => {
   const [shares, setShares] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [searching, setSearching] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState('');
+  const [galleryDisabled, setGalleryDisabled] = useState(false);
   const [hasMore, setHasMore] = useState(true);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null); // Where the next page starts
   const [searchQuery, setSearchQuery] = useState('');
   const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
-  const [filteredShares, setFilteredShares] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [protectionFilter, setProtectionFilter] = useState('');
+  const [sortBy, setSortBy] = useState(''); // '' leaves the order to the server
+  const [refreshCount, setRefreshCount] = useState(0);
   const [totalShares, setTotalShares] = useState(0);
   const [cacheRefresh, setCacheRefresh] = useState(0); // To trigger re-renders when cache changes
+  const [galleryChanged, setGalleryChanged] = useState(false); // Shares were added, changed or removed on the server
+  const requestIdRef = useRef(0); // Responses to older queries are ignored
 
   const ITEMS_PER_PAGE = 12; // Reduced for better UX
 
+  const hasSearch = !!debouncedSearchQuery.trim();
+  const hasFilters = !!(searchQuery.trim() || typeFilter || protectionFilter);
+  // Same fallback as the server: without a search there is nothing to rank by relevance
+  const activeSort = sortBy === 'relevance' && !hasSearch ? 'newest' : (sortBy || (hasSearch ? 'relevance' : 'newest'));
+
+  // Start over from the first page whenever the search, filters or sort change
   useEffect(() => {
     fetchInitialShares();
-  }, []);
+  }, [debouncedSearchQuery, typeFilter, protectionFilter, sortBy, refreshCount]);
+
+  // The server tells open galleries when public shares are added, changed or removed
+  useEffect(() => {
+    if (galleryDisabled) return;
+
+    const events = new EventSource(API_ENDPOINTS.galleryEvents);
+    events.addEventListener('changed', () => setGalleryChanged(true));
+
+    return () => events.close();
+  }, [galleryDisabled]);
+
+  // Reload right away while only the first page is shown, further pages would be lost so those ask first
+  useEffect(() => {
+    if (!galleryChanged || loadingMore || shares.length > ITEMS_PER_PAGE) return;
+
+    setGalleryChanged(false);
+    fetchInitialShares();
+  }, [galleryChanged, loadingMore]);
 
   // Listen for cache changes to update UI
   useEffect(() => {
@@ -40,7 +101,7 @@ const AllContentPage = () => {
     };
   }, []);
 
-  // Debounce search query to improve performance
+  // Debounce search query so the server isn't queried on every keystroke
   useEffect(() => {
     const timer = setTimeout(() => {
       setDebouncedSearchQuery(searchQuery);
@@ -52,99 +113,131 @@ const AllContentPage = () => {
   // Scroll event listener for infinite scrolling
   useEffect(() => {
     const handleScroll = () => {
-      if (searchQuery) return; // Don't load more during search
-      
       const scrollTop = document.documentElement.scrollTop;
       const scrollHeight = document.documentElement.scrollHeight;
       const clientHeight = document.documentElement.clientHeight;
       
       // Load more when user scrolls to 80% of the page
-      if (scrollTop + clientHeight >= scrollHeight * 0.8 && hasMore && !loadingMore && !loading) {
+      if (scrollTop + clientHeight >= scrollHeight * 0.8 && hasMore && !loadingMore && !loading && !searching) {
         loadMoreShares();
       }
     };
 
     window.addEventListener('scroll', handleScroll);
     return () => window.removeEventListener('scroll', handleScroll);
-  }, [hasMore, loadingMore, loading, searchQuery]);
+  }, [hasMore, loadingMore, loading, searching, nextCursor, debouncedSearchQuery, typeFilter, protectionFilter, sortBy]);
 
-  // Filter shares based on search query (immediate response)
-  useEffect(() => {
-    if (!searchQuery.trim()) {
-      setFilteredShares(shares);
-    } else {
-      const filtered = shares.filter(share => 
-        share.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        (share.originalFileName && share.originalFileName.toLowerCase().includes(searchQuery.toLowerCase())) ||
-        (share.textPreview && share.textPreview.toLowerCase().includes(searchQuery.toLowerCase()))
-      );
-      setFilteredShares(filtered);
+  // Search, filters and sort are applied by the server, so every page is fetched with the same query
+  const buildListUrl = (cursor) => {
+    const params = new URLSearchParams({ limit: ITEMS_PER_PAGE });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    if (hasSearch) {
+      params.set('q', debouncedSearchQuery.trim());
+    }
+    if (typeFilter) {
+      params.set('type', typeFilter);
+    }
+    if (protectionFilter) {
+      params.set('protected', protectionFilter);
+    }
+    if (sortBy) {
+      params.set('sort', sortBy);
     }
-  }, [shares, searchQuery]);
+    return `${API_ENDPOINTS.getAllShares}?${params}`;
+  };
 
   const fetchInitialShares = async () => {
+    const requestId = ++requestIdRef.current;
+
     try {
-      setLoading(true);
+      // Only the first load replaces the page with a spinner, later ones keep the search box in place
+      if (!loading) {
+        setSearching(true);
+      }
       setError('');
-      setCurrentPage(1);
 
-      const response = await fetch(`${API_ENDPOINTS.getAllShares}?page=1&limit=${ITEMS_PER_PAGE}`);
+      const response = await fetch(buildListUrl(null));
       
       if (!response.ok) {
-        throw new Error('Failed to load content');
+        const errorData = await response.json().catch(() => ({}));
+        if (requestId !== requestIdRef.current) return;
+        if (errorData.galleryDisabled) {
+          setGalleryDisabled(true);
+          setShares([]);
+          return;
+        }
+        throw new Error(errorData.error || 'Failed to load content');
       }
 
       const data = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
       setShares(data.shares || []);
       setTotalShares(data.pagination?.totalShares || 0);
-      setHasMore(data.shares?.length === ITEMS_PER_PAGE);
-      setCurrentPage(2); // Next page to load
+      setNextCursor(data.pagination?.nextCursor || null);
+      setHasMore(!!data.pagination?.nextCursor);
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       setError(err.message || 'Failed to load content');
       setShares([]);
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setSearching(false);
+      }
     }
   };
 
   const loadMoreShares = async () => {
+    const requestId = requestIdRef.current;
+
     try {
       setLoadingMore(true);
 
-      const response = await fetch(`${API_ENDPOINTS.getAllShares}?page=${currentPage}&limit=${ITEMS_PER_PAGE}`);
+      const response = await fetch(buildListUrl(nextCursor));
       
       if (!response.ok) {
         throw new Error('Failed to load more content');
       }
 
       const data = await response.json();
-      const newShares = data.shares || [];
-      
-      if (newShares.length > 0) {
-        setShares(prevShares => [...prevShares, ...newShares]);
-        setCurrentPage(prev => prev + 1);
-        setHasMore(newShares.length === ITEMS_PER_PAGE);
-      } else {
-        setHasMore(false);
-      }
+      // The search or filters changed while this page was loading
+      if (requestId !== requestIdRef.current) return;
+
+      setShares(prevShares => [...prevShares, ...(data.shares || [])]);
+      setTotalShares(data.pagination?.totalShares || 0);
+      setNextCursor(data.pagination?.nextCursor || null);
+      setHasMore(!!data.pagination?.nextCursor);
     } catch (err) {
       console.error('Failed to load more shares:', err);
-      setHasMore(false);
+      if (requestId === requestIdRef.current) {
+        setHasMore(false);
+      }
     } finally {
       setLoadingMore(false);
     }
   };
 
+  const handleShowLatest = () => {
+    setGalleryChanged(false);
+    setRefreshCount(prev => prev + 1);
+    scrollToTop();
+  };
+
   const handleRefresh = () => {
-    setShares([]);
-    setSearchQuery('');
-    setHasMore(true);
-    setCurrentPage(1);
-    fetchInitialShares();
+    setGalleryChanged(false);
+    handleClearFilters();
+    setSortBy('');
+    setRefreshCount(prev => prev + 1);
   };
 
-  const handleClearSearch = () => {
+  const handleClearFilters = () => {
     setSearchQuery('');
+    setDebouncedSearchQuery('');
+    setTypeFilter('');
+    setProtectionFilter('');
   };
 
   const formatFileSize = (bytes) => {
@@ -166,9 +259,13 @@ const AllContentPage = () => {
     
     if (diff <= 0) return 'Expired';
     
-    const hours = Math.floor(diff / (1000 * 60 * 60));
+    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+    const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
     const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
     
+    if (days > 0) {
+      return `${days}d ${hours}h remaining`;
+    }
     if (hours > 0) {
       return `${hours}h ${minutes}m remaining`;
     }
@@ -181,14 +278,17 @@ const AllContentPage = () => {
     return text.substring(0, maxLength).trim() + '...';
   };
 
+  // The server matches whole words, so each word of the query is highlighted on its own
   const highlightText = (text, searchQuery) => {
-    if (!searchQuery.trim() || !text) return text;
+    const words = searchQuery.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0 || !text) return text;
     
-    const regex = new RegExp(`(${searchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+    const regex = new RegExp(`(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
     const parts = text.split(regex);
     
+    // Matches end up at the odd indexes because the pattern is one capturing group
     return parts.map((part, index) => 
-      regex.test(part) ? (
+      index % 2 === 1 ? (
         <mark key={index} className="bg-yellow-200 px-1 rounded">
           {part}
         </mark>
@@ -213,6 +313,27 @@ const AllContentPage = () => {
     );
   }
 
+  if (galleryDisabled) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4">
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">Public Gallery Disabled</h2>
+            <p className="text-gray-600 mb-6">
+              This server doesn't list shares publicly. Shares can only be opened through their links.
+            </p>
+            <a
+              href="/"
+              className="inline-block px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors cursor-pointer"
+            >
+              Share Something
+            </a>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="min-h-screen bg-gray-50 py-8">
@@ -246,8 +367,7 @@ const AllContentPage = () => {
             <div>
               <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">All Shared Content</h1>
               <p className="text-sm sm:text-base text-gray-600">
-                Browse all uploaded files and text content • Total: {totalShares} items
-                {searchQuery && ` • Showing ${filteredShares.length} results`}
+                Browse the files and text their uploaders chose to list publicly • {hasFilters ? `${totalShares} matching` : `Total: ${totalShares}`} items
               </p>
             </div>
             <button
@@ -271,7 +391,7 @@ const AllContentPage = () => {
             </div>
             <input
               type="text"
-              placeholder="Search by title, filename, or content..."
+              placeholder="Search by title or content..."
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
@@ -288,14 +408,60 @@ const AllContentPage = () => {
             )}
           </div>
           
+          {/* Filters and Sort */}
+          <div className="mt-4 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+            <div className="flex flex-wrap items-center gap-2">
+              {TYPE_FILTERS.map(({ value, label }) => (
+                <button
+                  key={value || 'all'}
+                  onClick={() => setTypeFilter(value)}
+                  className={`px-3 py-1 rounded-full text-xs sm:text-sm font-medium border transition-colors cursor-pointer ${
+                    typeFilter === value
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+              <span className="hidden sm:block h-5 border-l border-gray-300 mx-1"></span>
+              {PROTECTION_FILTERS.map(({ value, label }) => (
+                <button
+                  key={value || 'any'}
+                  onClick={() => setProtectionFilter(value)}
+                  className={`px-3 py-1 rounded-full text-xs sm:text-sm font-medium border transition-colors cursor-pointer ${
+                    protectionFilter === value
+                      ? 'bg-yellow-500 border-yellow-500 text-white'
+                      : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <label htmlFor="gallery-sort" className="text-xs sm:text-sm text-gray-600">Sort by</label>
+              <select
+                id="gallery-sort"
+                value={activeSort}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-md bg-white text-xs sm:text-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 cursor-pointer"
+              >
+                {SORT_OPTIONS.filter(option => hasSearch || !option.searchOnly).map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          
           {/* Search Results Info */}
-          {searchQuery && (
+          {(hasFilters || searching) && (
             <div className="mt-4 text-xs sm:text-sm text-gray-600">
-              {debouncedSearchQuery === searchQuery ? (
-                filteredShares.length > 0 ? (
-                  `Found ${filteredShares.length} result${filteredShares.length !== 1 ? 's' : ''} for "${searchQuery}"`
+              {debouncedSearchQuery === searchQuery && !searching ? (
+                totalShares > 0 ? (
+                  `Found ${totalShares} result${totalShares !== 1 ? 's' : ''}${searchQuery.trim() ? ` for "${searchQuery.trim()}"` : ''}`
                 ) : (
-                  `No results found for "${searchQuery}"`
+                  `No results found${searchQuery.trim() ? ` for "${searchQuery.trim()}"` : ''}`
                 )
               ) : (
                 <div className="flex items-center">
@@ -310,27 +476,40 @@ const AllContentPage = () => {
           )}
         </div>
 
+        {/* Gallery Changed Notice */}
+        {galleryChanged && shares.length > ITEMS_PER_PAGE && (
+          <div className="mb-6 rounded-lg p-3 sm:p-4 border bg-blue-50 border-blue-200 text-blue-800 text-xs sm:text-sm flex items-center justify-between gap-3">
+            <span>Shares were added or removed since the gallery was loaded.</span>
+            <button
+              onClick={handleShowLatest}
+              className="px-3 py-1.5 rounded-md bg-blue-600 text-white font-medium hover:bg-blue-700 transition-colors cursor-pointer"
+            >
+              Show latest
+            </button>
+          </div>
+        )}
+
         {/* Content Grid */}
-        {filteredShares.length === 0 ? (
+        {shares.length === 0 ? (
           <div className="text-center py-12">
             <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
             </svg>
             <h3 className="text-base sm:text-lg font-medium text-gray-900 mb-2">
-              {searchQuery ? 'No Matching Content Found' : 'No Content Found'}
+              {hasFilters ? 'No Matching Content Found' : 'No Content Found'}
             </h3>
             <p className="text-sm sm:text-base text-gray-600 mb-6">
-              {searchQuery 
-                ? `No shared files or text content match your search for "${searchQuery}".`
+              {hasFilters 
+                ? 'No shared files or text content match your search and filters.'
                 : 'There are no shared files or text content available at the moment.'
               }
             </p>
-            {searchQuery ? (
+            {hasFilters ? (
               <button
-                onClick={handleClearSearch}
+                onClick={handleClearFilters}
                 className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
               >
-                Clear Search
+                Clear Filters
               </button>
             ) : (
               <a
@@ -342,8 +521,8 @@ const AllContentPage = () => {
             )}
           </div>
         ) : (
-          <div className="grid gap-4 sm:gap-6 grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
-            {filteredShares.map((share) => (
+          <div className={`grid gap-4 sm:gap-6 grid-cols-1 md:grid-cols-2 lg:grid-cols-3 transition-opacity ${searching ? 'opacity-60' : ''}`}>
+            {shares.map((share) => (
               <div key={share.id} className="bg-white rounded-lg shadow-lg hover:shadow-xl transition-shadow duration-200">
                 <div className="p-4 sm:p-6">
                   {/* Header */}
@@ -354,7 +533,7 @@ const AllContentPage = () => {
                         className="text-base sm:text-lg font-semibold text-gray-900 hover:text-blue-600 transition-colors cursor-pointer block truncate"
                         title={share.title}
                       >
-                        {highlightText(share.title, searchQuery)}
+                        {highlightText(share.title, debouncedSearchQuery)}
                       </a>
                       <p className="text-xs sm:text-sm text-gray-500 mt-1">
                         {formatDate(share.createdAt)}
@@ -366,7 +545,7 @@ const AllContentPage = () => {
                           passwordCache.has(share.id) 
                             ? 'bg-green-100' 
                             : 'bg-yellow-100'
-                        }`} title={passwordCache.has(share.id) ? 'Password Cached' : 'Password Protected'}>
+                        }`} title={passwordCache.has(share.id) ? 'Unlocked' : 'Password Protected'}>
                           <svg className={`w-3 h-3 sm:w-4 sm:h-4 ${
                             passwordCache.has(share.id) 
                               ? 'text-green-600' 
@@ -380,6 +559,13 @@ const AllContentPage = () => {
                           </svg>
                         </div>
                       )}
+                      {share.encrypted && (
+                        <div className="flex items-center justify-center w-6 h-6 sm:w-8 sm:h-8 bg-purple-100 rounded-full" title="End-to-end encrypted">
+                          <svg className="w-3 h-3 sm:w-4 sm:h-4 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                          </svg>
+                        </div>
+                      )}
                       {share.hasText && (
                         <div className="flex items-center justify-center w-6 h-6 sm:w-8 sm:h-8 bg-green-100 rounded-full" title="Contains text">
                           <svg className="w-3 h-3 sm:w-4 sm:h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -402,7 +588,7 @@ const AllContentPage = () => {
                     {share.textPreview && (
                       <div className={`bg-gray-50 rounded-lg p-2 sm:p-3 mb-2 sm:mb-3 relative overflow-hidden ${share.passwordProtected ? 'blur-[1px]' : ''}`}>
                         <p className="text-xs sm:text-sm text-gray-700 font-mono leading-relaxed break-words">
-                          {highlightText(truncateText(share.textPreview), searchQuery)}
+                          {highlightText(truncateText(share.textPreview), debouncedSearchQuery)}
                         </p>
                         {share.passwordProtected && (
                           <div className="absolute inset-0 flex items-center justify-center bg-white bg-opacity-70 rounded-lg">
@@ -426,7 +612,7 @@ const AllContentPage = () => {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                           </svg>
                           <span className="text-xs sm:text-sm font-medium text-blue-900 truncate min-w-0 block" title={share.originalFileName}>
-                            {highlightText(share.originalFileName, searchQuery)}
+                            {share.originalFileName}
                           </span>
                         </div>
                         {share.fileSize && (
@@ -489,7 +675,7 @@ const AllContentPage = () => {
         )}
 
         {/* Load More Button (fallback) and Loading Indicator */}
-        {!searchQuery && filteredShares.length > 0 && (
+        {shares.length > 0 && (
           <div className="mt-8 text-center">
             {loadingMore && (
               <div className="mb-4">
@@ -501,7 +687,7 @@ const AllContentPage = () => {
               </div>
             )}
             
-            {hasMore && !loadingMore && (
+            {hasMore && !loadingMore && !searching && (
               <button
                 onClick={loadMoreShares}
                 className="inline-flex items-center px-6 py-3 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
@@ -520,15 +706,6 @@ const AllContentPage = () => {
             )}
           </div>
         )}
-
-        {/* Search Results Footer */}
-        {searchQuery && filteredShares.length > 0 && (
-          <div className="mt-6 sm:mt-8 text-center">
-            <p className="text-gray-500 text-xs sm:text-sm">
-              Showing all search results for "{searchQuery}"
-            </p>
-          </div>
-        )}
       </div>
     </div>
   );
@@ -0,0 +1,72 @@
+import { useMemo, useEffect, useRef } from 'preact/hooks';
+import 'highlight.js/styles/github.css';
+import { highlightLines } from '../utils/highlight';
+
+const CodeBlock = ({ text, language, selectedLines, onSelectLines }) => {
+  const lines = useMemo(() => highlightLines(text, language), [text, language]);
+  const containerRef = useRef(null);
+
+  // Bring the linked lines into view when the page is opened from a line link
+  useEffect(() => {
+    if (!selectedLines || !containerRef.current) return;
+
+    const firstLine = containerRef.current.querySelector(`#L${selectedLines.start}`);
+    firstLine?.scrollIntoView({ block: 'center' });
+  }, [lines]);
+
+  // Shift-click extends the selection from the line picked before
+  const handleLineClick = (e, lineNumber) => {
+    e.preventDefault();
+
+    if (e.shiftKey && selectedLines) {
+      onSelectLines({
+        start: Math.min(selectedLines.start, lineNumber),
+        end: Math.max(selectedLines.start, lineNumber)
+      });
+    } else if (selectedLines?.start === lineNumber && selectedLines?.end === lineNumber) {
+      onSelectLines(null);
+    } else {
+      onSelectLines({ start: lineNumber, end: lineNumber });
+    }
+  };
+
+  const isSelected = (lineNumber) => {
+    return !!selectedLines && lineNumber >= selectedLines.start && lineNumber <= selectedLines.end;
+  };
+
+  return (
+    <div ref={containerRef} className="bg-gray-50 rounded-lg py-3 sm:py-4 overflow-x-auto">
+      <table className="w-full border-collapse font-mono text-xs sm:text-sm leading-relaxed">
+        <tbody>
+          {lines.map((html, index) => {
+            const lineNumber = index + 1;
+            return (
+              <tr
+                key={lineNumber}
+                id={`L${lineNumber}`}
+                className={isSelected(lineNumber) ? 'bg-yellow-100' : ''}
+              >
+                <td className="w-1 pl-3 pr-3 sm:pl-4 text-right align-top select-none">
+                  <a
+                    href={`#L${lineNumber}`}
+                    onClick={(e) => handleLineClick(e, lineNumber)}
+                    className="text-gray-400 hover:text-gray-700 cursor-pointer"
+                    title="Link to this line (Shift-click to select a range)"
+                  >
+                    {lineNumber}
+                  </a>
+                </td>
+                <td className="pr-3 sm:pr-6 text-gray-800 whitespace-pre align-top">
+                  {/* highlight.js escapes the text, so the markup only contains its own spans */}
+                  <span dangerouslySetInnerHTML={{ __html: html || ' ' }} />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default CodeBlock;
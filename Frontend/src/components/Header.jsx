@@ -32,6 +32,12 @@ const Header = () => {
             >
               Browse All
             </a>
+            <a
+              href="/my-shares"
+              className="text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md text-sm font-medium transition-colors cursor-pointer"
+            >
+              My Shares
+            </a>
             {/* <a
               href="/error-demo"
               className="text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md text-sm font-medium transition-colors cursor-pointer"
@@ -82,6 +88,13 @@ const Header = () => {
               >
                 Browse All
               </a>
+              <a
+                href="/my-shares"
+                className="block text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md text-base font-medium transition-colors cursor-pointer"
+                onClick={() => setMobileMenuOpen(false)}
+              >
+                My Shares
+              </a>
               {/* <a
                 href="/error-demo"
                 className="block text-gray-600 hover:text-gray-900 px-3 py-2 rounded-md text-base font-medium transition-colors cursor-pointer"
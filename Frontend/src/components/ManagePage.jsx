@@ -0,0 +1,393 @@
+import { useState, useEffect } from 'preact/hooks';
+import { API_ENDPOINTS } from '../config/api';
+import { formatDate, formatFileSize, generateShareUrl, EXPIRY_OPTIONS } from '../utils/helpers';
+import { myShares } from '../utils/myShares';
+
+const ManagePage = ({ id, toast }) => {
+  // The manage link carries the token in its fragment, otherwise fall back to the local list
+  const [manageToken] = useState(() => window.location.hash.slice(1) || myShares.get(id)?.manageToken || '');
+  const [share, setShare] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [title, setTitle] = useState('');
+  const [text, setText] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [removePassword, setRemovePassword] = useState(false);
+  const [visibility, setVisibility] = useState('unlisted');
+  const [extendBy, setExtendBy] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [deleted, setDeleted] = useState(false);
+
+  const savedShare = myShares.get(id);
+  const shareUrl = savedShare?.url || generateShareUrl(id);
+
+  const applyShare = (data) => {
+    setShare(data);
+    setTitle(data.title);
+    setText(data.text || '');
+    setNewPassword('');
+    setRemovePassword(false);
+    setVisibility(data.visibility || 'unlisted');
+    setExtendBy('');
+  };
+
+  useEffect(() => {
+    const fetchShare = async () => {
+      if (!manageToken) {
+        setError('This link is missing its manage token. Open the full manage link you got after uploading.');
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const response = await fetch(API_ENDPOINTS.manageShare(id), {
+          headers: { 'X-Manage-Token': manageToken }
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+          if (response.status === 404 || response.status === 410) {
+            myShares.remove(id);
+          }
+          throw new Error(data.error || 'Failed to load share');
+        }
+
+        applyShare(data.share);
+
+        // Opening a manage link in another browser adds the share to that browser's list too
+        if (!savedShare) {
+          myShares.add({
+            id,
+            title: data.share.title,
+            url: shareUrl,
+            manageToken,
+            type: data.share.files.length > 0 ? 'file' : 'text',
+            encrypted: data.share.encrypted,
+            createdAt: data.share.createdAt,
+            expiresAt: data.share.expiresAt
+          });
+        }
+      } catch (err) {
+        setError(err.message || 'Failed to load share');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchShare();
+  }, [id]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaveError('');
+
+    // Only send what changed
+    const changes = {};
+    if (title.trim() !== share.title) {
+      changes.title = title;
+    }
+    if (!share.encrypted && text !== (share.text || '')) {
+      changes.text = text;
+    }
+    if (removePassword) {
+      changes.password = '';
+    } else if (newPassword.trim()) {
+      changes.password = newPassword.trim();
+    }
+    if (visibility !== share.visibility) {
+      changes.visibility = visibility;
+    }
+    if (extendBy) {
+      changes.extendBy = extendBy;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      setSaveError('Nothing has changed');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(API_ENDPOINTS.updateShare(id), {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Manage-Token': manageToken
+        },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save changes');
+      }
+
+      applyShare(data.share);
+      myShares.update(id, { title: data.share.title, expiresAt: data.share.expiresAt });
+      toast?.showSuccess('Share updated');
+    } catch (err) {
+      setSaveError(err.message || 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this share and its files now? This cannot be undone.')) {
+      return;
+    }
+
+    setDeleting(true);
+    setSaveError('');
+    try {
+      const response = await fetch(API_ENDPOINTS.deleteShare(id), {
+        method: 'DELETE',
+        headers: { 'X-Manage-Token': manageToken }
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete share');
+      }
+
+      myShares.remove(id);
+      setDeleted(true);
+      toast?.showSuccess('Share deleted');
+    } catch (err) {
+      setSaveError(err.message || 'Failed to delete share');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const extendOptions = EXPIRY_OPTIONS.filter(option => share?.extendOptions?.includes(option.value));
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4 text-center text-gray-600">Loading share...</div>
+      </div>
+    );
+  }
+
+  if (error || deleted) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-2xl mx-auto px-4">
+          <div className="bg-white rounded-lg shadow-lg p-8 text-center">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">
+              {deleted ? 'Share Deleted' : 'Unable to Manage Share'}
+            </h2>
+            <p className="text-gray-600 mb-6">
+              {deleted ? 'The share and its files have been deleted.' : error}
+            </p>
+            <div className="flex justify-center space-x-4">
+              <a href="/my-shares" className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 transition-colors cursor-pointer">
+                My Shares
+              </a>
+              <a href="/" className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors cursor-pointer">
+                Share Something
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-2xl mx-auto px-4">
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">Manage Share</h1>
+          <p className="text-sm text-gray-500 mb-6">
+            Expires {formatDate(share.expiresAt)}
+            {share.viewsRemaining !== null && ` · ${share.viewsRemaining} of ${share.maxViews} views left`}
+            {share.encrypted && ' · End-to-end encrypted'}
+          </p>
+
+          <form onSubmit={handleSave} className="space-y-6">
+            {saveError && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+                {saveError}
+              </div>
+            )}
+
+            {/* Title */}
+            <div>
+              <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-2">
+                Title
+              </label>
+              <input
+                id="title"
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                maxLength={100}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                disabled={saving}
+                required
+              />
+            </div>
+
+            {/* Text (encrypted text can only be written with the key, so it can't be edited here) */}
+            {share.encrypted ? (
+              share.text && (
+                <p className="text-sm text-gray-500">
+                  The text of an end-to-end encrypted share can't be edited.
+                </p>
+              )
+            ) : (
+              <div>
+                <label htmlFor="text" className="block text-sm font-medium text-gray-700 mb-2">
+                  Text Content
+                </label>
+                <textarea
+                  id="text"
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  rows={8}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+                  disabled={saving}
+                  required={share.files.length === 0}
+                />
+              </div>
+            )}
+
+            {/* Files (read only) */}
+            {share.files.length > 0 && (
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-2">Files</p>
+                <ul className="text-sm text-gray-600 space-y-1">
+                  {share.files.map((file) => (
+                    <li key={file.index} className="flex justify-between">
+                      <span className="truncate mr-4">{share.encrypted ? `Encrypted file ${file.index + 1}` : file.originalName}</span>
+                      <span className="text-gray-400">{formatFileSize(file.size)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Password */}
+            <div>
+              <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                {share.passwordProtected ? 'Change Password' : 'Add Password'} <span className="text-gray-400">(Optional)</span>
+              </label>
+              <input
+                id="newPassword"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                placeholder={share.passwordProtected ? 'Enter a new password...' : 'Enter a password to protect this share...'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                disabled={saving || removePassword}
+              />
+              {share.passwordProtected && (
+                <label className="flex items-center mt-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={removePassword}
+                    onChange={(e) => setRemovePassword(e.target.checked)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                    disabled={saving}
+                  />
+                  Remove password protection
+                </label>
+              )}
+              {share.failedPasswordAttempts > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {share.failedPasswordAttempts} wrong password{share.failedPasswordAttempts !== 1 ? 's' : ''} entered
+                  {share.maxPasswordAttempts && ` (the share is deleted after ${share.maxPasswordAttempts})`}.
+                  Changing the password resets the count.
+                </p>
+              )}
+            </div>
+
+            {/* Visibility (public shares can only be chosen while the server has a gallery) */}
+            {(share.publicGalleryEnabled || share.visibility === 'public') && (
+              <div>
+                <label htmlFor="visibility" className="block text-sm font-medium text-gray-700 mb-2">
+                  Visibility
+                </label>
+                <select
+                  id="visibility"
+                  value={visibility}
+                  onChange={(e) => setVisibility(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  disabled={saving}
+                >
+                  <option value="unlisted">Unlisted - only people with the link</option>
+                  {share.publicGalleryEnabled && (
+                    <option value="public">Public - listed in the gallery</option>
+                  )}
+                </select>
+              </div>
+            )}
+
+            {/* Expiry extension */}
+            <div>
+              <label htmlFor="extendBy" className="block text-sm font-medium text-gray-700 mb-2">
+                Extend Expiry
+              </label>
+              <select
+                id="extendBy"
+                value={extendBy}
+                onChange={(e) => setExtendBy(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                disabled={saving || extendOptions.length === 0}
+              >
+                <option value="">Keep current expiry</option>
+                {extendOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    Add {option.label}
+                  </option>
+                ))}
+              </select>
+              {extendOptions.length === 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  This share has reached the longest lifetime allowed
+                </p>
+              )}
+            </div>
+
+            <div className="flex space-x-4">
+              <button
+                type="submit"
+                disabled={saving || deleting}
+                className="flex-1 px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors cursor-pointer"
+              >
+                {saving ? 'Saving...' : 'Save Changes'}
+              </button>
+              <a
+                href={shareUrl}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 transition-colors text-center cursor-pointer"
+              >
+                View Share
+              </a>
+            </div>
+          </form>
+
+          {/* Danger zone */}
+          <div className="mt-8 pt-6 border-t border-gray-200">
+            <h2 className="text-lg font-semibold text-red-700 mb-2">Delete Share</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Removes the share and its files right away, before it expires.
+            </p>
+            <button
+              onClick={handleDelete}
+              disabled={saving || deleting}
+              className="px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors cursor-pointer"
+            >
+              {deleting ? 'Deleting...' : 'Delete Share'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ManagePage;
@@ -0,0 +1,17 @@
+import { useMemo } from 'preact/hooks';
+import 'highlight.js/styles/github.css';
+import { renderMarkdown } from '../utils/markdown';
+
+const MarkdownView = ({ text }) => {
+  // renderMarkdown sanitizes the markup with DOMPurify
+  const html = useMemo(() => renderMarkdown(text), [text]);
+
+  return (
+    <div
+      className="markdown-body bg-gray-50 rounded-lg p-4 sm:p-6 overflow-x-auto text-sm sm:text-base text-gray-800"
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownView;
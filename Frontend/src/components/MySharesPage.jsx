@@ -0,0 +1,89 @@
+import { useState } from 'preact/hooks';
+import { formatDate, generateManageUrl } from '../utils/helpers';
+import { myShares } from '../utils/myShares';
+
+const MySharesPage = () => {
+  const [shares, setShares] = useState(() => {
+    myShares.cleanup();
+    return myShares.getAll();
+  });
+
+  const forgetShare = (shareId) => {
+    if (!window.confirm('Remove this share from your list? The share itself is not deleted, but you will lose its manage link.')) {
+      return;
+    }
+    myShares.remove(shareId);
+    setShares(myShares.getAll());
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">My Shares</h1>
+          <p className="text-gray-600">
+            Shares created in this browser. The list and the manage links are only stored on this device.
+          </p>
+        </div>
+
+        {shares.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <p className="text-gray-600 mb-4">You haven't created any shares that are still active.</p>
+            <a
+              href="/"
+              className="inline-block px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors cursor-pointer"
+            >
+              Share Something
+            </a>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {shares.map((share) => (
+              <li key={share.id} className="bg-white rounded-lg shadow p-4 sm:p-6">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h2 className="text-lg font-semibold text-gray-900 truncate">{share.title}</h2>
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                        {share.type === 'file' ? 'File' : 'Text'}
+                      </span>
+                      {share.encrypted && (
+                        <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">Encrypted</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1">
+                      Created {formatDate(share.createdAt)} · Expires {formatDate(share.expiresAt)}
+                    </p>
+                  </div>
+
+                  <div className="flex space-x-2 shrink-0">
+                    <a
+                      href={share.url}
+                      className="px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 transition-colors cursor-pointer"
+                    >
+                      View
+                    </a>
+                    <a
+                      href={generateManageUrl(share.id, share.manageToken)}
+                      className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors cursor-pointer"
+                    >
+                      Manage
+                    </a>
+                    <button
+                      onClick={() => forgetShare(share.id)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-500 bg-white hover:bg-gray-50 transition-colors cursor-pointer"
+                    >
+                      Forget
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MySharesPage;
@@ -1,23 +1,24 @@
 import { useState } from 'preact/hooks';
+import { formatDate } from '../utils/helpers';
 
 const ResultCard = ({ result, onBack }) => {
-  const [copied, setCopied] = useState(false);
+  const [copied, setCopied] = useState(null); // Which link was copied last: 'share' or 'manage'
 
-  const copyToClipboard = async () => {
+  const copyToClipboard = async (value, field) => {
     try {
-      await navigator.clipboard.writeText(result.url);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      await navigator.clipboard.writeText(value);
+      setCopied(field);
+      setTimeout(() => setCopied(null), 2000);
     } catch (err) {
       // Fallback for older browsers
       const textArea = document.createElement('textarea');
-      textArea.value = result.url;
+      textArea.value = value;
       document.body.appendChild(textArea);
       textArea.select();
       document.execCommand('copy');
       document.body.removeChild(textArea);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      setCopied(field);
+      setTimeout(() => setCopied(null), 2000);
     }
   };
 
@@ -45,7 +46,7 @@ const ResultCard = ({ result, onBack }) => {
         </h2>
         
         <p className="text-gray-600 mb-6">
-          Your {result.type === 'file' ? 'file' : 'text'} "{result.data?.title || 'content'}" has been shared successfully. 
+          Your {result.type === 'file' ? (result.data?.files?.length > 1 ? 'files' : 'file') : 'text'} "{result.data?.title || 'content'}" has been shared successfully. 
           Share the link below with anyone you want to give access to.
         </p>
 
@@ -62,14 +63,14 @@ const ResultCard = ({ result, onBack }) => {
               className="flex-1 px-3 py-2 bg-white border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
             <button
-              onClick={copyToClipboard}
+              onClick={() => copyToClipboard(result.url, 'share')}
               className={`px-4 py-2 rounded-md text-sm font-medium transition-colors cursor-pointer ${
-                copied
+                copied === 'share'
                   ? 'bg-green-600 text-white'
                   : 'bg-blue-600 text-white hover:bg-blue-700'
               }`}
             >
-              {copied ? (
+              {copied === 'share' ? (
                 <div className="flex items-center">
                   <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
@@ -88,6 +89,36 @@ const ResultCard = ({ result, onBack }) => {
           </div>
         </div>
 
+        {/* Private Manage Link */}
+        {result.manageUrl && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6 text-left">
+            <label className="block text-sm font-medium text-amber-800 mb-1">
+              Private Manage Link
+            </label>
+            <p className="text-xs text-amber-700 mb-2">
+              Keep this link to yourself. Anyone who has it can edit, extend or delete this share. It is also saved under "My Shares" in this browser.
+            </p>
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={result.manageUrl}
+                readOnly
+                className="flex-1 px-3 py-2 bg-white border border-amber-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-amber-500"
+              />
+              <button
+                onClick={() => copyToClipboard(result.manageUrl, 'manage')}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition-colors cursor-pointer ${
+                  copied === 'manage'
+                    ? 'bg-green-600 text-white'
+                    : 'bg-amber-600 text-white hover:bg-amber-700'
+                }`}
+              >
+                {copied === 'manage' ? 'Copied!' : 'Copy'}
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Additional Info */}
         <div className="bg-blue-50 rounded-lg p-4 mb-6">
           <div className="flex items-start">
@@ -97,9 +128,19 @@ const ResultCard = ({ result, onBack }) => {
             <div className="text-left">
               <h4 className="text-sm font-medium text-blue-800 mb-1">Important Information</h4>
               <ul className="text-sm text-blue-700 space-y-1">
-                <li>• This link will expire in 3 hours</li>
+                <li>• This link will expire on {formatDate(result.expiresAt)}</li>
+                {result.maxViews && (
+                  <li>
+                    • {result.maxViews === 1
+                      ? 'This share will be deleted after it is viewed once'
+                      : `This share will be deleted after ${result.maxViews} views`}
+                  </li>
+                )}
                 <li>• Files are automatically deleted after expiration</li>
                 <li>• Anyone with this link can access your content</li>
+                {result.encrypted && (
+                  <li>• End-to-end encrypted: the key is the part of the link after "#" and never reaches our server, so the content can't be recovered without the full link</li>
+                )}
                 <li>• Maximum file size: 50MB</li>
               </ul>
             </div>
@@ -1,20 +1,120 @@
-import { useState } from 'preact/hooks';
-import { validateFile, generateShareUrl } from '../utils/helpers';
+import { useState, useRef, useMemo, useEffect } from 'preact/hooks';
+import { generateShareUrl, generateManageUrl, formatFileSize, EXPIRY_OPTIONS, DEFAULT_EXPIRY, VIEW_LIMIT_OPTIONS, PASSWORD_ATTEMPT_OPTIONS, TEXT_FORMAT_OPTIONS, DEFAULT_TEXT_FORMAT, MAX_FILES_PER_SHARE, MAX_FILE_SIZE } from '../utils/helpers';
+import { loadFilePolicy, validateFile, getAcceptedExtensions, describeAllowedTypes } from '../utils/filePolicy';
 import { API_ENDPOINTS } from '../config/api';
+import { uploadFileInChunks, clearUploadResumeState } from '../utils/chunkedUpload';
+import { generateEncryptionKey, exportEncryptionKey, encryptText, encryptFile } from '../utils/encryption';
+import { myShares } from '../utils/myShares';
+import { LANGUAGE_OPTIONS, AUTO_DETECT_LANGUAGE, detectLanguage, getLanguageLabel } from '../utils/highlight';
+import MarkdownView from './MarkdownView';
 
 const UploadForm = ({ onUploadSuccess }) => {
   const [title, setTitle] = useState('');
+  const [alias, setAlias] = useState('');
+  const [aliasStatus, setAliasStatus] = useState(null); // { checking, available, message } for the custom link
   const [text, setText] = useState('');
-  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState(DEFAULT_TEXT_FORMAT);
+  const [language, setLanguage] = useState(AUTO_DETECT_LANGUAGE);
+  const [showPreview, setShowPreview] = useState(false); // Markdown preview instead of the text box
+  const [files, setFiles] = useState([]);
   const [password, setPassword] = useState('');
+  const [maxPasswordAttempts, setMaxPasswordAttempts] = useState('');
+  const [expiresIn, setExpiresIn] = useState(DEFAULT_EXPIRY);
+  const [maxViews, setMaxViews] = useState('');
+  const [encrypt, setEncrypt] = useState(false);
+  const [listPublicly, setListPublicly] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // Percentage of file bytes acknowledged by the server
   const [error, setError] = useState('');
   const [dragActive, setDragActive] = useState(false);
+  const [filePolicy, setFilePolicy] = useState(null); // Allowed types and sizes, from the server
+  // Key and encrypted copies of the selected files, kept so a retried upload resumes the same bytes
+  const encryptionRef = useRef(null);
+
+  useEffect(() => {
+    loadFilePolicy().then((policy) => {
+      setFilePolicy(policy);
+      // Keep the chosen expiry if the server allows it, otherwise fall back to the server's default
+      if (policy?.expiryOptions) {
+        setExpiresIn((current) => (policy.expiryOptions.some(option => option.value === current) ? current : policy.defaultExpiry));
+      }
+    });
+  }, []);
+
+  const maxFilesPerShare = filePolicy?.maxFilesPerShare || MAX_FILES_PER_SHARE;
+  const expiryOptions = filePolicy?.expiryOptions || EXPIRY_OPTIONS;
+
+  // Reuse the key and encrypted files of an earlier attempt, or encrypt anything new
+  const prepareEncryption = async () => {
+    if (!encryptionRef.current) {
+      const key = await generateEncryptionKey();
+      encryptionRef.current = {
+        key,
+        keyString: await exportEncryptionKey(key),
+        files: new Map()
+      };
+    }
+
+    const { files: encryptedFiles, key } = encryptionRef.current;
+    for (const selectedFile of files) {
+      if (!encryptedFiles.has(selectedFile)) {
+        encryptedFiles.set(selectedFile, await encryptFile(selectedFile, key));
+      }
+    }
+
+    return encryptionRef.current;
+  };
+
+  // Check the custom link while it is typed, once the user pauses
+  useEffect(() => {
+    const requestedAlias = alias.trim();
+    if (!requestedAlias) {
+      setAliasStatus(null);
+      return;
+    }
+
+    let cancelled = false;
+    setAliasStatus({ checking: true, available: false, message: 'Checking availability...' });
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(API_ENDPOINTS.checkAlias(requestedAlias));
+        const data = await response.json().catch(() => ({}));
+        if (cancelled) return;
+
+        if (!response.ok) {
+          // Let the upload itself decide if the check can't be made
+          setAliasStatus(null);
+          return;
+        }
+
+        setAliasStatus({
+          checking: false,
+          available: data.available,
+          message: data.available ? 'This link is available' : data.error
+        });
+      } catch (err) {
+        if (!cancelled) {
+          setAliasStatus(null);
+        }
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [alias]);
+
+  // Guessed from the text while auto-detect is picked, shown below the language select
+  const detectedLanguage = useMemo(() => {
+    return format === 'code' && language === AUTO_DETECT_LANGUAGE && files.length === 0 ? detectLanguage(text) : null;
+  }, [text, format, language, files.length]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!text.trim() && !file) {
+    if (!text.trim() && files.length === 0) {
       setError('Please enter text or select a file');
       return;
     }
@@ -24,27 +124,89 @@ const UploadForm = ({ onUploadSuccess }) => {
       return;
     }
 
+    if (aliasStatus && !aliasStatus.checking && !aliasStatus.available) {
+      setError(aliasStatus.message || 'Please pick another custom link');
+      return;
+    }
+
     setLoading(true);
     setError('');
 
+    const chunkedUploads = [];
+
     try {
-      // Validate file if present
-      if (file) {
-        validateFile(file);
+      // Validate files if present, encrypted files can only be checked here
+      for (const selectedFile of files) {
+        await validateFile(selectedFile, filePolicy);
+      }
+
+      // End-to-end encryption happens here, the server only ever receives ciphertext
+      const encryption = encrypt ? await prepareEncryption() : null;
+      const uploadFiles = encryption
+        ? files.map((selectedFile) => encryption.files.get(selectedFile))
+        : files;
+
+      // Send files in chunks first; an interrupted upload resumes when Share is pressed again
+      if (uploadFiles.length > 0) {
+        const totalBytes = uploadFiles.reduce((total, uploadFile) => total + uploadFile.size, 0);
+        let finishedBytes = 0;
+        setUploadProgress(0);
+
+        try {
+          for (const uploadFile of uploadFiles) {
+            const chunkedUpload = await uploadFileInChunks(uploadFile, {
+              encrypted: !!encryption,
+              onProgress: (uploadedBytes) => {
+                setUploadProgress(Math.round(((finishedBytes + uploadedBytes) / Math.max(totalBytes, 1)) * 100));
+              }
+            });
+            chunkedUploads.push(chunkedUpload);
+            finishedBytes += uploadFile.size;
+          }
+        } catch (err) {
+          throw new Error(`${err.message || 'Upload failed'}. Press Share again to resume the upload.`);
+        }
       }
 
       const formData = new FormData();
       
       formData.append('title', title.trim());
+
+      if (alias.trim()) {
+        formData.append('alias', alias.trim());
+      }
+
+      if (encryption) {
+        formData.append('encrypted', 'true');
+      }
+
+      formData.append('visibility', listPublicly ? 'public' : 'unlisted');
       
       if (password.trim()) {
         formData.append('password', password.trim());
+        if (maxPasswordAttempts) {
+          formData.append('maxPasswordAttempts', maxPasswordAttempts);
+        }
+      }
+
+      formData.append('expiresIn', expiresIn);
+
+      if (maxViews) {
+        formData.append('maxViews', maxViews);
       }
       
-      if (file) {
-        formData.append('file', file);
+      if (files.length > 0) {
+        chunkedUploads.forEach(({ uploadId, uploadToken }) => {
+          formData.append('uploadIds', uploadId);
+          formData.append('uploadTokens', uploadToken);
+        });
       } else {
-        formData.append('text', text);
+        formData.append('format', format);
+        // Detect the language before encrypting, the server can't look at encrypted text
+        if (format === 'code') {
+          formData.append('language', detectedLanguage || language);
+        }
+        formData.append('text', encryption ? await encryptText(text, encryption.key) : text);
       }
 
       const response = await fetch(API_ENDPOINTS.upload, {
@@ -53,51 +215,95 @@ const UploadForm = ({ onUploadSuccess }) => {
       });
 
       if (!response.ok) {
-        throw new Error('Upload failed');
+        const errorData = await response.json().catch(() => ({}));
+        if (errorData.aliasTaken) {
+          setAliasStatus({ checking: false, available: false, message: errorData.error });
+        }
+        throw new Error(errorData.error || 'Upload failed');
       }
 
       const data = await response.json();
+      uploadFiles.forEach(clearUploadResumeState);
       
       // Generate the full URL for sharing
-      const shareUrl = generateShareUrl(data.id);
+      const shareUrl = generateShareUrl(data.id, encryption?.keyString);
       const result = {
         ...data,
         url: shareUrl,
-        type: file ? 'file' : 'text'
+        manageUrl: generateManageUrl(data.id, data.manageToken),
+        type: files.length > 0 ? 'file' : 'text'
       };
+
+      // Remember the share locally so it can be managed later
+      myShares.add({
+        id: data.id,
+        title: data.data?.title || title.trim(),
+        url: shareUrl,
+        manageToken: data.manageToken,
+        type: result.type,
+        encrypted: !!data.encrypted,
+        createdAt: new Date().toISOString(),
+        expiresAt: data.expiresAt
+      });
       
       onUploadSuccess(result);
       
       // Reset form
       setTitle('');
+      setAlias('');
       setText('');
-      setFile(null);
+      setFormat(DEFAULT_TEXT_FORMAT);
+      setLanguage(AUTO_DETECT_LANGUAGE);
+      setShowPreview(false);
+      setFiles([]);
       setPassword('');
+      setMaxPasswordAttempts('');
+      setListPublicly(false);
+      setExpiresIn(filePolicy?.defaultExpiry || DEFAULT_EXPIRY);
+      setMaxViews('');
+      setEncrypt(false);
+      encryptionRef.current = null;
       if (e.target.file) e.target.file.value = '';
       
     } catch (err) {
       setError(err.message || 'Upload failed. Please try again.');
     } finally {
       setLoading(false);
+      setUploadProgress(null);
+    }
+  };
+
+  // Validate and append newly selected files to the current selection
+  const addFiles = async (newFiles) => {
+    if (files.length + newFiles.length > maxFilesPerShare) {
+      throw new Error(`You can share up to ${maxFilesPerShare} files at once`);
+    }
+
+    for (const newFile of newFiles) {
+      await validateFile(newFile, filePolicy);
     }
+    setFiles([...files, ...newFiles]);
+    setText(''); // Clear text when files are selected
+    setError(''); // Clear any previous errors
   };
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
+  const handleFileChange = async (e) => {
+    const selectedFiles = Array.from(e.target.files || []);
     
-    if (selectedFile) {
+    if (selectedFiles.length > 0) {
+      e.target.value = ''; // Clear the file input so the same file can be picked again
       try {
-        validateFile(selectedFile);
-        setFile(selectedFile);
-        setText(''); // Clear text when file is selected
-        setError(''); // Clear any previous errors
+        await addFiles(selectedFiles);
       } catch (err) {
         setError(err.message);
-        e.target.value = ''; // Clear the file input
       }
     }
   };
 
+  const handleRemoveFile = (index) => {
+    setFiles(files.filter((_, fileIndex) => fileIndex !== index));
+  };
+
   const truncateFileName = (fileName, maxLength = 30) => {
     if (!fileName || fileName.length <= maxLength) return fileName;
     
@@ -111,7 +317,7 @@ const UploadForm = ({ onUploadSuccess }) => {
   const handleTextChange = (e) => {
     setText(e.target.value);
     if (e.target.value.trim()) {
-      setFile(null); // Clear file when text is entered
+      setFiles([]); // Clear files when text is entered
       const fileInput = document.querySelector('input[type="file"]');
       if (fileInput) fileInput.value = '';
     }
@@ -137,20 +343,16 @@ const UploadForm = ({ onUploadSuccess }) => {
     setDragActive(false);
   };
 
-  const handleDrop = (e) => {
+  const handleDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
     
     if (loading || text.trim()) return;
     
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const droppedFile = e.dataTransfer.files[0];
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
       try {
-        validateFile(droppedFile);
-        setFile(droppedFile);
-        setText(''); // Clear text when file is dropped
-        setError(''); // Clear any previous errors
+        await addFiles(Array.from(e.dataTransfer.files));
       } catch (err) {
         setError(err.message);
       }
@@ -191,6 +393,37 @@ const UploadForm = ({ onUploadSuccess }) => {
           </p>
         </div>
 
+        {/* Custom Link Input */}
+        <div>
+          <label htmlFor="alias" className="block text-sm font-medium text-gray-700 mb-2">
+            Custom Link <span className="text-gray-400">(Optional)</span>
+          </label>
+          <div className="flex rounded-md shadow-sm">
+            <span className="inline-flex items-center px-3 rounded-l-md border border-r-0 border-gray-300 bg-gray-50 text-gray-500 text-sm">
+              /view/
+            </span>
+            <input
+              id="alias"
+              type="text"
+              value={alias}
+              onChange={(e) => setAlias(e.target.value.toLowerCase())}
+              placeholder="standup-notes"
+              maxLength={40}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-r-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              disabled={loading}
+            />
+          </div>
+          <p className={`text-xs mt-1 ${
+            !aliasStatus || aliasStatus.checking
+              ? 'text-gray-500'
+              : aliasStatus.available ? 'text-green-600' : 'text-red-600'
+          }`}>
+            {aliasStatus
+              ? aliasStatus.message
+              : 'Lowercase letters, numbers and hyphens. Leave empty for a random link'}
+          </p>
+        </div>
+
         {/* Password Input */}
         <div>
           <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
@@ -210,22 +443,219 @@ const UploadForm = ({ onUploadSuccess }) => {
           </p>
         </div>
 
-        {/* Text Input */}
+        {/* Wrong Password Limit */}
+        {password && (
+          <div>
+            <label htmlFor="maxPasswordAttempts" className="block text-sm font-medium text-gray-700 mb-2">
+              Wrong Password Limit
+            </label>
+            <select
+              id="maxPasswordAttempts"
+              value={maxPasswordAttempts}
+              onChange={(e) => setMaxPasswordAttempts(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              disabled={loading}
+            >
+              {PASSWORD_ATTEMPT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Repeated wrong passwords always lock the share for a while
+            </p>
+          </div>
+        )}
+
+        {/* Expiry Select */}
         <div>
-          <label htmlFor="text" className="block text-sm font-medium text-gray-700 mb-2">
-            Share Text
+          <label htmlFor="expiresIn" className="block text-sm font-medium text-gray-700 mb-2">
+            Expires After
+          </label>
+          <select
+            id="expiresIn"
+            value={expiresIn}
+            onChange={(e) => setExpiresIn(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            disabled={loading}
+          >
+            {expiryOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            The share and any uploaded files are deleted once this time has passed
+          </p>
+        </div>
+
+        {/* View Limit Select */}
+        <div>
+          <label htmlFor="maxViews" className="block text-sm font-medium text-gray-700 mb-2">
+            View Limit
+          </label>
+          <select
+            id="maxViews"
+            value={maxViews}
+            onChange={(e) => setMaxViews(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            disabled={loading}
+          >
+            {VIEW_LIMIT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            {maxViews === '1'
+              ? 'This share will be deleted as soon as it has been viewed once'
+              : maxViews
+                ? `This share will be deleted after ${maxViews} views`
+                : 'The share can be viewed any number of times until it expires'}
+          </p>
+        </div>
+
+        {/* Visibility */}
+        <div>
+          <label className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={listPublicly}
+              onChange={(e) => setListPublicly(e.target.checked)}
+              className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              disabled={loading}
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-700">List in the public gallery</span>
+              <span className="block text-xs text-gray-500 mt-1">
+                {listPublicly
+                  ? 'Anyone can find this share under "Browse All" (password-protected content stays hidden)'
+                  : 'Unlisted: only people with the link can open this share'}
+              </span>
+            </span>
+          </label>
+        </div>
+
+        {/* End-to-end Encryption */}
+        <div>
+          <label className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={encrypt}
+              onChange={(e) => setEncrypt(e.target.checked)}
+              className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              disabled={loading}
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-700">End-to-end encryption</span>
+              <span className="block text-xs text-gray-500 mt-1">
+                {encrypt
+                  ? 'Text and files are encrypted in your browser. The key is only part of the share link, so the server never sees your content (the title stays readable)'
+                  : 'Encrypt text and files in your browser before uploading'}
+              </span>
+            </span>
           </label>
-          <textarea
-            id="text"
-            value={text}
-            onChange={handleTextChange}
-            placeholder="Enter your text here..."
-            rows={6}
-            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
-            disabled={loading || file}
-          />
         </div>
 
+        {/* Text Input */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label htmlFor="text" className="block text-sm font-medium text-gray-700">
+              Share Text
+            </label>
+            {format === 'markdown' && files.length === 0 && (
+              <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-xs font-medium">
+                <button
+                  type="button"
+                  onClick={() => setShowPreview(false)}
+                  className={`px-3 py-1 transition-colors cursor-pointer ${!showPreview ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Write
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowPreview(true)}
+                  className={`px-3 py-1 border-l border-gray-300 transition-colors cursor-pointer ${showPreview ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Preview
+                </button>
+              </div>
+            )}
+          </div>
+          {format === 'markdown' && showPreview && files.length === 0 ? (
+            text.trim() ? (
+              <div className="max-h-96 overflow-y-auto">
+                <MarkdownView text={text} />
+              </div>
+            ) : (
+              <p className="px-3 py-6 text-sm text-center text-gray-500 bg-gray-50 rounded-md">Nothing to preview yet</p>
+            )
+          ) : (
+            <textarea
+              id="text"
+              value={text}
+              onChange={handleTextChange}
+              placeholder={format === 'markdown' ? 'Write some **markdown**...' : 'Enter your text here...'}
+              rows={6}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+              disabled={loading || files.length > 0}
+            />
+          )}
+        </div>
+
+        {/* Format and Language Select */}
+        {files.length === 0 && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="format" className="block text-sm font-medium text-gray-700 mb-2">
+                Text Format
+              </label>
+              <select
+                id="format"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                disabled={loading}
+              >
+                {TEXT_FORMAT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {format === 'code' && (
+              <div>
+                <label htmlFor="language" className="block text-sm font-medium text-gray-700 mb-2">
+                  Syntax Highlighting
+                </label>
+                <select
+                  id="language"
+                  value={language}
+                  onChange={(e) => setLanguage(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  disabled={loading}
+                >
+                  <option value={AUTO_DETECT_LANGUAGE}>Auto-detect</option>
+                  {LANGUAGE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {detectedLanguage && text.trim() && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Detected: {getLanguageLabel(detectedLanguage)}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* OR Divider */}
         <div className="flex items-center">
           <div className="flex-1 border-t border-gray-300"></div>
@@ -236,13 +666,13 @@ const UploadForm = ({ onUploadSuccess }) => {
         {/* File Input */}
         <div>
           <label htmlFor="file" className="block text-sm font-medium text-gray-700 mb-2">
-            Upload File
+            Upload Files
           </label>
           <div 
             className={`mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-dashed rounded-md transition-colors cursor-pointer ${
               dragActive 
                 ? 'border-blue-500 bg-blue-50' 
-                : file 
+                : files.length > 0 
                   ? 'border-green-300 bg-green-50' 
                   : 'border-gray-300 hover:border-gray-400'
             }`}
@@ -270,43 +700,77 @@ const UploadForm = ({ onUploadSuccess }) => {
                   htmlFor="file"
                   className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500"
                 >
-                  <span>Upload a file</span>
+                  <span>Upload files</span>
                   <input
                     id="file"
                     name="file"
                     type="file"
+                    multiple
                     className="sr-only"
                     onChange={handleFileChange}
                     disabled={loading || text.trim()}
-                    accept="image/*,.pdf,.doc,.docx,.txt,.zip,.rar"
+                    accept={getAcceptedExtensions(filePolicy)}
                   />
                 </label>
                 <p className="pl-1">or drag and drop</p>
               </div>
               <p className="text-xs text-gray-500">
                 {dragActive 
-                  ? "Drop your file here..." 
-                  : "Images, PDFs, Documents up to 50MB"
+                  ? "Drop your files here..." 
+                  : `${describeAllowedTypes(filePolicy)} up to ${formatFileSize(filePolicy?.maxFileSize || MAX_FILE_SIZE)} each (max ${maxFilesPerShare} files)`
                 }
               </p>
-              {file && (
-                <div className="mt-2 p-2 bg-green-50 rounded-md border border-green-200">
-                  <p className="text-sm text-green-700 font-medium break-all" title={file.name}>
-                    📎 {truncateFileName(file.name)}
-                  </p>
-                  <p className="text-xs text-green-600 mt-1">
-                    {(file.size / (1024 * 1024)).toFixed(2)} MB
-                  </p>
-                </div>
+              {files.length > 0 && (
+                <ul className="mt-2 space-y-2 text-left">
+                  {files.map((selectedFile, index) => (
+                    <li
+                      key={`${selectedFile.name}-${index}`}
+                      className="flex items-center justify-between p-2 bg-green-50 rounded-md border border-green-200"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm text-green-700 font-medium break-all" title={selectedFile.name}>
+                          📎 {truncateFileName(selectedFile.name)}
+                        </p>
+                        <p className="text-xs text-green-600 mt-1">
+                          {(selectedFile.size / (1024 * 1024)).toFixed(2)} MB
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveFile(index)}
+                        disabled={loading}
+                        className="ml-2 text-green-700 hover:text-red-600 text-sm font-medium cursor-pointer disabled:cursor-not-allowed"
+                        title="Remove file"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ul>
               )}
             </div>
           </div>
         </div>
 
+        {/* Upload Progress */}
+        {uploadProgress !== null && (
+          <div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                style={{ width: `${uploadProgress}%` }}
+              />
+            </div>
+            <p className="text-xs text-gray-500 mt-1 text-center">
+              {uploadProgress < 100 ? `${uploadProgress}% uploaded` : 'Finishing up...'}
+            </p>
+          </div>
+        )}
+
         {/* Submit Button */}
         <button
           type="submit"
-          disabled={loading || (!text.trim() && !file) || !title.trim()}
+          disabled={loading || (!text.trim() && files.length === 0) || !title.trim()}
           className="w-full flex justify-center py-3 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400 disabled:cursor-not-allowed cursor-pointer transition-colors"
         >
           {loading ? (
@@ -315,7 +779,7 @@ const UploadForm = ({ onUploadSuccess }) => {
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
               </svg>
-              Uploading...
+              {uploadProgress !== null && uploadProgress < 100 ? `Uploading... ${uploadProgress}%` : 'Uploading...'}
             </div>
           ) : (
             'Share'
@@ -1,26 +1,40 @@
 import { useState, useEffect } from 'preact/hooks';
 import { API_ENDPOINTS } from '../config/api';
 import { passwordCache } from '../utils/passwordCache';
+import { importEncryptionKey, decryptText, decryptFileInfo, decryptFile } from '../utils/encryption';
+import { parseViewFragment, buildViewFragment } from '../utils/helpers';
+import { getLanguageLabel } from '../utils/highlight';
+import CodeBlock from './CodeBlock';
+import MarkdownView from './MarkdownView';
 
 const ViewPage = ({ id }) => {
   const [content, setContent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [downloading, setDownloading] = useState(false);
+  const [downloadingIndex, setDownloadingIndex] = useState(null); // File index, or 'all' for the zip
   const [downloadStatus, setDownloadStatus] = useState('');
+  const [downloadStatusIndex, setDownloadStatusIndex] = useState(null);
   const [timeRemaining, setTimeRemaining] = useState('');
   const [passwordRequired, setPasswordRequired] = useState(false);
   const [password, setPassword] = useState('');
   const [passwordError, setPasswordError] = useState('');
+  const [lockedUntil, setLockedUntil] = useState(null); // Set after too many wrong passwords
+  const [lockoutSeconds, setLockoutSeconds] = useState(0);
+  const [viewConfirmation, setViewConfirmation] = useState(null);
+  const [downloadedFiles, setDownloadedFiles] = useState([]); // Indexes whose single-use download was spent
+  const [encryptionKey, setEncryptionKey] = useState(null); // From the link fragment, for end-to-end encrypted shares
+  const [shareEnded, setShareEnded] = useState(null); // 'deleted' or 'expired' while the page is open
+  const [shareEdited, setShareEdited] = useState(false);
+
+  // The key of an end-to-end encrypted share is in the link fragment, which is never sent to the server
+  const { key: keyString, lines: linkedLines } = parseViewFragment(window.location.hash);
+  const [selectedLines, setSelectedLines] = useState(linkedLines);
+  // Markdown is shown rendered, unless the link points at lines of its source
+  const [showSource, setShowSource] = useState(!!linkedLines);
 
   useEffect(() => {
-    // Check if we have a cached password first
-    const cachedPassword = passwordCache.get(id);
-    if (cachedPassword) {
-      fetchContent(cachedPassword);
-    } else {
-      fetchContent();
-    }
+    // Reuse the access token if the share was unlocked earlier in this tab
+    fetchContent(passwordCache.get(id) || '');
   }, [id]);
 
   // Update time remaining every minute
@@ -41,20 +55,82 @@ const ViewPage = ({ id }) => {
     return () => clearInterval(interval);
   }, [content?.expiresAt]);
 
-  const fetchContent = async (passwordAttempt = '') => {
+  // Hear from the server when the share expires, is deleted or edited while it's open
+  useEffect(() => {
+    if (!content) return;
+    // The last view of a text share deleted it already
+    if (content.viewsRemaining === 0 && !content.files?.length) return;
+
+    const urlObj = new URL(API_ENDPOINTS.shareEvents(id), window.location.origin);
+    const accessToken = content.passwordProtected ? passwordCache.get(id) : null;
+    if (accessToken) {
+      // EventSource can't send headers
+      urlObj.searchParams.append('accessToken', accessToken);
+    }
+
+    const events = new EventSource(urlObj.toString());
+
+    events.addEventListener('updated', (e) => {
+      const update = JSON.parse(e.data);
+      setContent(current => current && {
+        ...current,
+        expiresAt: update.expiresAt,
+        viewsRemaining: update.viewsRemaining ?? current.viewsRemaining
+      });
+      if (update.contentChanged) {
+        setShareEdited(true);
+      }
+    });
+
+    const handleEnd = (status) => {
+      setShareEnded(status);
+      if (status === 'expired') {
+        setTimeRemaining('Expired');
+      }
+      events.close();
+    };
+    events.addEventListener('expired', () => handleEnd('expired'));
+    events.addEventListener('deleted', () => handleEnd('deleted'));
+
+    return () => events.close();
+  }, [id, !!content]);
+
+  // Count down the lockout after too many wrong passwords
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const updateLockout = () => {
+      const seconds = Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+      setLockoutSeconds(seconds);
+      if (seconds === 0) {
+        setLockedUntil(null);
+        setPasswordError('');
+      }
+    };
+
+    updateLockout();
+    const interval = setInterval(updateLockout, 1000);
+
+    return () => clearInterval(interval);
+  }, [lockedUntil]);
+
+  const fetchContent = async (accessToken = '', confirmView = false) => {
     try {
       setLoading(true);
       setError('');
       setPasswordError('');
 
       let url = API_ENDPOINTS.getContent(id);
-      if (passwordAttempt) {
+      if (confirmView) {
         const urlObj = new URL(url, window.location.origin);
-        urlObj.searchParams.append('password', passwordAttempt);
+        urlObj.searchParams.append('confirmView', 'true');
         url = urlObj.toString();
       }
       
-      const response = await fetch(url);
+      // The access token goes in a header so it stays out of URLs and logs
+      const response = await fetch(url, {
+        headers: accessToken ? { 'X-Access-Token': accessToken } : {}
+      });
       
       if (!response.ok) {
         if (response.status === 404) {
@@ -65,18 +141,30 @@ const ViewPage = ({ id }) => {
         if (response.status === 401) {
           const data = await response.json();
           if (data.passwordRequired) {
-            // Remove invalid cached password if it exists
-            if (passwordAttempt) {
+            // The token expired or the password was changed, ask for the password again
+            if (accessToken) {
               passwordCache.remove(id);
             }
             setPasswordRequired(true);
             setLoading(false);
-            if (passwordAttempt) {
-              setPasswordError('Invalid password. Please try again.');
-            }
             return;
           }
         }
+        if (response.status === 403) {
+          const data = await response.json();
+          if (data.viewConfirmationRequired) {
+            setViewConfirmation({ viewsRemaining: data.viewsRemaining, encrypted: data.encrypted, accessToken });
+            setPasswordRequired(false);
+            setLoading(false);
+            return;
+          }
+        }
+        if (response.status === 410) {
+          const data = await response.json().catch(() => ({}));
+          setLoading(false);
+          setError(data.error || 'Content has expired');
+          return;
+        }
         setLoading(false);
         setError('Failed to load content');
         return;
@@ -84,13 +172,10 @@ const ViewPage = ({ id }) => {
 
       const data = await response.json();
       
-      // If we successfully loaded content with a password, cache it
-      if (passwordAttempt && data.passwordProtected) {
-        passwordCache.store(id, passwordAttempt);
-      }
-      
-      setContent(data);
+      setContent(data.encrypted ? await decryptContent(data) : data);
+      setShareEdited(false);
       setPasswordRequired(false);
+      setViewConfirmation(null);
       setLoading(false);
 
     } catch (err) {
@@ -100,80 +185,143 @@ const ViewPage = ({ id }) => {
     }
   };
 
-  const downloadFile = async () => {
-    if (content && content.file) {
+  // Decrypt the text and file names of an end-to-end encrypted share in the browser
+  const decryptContent = async (data) => {
+    if (!keyString) {
+      throw new Error('This share is end-to-end encrypted, but the link is missing its decryption key (the part after "#").');
+    }
+
+    try {
+      const key = await importEncryptionKey(keyString);
+
+      const files = await Promise.all((data.files || []).map(async (file) => {
+        const { name, type } = await decryptFileInfo(file.originalName, key);
+        // The stored bytes are ciphertext, so there is nothing to preview or link to directly
+        return { ...file, originalName: name, mimeType: type, url: null };
+      }));
+
+      setEncryptionKey(key);
+
+      return {
+        ...data,
+        text: data.text ? await decryptText(data.text, key) : data.text,
+        files
+      };
+    } catch (err) {
+      console.error('Decryption failed:', err);
+      throw new Error('This share could not be decrypted. Check that you have the complete link, including the part after "#".');
+    }
+  };
+
+  // Add the credentials the server needs to hand out files of this share
+  const withFileAccess = (endpoint) => {
+    const urlObj = new URL(endpoint, window.location.origin);
+    if (content.downloadToken) {
+      urlObj.searchParams.append('downloadToken', content.downloadToken);
+    } else if (content.passwordProtected) {
+      // Browser downloads can't send headers, so the short-lived token goes in the URL
+      const accessToken = passwordCache.get(id);
+      if (accessToken) {
+        urlObj.searchParams.append('accessToken', accessToken);
+      }
+    }
+    return urlObj.toString();
+  };
+
+  // Keep the selected lines in the fragment (next to the key) so the link can be shared
+  const selectLines = (lines) => {
+    setSelectedLines(lines);
+    const fragment = buildViewFragment({ key: keyString, lines });
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${fragment}`);
+  };
+
+  // Hand a downloaded blob to the browser as a file download
+  const saveBlob = (blob, fileName) => {
+    // Create download link
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+
+    // Add to DOM, click, and remove
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Clean up the blob URL
+    window.URL.revokeObjectURL(url);
+  };
+
+  const downloadFile = async (file) => {
+    if (content && file) {
       try {
-        setDownloading(true);
+        setDownloadingIndex(file.index);
+        setDownloadStatusIndex(file.index);
         setDownloadStatus('Preparing download...');
-        console.log('Downloading file:', content.file);
-        
+        console.log('Downloading file:', file);
+
         // Always use fetch to download the file content, then create a blob
         // This ensures the file is actually downloaded to the device
-        const downloadUrl = content.file.url.includes('supabase') 
-          ? content.file.url 
-          : API_ENDPOINTS.downloadFile(id);
-          
+        // Files are private, so the server checks access and redirects to a fresh signed URL or streams the file
+        const downloadUrl = withFileAccess(API_ENDPOINTS.downloadFile(id, file.index));
+
         console.log('Fetching file from:', downloadUrl);
         setDownloadStatus('Downloading file...');
-        
+
         const response = await fetch(downloadUrl, {
           method: 'GET',
           headers: {
             'Accept': '*/*',
           },
         });
-        
+
         if (!response.ok) {
           throw new Error(`Download failed: ${response.status} ${response.statusText}`);
         }
-        
+
         setDownloadStatus('Processing file...');
-        
+
         // Get the file as a blob
-        const blob = await response.blob();
+        let blob = await response.blob();
         console.log('File blob received:', blob.size, 'bytes');
-        
+
+        if (content.encrypted) {
+          setDownloadStatus('Decrypting file...');
+          blob = await decryptFile(blob, encryptionKey, file.mimeType);
+        }
+
         setDownloadStatus('Starting download...');
-        
-        // Create download link
-        const url = window.URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = truncateFileName(content.file.originalName, 100) || 'download';
-        
-        // Add to DOM, click, and remove
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // Clean up the blob URL
-        window.URL.revokeObjectURL(url);
-        
+        saveBlob(blob, truncateFileName(file.originalName, 100) || 'download');
+
         setDownloadStatus('Download completed!');
         console.log('Download initiated successfully');
-        
+
+        if (content.downloadToken) {
+          setDownloadedFiles(prev => [...prev, file.index]);
+        }
+
         // Clear status after 2 seconds
         setTimeout(() => {
           setDownloadStatus('');
         }, 2000);
-        
+
       } catch (err) {
         console.error('Download failed:', err);
         setDownloadStatus('Download failed, trying alternative...');
-        
+
         // Fallback: try to open in new tab with download suggestion
-        if (content.file.url) {
+        if (file.url) {
           console.log('Fallback: opening in new tab');
           // Create a temporary link with download attribute
           const link = document.createElement('a');
-          link.href = content.file.url;
-          link.download = truncateFileName(content.file.originalName, 100) || 'download';
+          link.href = file.url;
+          link.download = truncateFileName(file.originalName, 100) || 'download';
           link.target = '_blank';
           link.rel = 'noopener noreferrer';
           document.body.appendChild(link);
           link.click();
           document.body.removeChild(link);
-          
+
           setDownloadStatus('Opened in new tab');
           setTimeout(() => {
             setDownloadStatus('');
@@ -182,26 +330,66 @@ const ViewPage = ({ id }) => {
           setDownloadStatus('Download failed');
           setTimeout(() => {
             setDownloadStatus('');
-            alert('Failed to download file. Please try the "Copy URL" button and open the link in a new tab.');
-          }, 1000);
+          }, 3000);
         }
       } finally {
-        setDownloading(false);
+        setDownloadingIndex(null);
+      }
+    }
+  };
+
+  const downloadAllFiles = async () => {
+    if (!content?.files?.length) return;
+
+    try {
+      setDownloadingIndex('all');
+      setDownloadStatusIndex('all');
+      setDownloadStatus('Preparing zip archive...');
+
+      const response = await fetch(withFileAccess(API_ENDPOINTS.downloadAllFiles(id)));
+
+      if (!response.ok) {
+        throw new Error(`Download failed: ${response.status} ${response.statusText}`);
       }
+
+      setDownloadStatus('Processing archive...');
+      const blob = await response.blob();
+
+      saveBlob(blob, `${content.title || 'vanishbin'}.zip`);
+      setDownloadStatus('Download completed!');
+
+      if (content.downloadToken) {
+        setDownloadedFiles(content.files.map(file => file.index));
+      }
+
+      setTimeout(() => {
+        setDownloadStatus('');
+      }, 2000);
+
+    } catch (err) {
+      console.error('Zip download failed:', err);
+      setDownloadStatus('Download failed');
+      setTimeout(() => {
+        setDownloadStatus('');
+      }, 3000);
+    } finally {
+      setDownloadingIndex(null);
     }
   };
 
-  const copyFileUrl = async () => {
-    if (content && content.file && content.file.url) {
+  // file.url is a signed URL that expires after a few minutes, so share the API link instead
+  const copyFileUrl = async (file) => {
+    if (file && file.url) {
+      const fileLink = new URL(API_ENDPOINTS.downloadFile(id, file.index), window.location.origin).toString();
       try {
-        await navigator.clipboard.writeText(content.file.url);
+        await navigator.clipboard.writeText(fileLink);
         // You could add a toast notification here
         console.log('File URL copied to clipboard');
       } catch (err) {
         console.error('Failed to copy URL:', err);
         // Fallback for older browsers
         const textArea = document.createElement('textarea');
-        textArea.value = content.file.url;
+        textArea.value = fileLink;
         document.body.appendChild(textArea);
         textArea.select();
         document.execCommand('copy');
@@ -226,14 +414,64 @@ const ViewPage = ({ id }) => {
     return mimeType && mimeType === 'application/pdf';
   };
 
+  const handleConfirmView = async () => {
+    await fetchContent(viewConfirmation?.accessToken || '', true);
+  };
+
   const handlePasswordSubmit = async (e) => {
     e.preventDefault();
-    if (password.trim()) {
-      setPasswordError('');
-      await fetchContent(password.trim());
+    if (!password.trim()) {
+      return;
+    }
+
+    setPasswordError('');
+    setLoading(true);
+    try {
+      // Trade the password for an access token, the password itself is sent only this once
+      const response = await fetch(API_ENDPOINTS.unlockShare(id), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: password.trim() })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setLoading(false);
+
+        if (response.status === 429) {
+          // Locked out after too many wrong passwords
+          const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 60;
+          setLockedUntil(Date.now() + retryAfter * 1000);
+          setPasswordError('Too many wrong passwords.');
+        } else if (response.status === 410 || response.status === 404) {
+          // The share deleted itself after too many wrong passwords, or is gone
+          setPasswordRequired(false);
+          setError(data.error || 'Content not found or has expired');
+        } else if (response.status === 401) {
+          setPasswordError(typeof data.attemptsRemaining === 'number'
+            ? `Invalid password. ${data.attemptsRemaining} attempt${data.attemptsRemaining !== 1 ? 's' : ''} left before this share is deleted.`
+            : 'Invalid password. Please try again.');
+        } else {
+          setPasswordError(data.error || 'Failed to unlock content');
+        }
+        return;
+      }
+
+      passwordCache.store(id, data.accessToken, data.expiresAt);
+      setPassword('');
+      await fetchContent(data.accessToken);
+    } catch (err) {
+      console.error('Unlock error:', err);
+      setLoading(false);
+      setPasswordError('Failed to unlock content. Please try again.');
     }
   };
 
+  // Lockout countdown as m:ss
+  const formatCountdown = (seconds) => {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
   const getTimeRemaining = (expiresAt) => {
     if (!expiresAt) return null;
     
@@ -318,7 +556,7 @@ const ViewPage = ({ id }) => {
             <p className="text-sm sm:text-base text-gray-600 mb-4 sm:mb-6">{error}</p>
             <div className="space-y-3">
               <button
-                onClick={fetchContent}
+                onClick={() => fetchContent(passwordCache.get(id) || '')}
                 className="w-full px-3 py-2 sm:px-4 sm:py-2 border border-transparent rounded-md text-xs sm:text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
               >
                 Try Again
@@ -354,6 +592,7 @@ const ViewPage = ({ id }) => {
               {passwordError && (
                 <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 sm:px-4 sm:py-3 rounded-md text-xs sm:text-sm">
                   {passwordError}
+                  {lockedUntil && ` Try again in ${formatCountdown(lockoutSeconds)}.`}
                 </div>
               )}
               
@@ -372,10 +611,10 @@ const ViewPage = ({ id }) => {
               <div className="space-y-3">
                 <button
                   type="submit"
-                  disabled={loading || !password.trim()}
+                  disabled={loading || !password.trim() || !!lockedUntil}
                   className="w-full px-3 py-2 sm:px-4 sm:py-2 border border-transparent rounded-md text-xs sm:text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors cursor-pointer"
                 >
-                  {loading ? 'Verifying...' : 'Submit'}
+                  {loading ? 'Verifying...' : lockedUntil ? `Locked (${formatCountdown(lockoutSeconds)})` : 'Submit'}
                 </button>
                 <a
                   href="/"
@@ -391,6 +630,52 @@ const ViewPage = ({ id }) => {
     );
   }
 
+  // Last-chance warning before spending a view on a view-limited share
+  if (viewConfirmation) {
+    const isLastView = viewConfirmation.viewsRemaining === 1;
+
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="max-w-md mx-auto bg-white rounded-lg shadow-lg p-6 sm:p-8">
+          <div className="text-center">
+            <div className="mx-auto flex items-center justify-center h-10 w-10 sm:h-12 sm:w-12 rounded-full bg-orange-100 mb-3 sm:mb-4">
+              <svg className="h-5 w-5 sm:h-6 sm:w-6 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L4.082 16.5c-.77.833.192 2.5 1.732 2.5z" />
+              </svg>
+            </div>
+            <h2 className="text-lg sm:text-xl font-semibold text-gray-900 mb-2">
+              {isLastView ? 'This Is the Last View' : 'Limited Views'}
+            </h2>
+            <p className="text-sm sm:text-base text-gray-600 mb-4 sm:mb-6">
+              {isLastView
+                ? 'This content will be permanently deleted as soon as you open it. Make sure you are ready to save it.'
+                : `This content can only be viewed ${viewConfirmation.viewsRemaining} more times. Opening it will use one view.`}
+            </p>
+            {viewConfirmation.encrypted && !keyString && (
+              <p className="text-xs sm:text-sm text-red-600 mb-4 sm:mb-6">
+                This share is end-to-end encrypted, but your link is missing its decryption key (the part after "#"). Opening it would use a view without being able to read the content.
+              </p>
+            )}
+            <div className="space-y-3">
+              <button
+                onClick={handleConfirmView}
+                className="w-full px-3 py-2 sm:px-4 sm:py-2 border border-transparent rounded-md text-xs sm:text-sm font-medium text-white bg-orange-600 hover:bg-orange-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 transition-colors cursor-pointer"
+              >
+                {isLastView ? 'Reveal and Delete' : 'Reveal Content'}
+              </button>
+              <a
+                href="/"
+                className="w-full inline-block px-3 py-2 sm:px-4 sm:py-2 border border-gray-300 rounded-md text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors text-center cursor-pointer"
+              >
+                Not Now
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 py-6 sm:py-8">
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -402,59 +687,191 @@ const ViewPage = ({ id }) => {
           <p className="text-sm sm:text-base text-gray-600">
             This content was shared with you via VanishBin
           </p>
+          {content.encrypted && (
+            <p className="mt-2 inline-flex items-center text-xs sm:text-sm text-green-700">
+              <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+              </svg>
+              End-to-end encrypted - decrypted in your browser
+            </p>
+          )}
+          {content.scanned && (
+            <p className="mt-2 ml-3 inline-flex items-center text-xs sm:text-sm text-green-700" title="Every file passed the server's malware scan">
+              <svg className="h-4 w-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+              </svg>
+              Scanned for malware
+            </p>
+          )}
         </div>
 
+        {/* View Limit Notice */}
+        {content.viewLimited && (
+          <div className={`mb-6 sm:mb-8 rounded-lg p-3 sm:p-4 border text-xs sm:text-sm ${
+            content.viewsRemaining === 0
+              ? 'bg-red-50 border-red-200 text-red-800'
+              : 'bg-orange-50 border-orange-200 text-orange-800'
+          }`}>
+            {content.viewsRemaining === 0
+              ? content.files?.length
+                ? 'This was the last view. Download the files now - they will be deleted right after.'
+                : 'This was the last view. The content has already been deleted from the server.'
+              : `This share can be viewed ${content.viewsRemaining} more time${content.viewsRemaining !== 1 ? 's' : ''}.`}
+          </div>
+        )}
+
+        {/* Live Share Status */}
+        {shareEnded && (
+          <div className="mb-6 sm:mb-8 rounded-lg p-3 sm:p-4 border bg-red-50 border-red-200 text-red-800 text-xs sm:text-sm">
+            {shareEnded === 'expired'
+              ? 'This share has expired and was removed from the server.'
+              : 'This share was deleted by its owner.'}
+            {' '}What is shown below stays open in this tab only, downloads may no longer work.
+          </div>
+        )}
+        {!shareEnded && shareEdited && (
+          <div className="mb-6 sm:mb-8 rounded-lg p-3 sm:p-4 border bg-blue-50 border-blue-200 text-blue-800 text-xs sm:text-sm flex items-center justify-between gap-3">
+            <span>This share was edited since you opened it.</span>
+            <button
+              onClick={() => fetchContent(passwordCache.get(id) || '')}
+              className="px-3 py-1.5 rounded-md bg-blue-600 text-white font-medium hover:bg-blue-700 transition-colors cursor-pointer"
+            >
+              {content.viewLimited ? 'Reload (uses a view)' : 'Reload'}
+            </button>
+          </div>
+        )}
+
         {/* Content Display */}
         <div className="space-y-6 sm:space-y-8">
           {content.text && (
             /* Text Content */
             <div className="bg-white rounded-lg shadow-lg p-4 sm:p-8">
               <div className="flex items-center justify-between mb-4 sm:mb-6">
-                <h2 className="text-lg sm:text-xl font-semibold text-gray-900">
-                  Text Content
-                </h2>
+                <div className="flex items-center gap-2">
+                  <h2 className="text-lg sm:text-xl font-semibold text-gray-900">
+                    Text Content
+                  </h2>
+                  <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                    {getLanguageLabel(content.language)}
+                  </span>
+                </div>
+                <div className="flex space-x-2">
+                  {content.format === 'markdown' && (
+                    <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-xs sm:text-sm font-medium">
+                      <button
+                        onClick={() => setShowSource(false)}
+                        className={`px-2 py-1.5 sm:px-3 sm:py-2 transition-colors cursor-pointer ${!showSource ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                      >
+                        Rendered
+                      </button>
+                      <button
+                        onClick={() => setShowSource(true)}
+                        className={`px-2 py-1.5 sm:px-3 sm:py-2 border-l border-gray-300 transition-colors cursor-pointer ${showSource ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                      >
+                        Source
+                      </button>
+                    </div>
+                  )}
+                  {/* Raw text would spend another view of view-limited shares, and encrypted text can only be read here */}
+                  {!content.encrypted && !content.viewLimited && (
+                    <a
+                      href={withFileAccess(API_ENDPOINTS.getRawText(id))}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center px-2 py-1.5 sm:px-3 sm:py-2 border border-gray-300 rounded-md text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
+                    >
+                      Raw
+                    </a>
+                  )}
+                  <button
+                    onClick={copyToClipboard}
+                    className="inline-flex items-center px-2 py-1.5 sm:px-3 sm:py-2 border border-gray-300 rounded-md text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
+                  >
+                    <svg className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                    </svg>
+                    <span className="hidden sm:inline">Copy Text</span>
+                    <span className="sm:hidden">Copy</span>
+                  </button>
+                </div>
+              </div>
+              {content.format === 'markdown' && !showSource ? (
+                <MarkdownView text={content.text} />
+              ) : (
+                <CodeBlock
+                  text={content.text}
+                  language={content.language}
+                  selectedLines={selectedLines}
+                  onSelectLines={selectLines}
+                />
+              )}
+            </div>
+          )}
+
+          {content.files?.length > 1 && !content.encrypted && (
+            /* All Files */
+            <div className="bg-white rounded-lg shadow-lg p-4 sm:p-8">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div>
+                  <h2 className="text-lg sm:text-xl font-semibold text-gray-900">
+                    {content.files.length} Files
+                  </h2>
+                  <p className="text-xs sm:text-sm text-gray-600">
+                    Total size: {(content.files.reduce((total, file) => total + (file.size || 0), 0) / 1024 / 1024).toFixed(2)} MB
+                  </p>
+                </div>
                 <button
-                  onClick={copyToClipboard}
-                  className="inline-flex items-center px-2 py-1.5 sm:px-3 sm:py-2 border border-gray-300 rounded-md text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
+                  onClick={downloadAllFiles}
+                  disabled={downloadingIndex !== null || downloadedFiles.length === content.files.length}
+                  className={`inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white transition-colors ${
+                    downloadingIndex !== null || downloadedFiles.length === content.files.length
+                      ? 'bg-gray-400 cursor-not-allowed'
+                      : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 cursor-pointer'
+                  }`}
                 >
-                  <svg className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                  <svg className="h-4 w-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
                   </svg>
-                  <span className="hidden sm:inline">Copy Text</span>
-                  <span className="sm:hidden">Copy</span>
+                  {downloadingIndex === 'all' ? 'Preparing Zip...' : 'Download All as Zip'}
                 </button>
               </div>
-              <div className="bg-gray-50 rounded-lg p-3 sm:p-6">
-                <pre className="whitespace-pre-wrap text-gray-800 font-mono text-xs sm:text-sm leading-relaxed">
-                  {content.text}
-                </pre>
-              </div>
+              {downloadStatus && downloadStatusIndex === 'all' && (
+                <p className={`mt-3 text-xs sm:text-sm text-center ${
+                  downloadStatus.includes('failed')
+                    ? 'text-red-600'
+                    : downloadStatus.includes('completed')
+                    ? 'text-green-600'
+                    : 'text-blue-600'
+                }`}>
+                  {downloadStatus}
+                </p>
+              )}
             </div>
           )}
 
-          {content.file && (
+          {content.files?.map((file) => (
             /* File Content */
-            <div className="bg-white rounded-lg shadow-lg p-4 sm:p-8">
+            <div key={file.index} className="bg-white rounded-lg shadow-lg p-4 sm:p-8">
               <div className="text-center">
                 <h2 className="text-xl sm:text-2xl font-semibold text-gray-900 mb-4 sm:mb-6">
-                  {truncateFileName(content.file?.originalName) || 'Shared File'}
+                  {truncateFileName(file.originalName) || 'Shared File'}
                 </h2>
                 
                 {/* Show full filename in a tooltip or smaller text if truncated */}
-                {content.file?.originalName && content.file.originalName.length > 40 && (
-                  <p className="text-xs sm:text-sm text-gray-500 mb-3 sm:mb-4" title={content.file.originalName}>
-                    Full name: {content.file.originalName}
+                {file.originalName && file.originalName.length > 40 && (
+                  <p className="text-xs sm:text-sm text-gray-500 mb-3 sm:mb-4" title={file.originalName}>
+                    Full name: {file.originalName}
                   </p>
                 )}
                 
                 {/* File Preview Section */}
                 <div className="mb-6 sm:mb-8">
-                  {isImageFile(content.file.mimeType) && (
+                  {file.url && isImageFile(file.mimeType) && (
                     <div className="mb-4 sm:mb-6">
                       <div className="max-w-2xl mx-auto bg-gray-50 rounded-lg p-2 sm:p-4">
                         <img
-                          src={content.file.url}
-                          alt={truncateFileName(content.file.originalName)}
+                          src={file.url}
+                          alt={truncateFileName(file.originalName)}
                           className="max-w-full h-auto rounded-lg shadow-md mx-auto"
                           style={{ maxHeight: '400px' }}
                           onError={(e) => {
@@ -469,7 +886,7 @@ const ViewPage = ({ id }) => {
                     </div>
                   )}
 
-                  {isVideoFile(content.file.mimeType) && (
+                  {file.url && isVideoFile(file.mimeType) && (
                     <div className="mb-4 sm:mb-6">
                       <div className="max-w-2xl mx-auto bg-gray-50 rounded-lg p-2 sm:p-4">
                         <video
@@ -477,32 +894,32 @@ const ViewPage = ({ id }) => {
                           className="max-w-full h-auto rounded-lg shadow-md mx-auto"
                           style={{ maxHeight: '300px' }}
                         >
-                          <source src={content.file.url} type={content.file.mimeType} />
+                          <source src={file.url} type={file.mimeType} />
                           Your browser does not support the video tag.
                         </video>
                       </div>
                     </div>
                   )}
 
-                  {isAudioFile(content.file.mimeType) && (
+                  {file.url && isAudioFile(file.mimeType) && (
                     <div className="mb-4 sm:mb-6">
                       <div className="max-w-xl mx-auto bg-gray-50 rounded-lg p-2 sm:p-4">
                         <audio
                           controls
                           className="w-full"
                         >
-                          <source src={content.file.url} type={content.file.mimeType} />
+                          <source src={file.url} type={file.mimeType} />
                           Your browser does not support the audio tag.
                         </audio>
                       </div>
                     </div>
                   )}
 
-                  {isPdfFile(content.file.mimeType) && (
+                  {file.url && isPdfFile(file.mimeType) && (
                     <div className="mb-4 sm:mb-6">
                       <div className="max-w-4xl mx-auto bg-gray-50 rounded-lg p-2 sm:p-4">
                         <iframe
-                          src={content.file.url}
+                          src={file.url}
                           className="w-full rounded-lg shadow-md"
                           style={{ height: '400px' }}
                           title="PDF Preview"
@@ -511,10 +928,10 @@ const ViewPage = ({ id }) => {
                     </div>
                   )}
 
-                  {!isImageFile(content.file.mimeType) && 
-                   !isVideoFile(content.file.mimeType) && 
-                   !isAudioFile(content.file.mimeType) && 
-                   !isPdfFile(content.file.mimeType) && (
+                  {(!file.url || (!isImageFile(file.mimeType) && 
+                   !isVideoFile(file.mimeType) && 
+                   !isAudioFile(file.mimeType) && 
+                   !isPdfFile(file.mimeType))) && (
                     <div className="mx-auto flex items-center justify-center h-12 w-12 sm:h-16 sm:w-16 rounded-full bg-blue-100 mb-4 sm:mb-6">
                       <svg className="h-6 w-6 sm:h-8 sm:w-8 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
@@ -526,14 +943,14 @@ const ViewPage = ({ id }) => {
                 {/* File Information */}
                 <div className="bg-gray-50 rounded-lg p-3 sm:p-6 mb-4 sm:mb-6">
                   <div className="space-y-1 text-xs sm:text-sm text-gray-600">
-                    {content.file?.size && (
+                    {file.size && (
                       <div>
-                        Size: {(content.file.size / 1024 / 1024).toFixed(2)} MB
+                        Size: {(file.size / 1024 / 1024).toFixed(2)} MB
                       </div>
                     )}
-                    {content.file?.mimeType && (
+                    {file.mimeType && (
                       <div>
-                        Type: {content.file.mimeType}
+                        Type: {file.mimeType}
                       </div>
                     )}
                   </div>
@@ -542,15 +959,15 @@ const ViewPage = ({ id }) => {
                 {/* Action Buttons */}
                 <div className="flex flex-col sm:flex-row gap-2 sm:gap-3 justify-center items-center">
                   <button
-                    onClick={downloadFile}
-                    disabled={downloading}
+                    onClick={() => downloadFile(file)}
+                    disabled={downloadingIndex !== null || downloadedFiles.includes(file.index)}
                     className={`inline-flex items-center px-4 py-2 sm:px-6 sm:py-3 border border-transparent rounded-md text-sm sm:text-base font-medium text-white transition-colors ${
-                      downloading 
+                      downloadingIndex !== null || downloadedFiles.includes(file.index) 
                         ? 'bg-gray-400 cursor-not-allowed' 
                         : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 cursor-pointer'
                     }`}
                   >
-                    {downloading ? (
+                    {downloadingIndex === file.index ? (
                       <>
                         <svg className="animate-spin h-4 w-4 sm:h-5 sm:w-5 mr-1 sm:mr-2" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                           <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
@@ -564,18 +981,18 @@ const ViewPage = ({ id }) => {
                         <svg className="h-4 w-4 sm:h-5 sm:w-5 mr-1 sm:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                         </svg>
-                        <span className="hidden sm:inline">Download File</span>
-                        <span className="sm:hidden">Download</span>
+                        <span className="hidden sm:inline">{downloadedFiles.includes(file.index) ? 'Downloaded' : 'Download File'}</span>
+                        <span className="sm:hidden">{downloadedFiles.includes(file.index) ? 'Done' : 'Download'}</span>
                       </>
                     )}
                   </button>
 
-                  {(isImageFile(content.file?.mimeType) || 
-                    isVideoFile(content.file?.mimeType) || 
-                    isAudioFile(content.file?.mimeType) || 
-                    isPdfFile(content.file?.mimeType)) && (
+                  {file.url && (isImageFile(file.mimeType) || 
+                    isVideoFile(file.mimeType) || 
+                    isAudioFile(file.mimeType) || 
+                    isPdfFile(file.mimeType)) && (
                     <button
-                      onClick={() => window.open(content.file.url, '_blank')}
+                      onClick={() => window.open(file.url, '_blank')}
                       className="inline-flex items-center px-4 py-2 sm:px-6 sm:py-3 border border-gray-300 rounded-md text-sm sm:text-base font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
                     >
                       <svg className="h-4 w-4 sm:h-5 sm:w-5 mr-1 sm:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -586,20 +1003,22 @@ const ViewPage = ({ id }) => {
                     </button>
                   )}
 
-                  <button
-                    onClick={copyFileUrl}
-                    className="inline-flex items-center px-3 py-1.5 sm:px-4 sm:py-2 border border-gray-300 rounded-md text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
-                  >
-                    <svg className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
-                    </svg>
-                    <span className="hidden sm:inline">Copy URL</span>
-                    <span className="sm:hidden">Copy</span>
-                  </button>
+                  {file.url && (
+                    <button
+                      onClick={() => copyFileUrl(file)}
+                      className="inline-flex items-center px-3 py-1.5 sm:px-4 sm:py-2 border border-gray-300 rounded-md text-xs sm:text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors cursor-pointer"
+                    >
+                      <svg className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                      </svg>
+                      <span className="hidden sm:inline">Copy URL</span>
+                      <span className="sm:hidden">Copy</span>
+                    </button>
+                  )}
                 </div>
 
                 {/* Download Status */}
-                {downloadStatus && (
+                {downloadStatus && downloadStatusIndex === file.index && (
                   <div className="mt-3 sm:mt-4 text-center">
                     <p className={`text-xs sm:text-sm ${
                       downloadStatus.includes('failed') || downloadStatus.includes('Failed') 
@@ -614,7 +1033,7 @@ const ViewPage = ({ id }) => {
                 )}
               </div>
             </div>
-          )}
+          ))}
 
           {/* Timestamp and Expiry */}
           {content.createdAt && (
@@ -3,16 +3,25 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
 export const API_ENDPOINTS = {
   upload: `${API_BASE_URL}/upload`,
+  checkAlias: (alias) => `${API_BASE_URL}/slugs/${encodeURIComponent(alias)}`,
+  uploadLimits: `${API_BASE_URL}/config/limits`,
+  initChunkedUpload: `${API_BASE_URL}/uploads`,
+  chunkedUploadStatus: (uploadId) => `${API_BASE_URL}/uploads/${uploadId}`,
+  uploadChunk: (uploadId, index) => `${API_BASE_URL}/uploads/${uploadId}/chunks/${index}`,
+  completeChunkedUpload: (uploadId) => `${API_BASE_URL}/uploads/${uploadId}/complete`,
   getContent: (id) => `${API_BASE_URL}/${id}`,
-  getContentWithPassword: (id, password) => {
-    const url = new URL(`${API_BASE_URL}/${id}`, window.location.origin);
-    if (password) {
-      url.searchParams.append('password', password);
-    }
-    return url.toString();
-  },
-  downloadFile: (id) => `${API_BASE_URL}/file/${id}`,
+  shareEvents: (id) => `${API_BASE_URL}/${id}/events`,
+  manageShare: (id) => `${API_BASE_URL}/${id}/manage`,
+  updateShare: (id) => `${API_BASE_URL}/${id}`,
+  deleteShare: (id) => `${API_BASE_URL}/${id}`,
+  unlockShare: (id) => `${API_BASE_URL}/${id}/unlock`,
+  getRawText: (id) => `${API_BASE_URL}/raw/${id}`,
+  downloadFile: (id, index) => index === undefined
+    ? `${API_BASE_URL}/file/${id}`
+    : `${API_BASE_URL}/file/${id}/${index}`,
+  downloadAllFiles: (id) => `${API_BASE_URL}/file/${id}/zip`,
   getAllShares: `${API_BASE_URL}/all`,
+  galleryEvents: `${API_BASE_URL}/all/events`,
   health: `${API_BASE_URL}/health`
 };
 
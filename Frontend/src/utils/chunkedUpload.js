@@ -0,0 +1,167 @@
+// Resumable chunked uploads for large files
+// The upload ID and token of every unfinished file are kept in localStorage, so picking the same file
+// again after a network drop or page reload continues from the last acknowledged chunk
+
+import { API_ENDPOINTS } from '../config/api';
+
+const UPLOAD_RESUME_KEY = 'vanishbin_chunked_uploads';
+const MAX_CHUNK_RETRIES = 5;
+const RETRY_BASE_DELAY = 1000; // 1 second, doubled after every failed attempt
+
+// Identify a file well enough to recognise it when it's selected again
+const getFileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const resumeStore = {
+  getAll() {
+    try {
+      return JSON.parse(localStorage.getItem(UPLOAD_RESUME_KEY)) || {};
+    } catch {
+      return {};
+    }
+  },
+
+  get(file) {
+    const upload = this.getAll()[getFileKey(file)];
+    // Entries saved before uploads had tokens can't be resumed
+    return upload?.uploadId && upload?.uploadToken ? upload : null;
+  },
+
+  store(file, uploadId, uploadToken) {
+    const uploads = this.getAll();
+    uploads[getFileKey(file)] = { uploadId, uploadToken };
+    localStorage.setItem(UPLOAD_RESUME_KEY, JSON.stringify(uploads));
+  },
+
+  remove(file) {
+    const uploads = this.getAll();
+    delete uploads[getFileKey(file)];
+    localStorage.setItem(UPLOAD_RESUME_KEY, JSON.stringify(uploads));
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Turn a failed API response into an Error carrying the server's message
+const toError = async (response, fallbackMessage) => {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(errorData.error || fallbackMessage);
+  error.status = response.status;
+  return error;
+};
+
+// Pick up an earlier session for this file, or start a new one
+const getUploadSession = async (file, encrypted) => {
+  const previousUpload = resumeStore.get(file);
+
+  if (previousUpload) {
+    const response = await fetch(API_ENDPOINTS.chunkedUploadStatus(previousUpload.uploadId), {
+      headers: { 'X-Upload-Token': previousUpload.uploadToken }
+    });
+    if (response.ok) {
+      return { ...(await response.json()), uploadToken: previousUpload.uploadToken };
+    }
+    resumeStore.remove(file); // Expired or unknown, start over
+  }
+
+  const response = await fetch(API_ENDPOINTS.initChunkedUpload, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fileName: file.name,
+      fileSize: file.size,
+      mimeType: file.type,
+      encrypted
+    })
+  });
+
+  if (!response.ok) {
+    throw await toError(response, 'Failed to start upload');
+  }
+
+  const session = await response.json();
+  resumeStore.store(file, session.uploadId, session.uploadToken);
+  return session;
+};
+
+// Send one chunk, retrying network errors and server hiccups with exponential backoff
+const sendChunk = async (uploadId, uploadToken, index, blob) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(API_ENDPOINTS.uploadChunk(uploadId, index), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Upload-Token': uploadToken },
+        body: blob
+      });
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      // Client errors won't get better by retrying
+      if (response.status < 500 && response.status !== 429) {
+        throw await toError(response, `Failed to upload chunk ${index + 1}`);
+      }
+
+      if (attempt >= MAX_CHUNK_RETRIES) {
+        throw await toError(response, `Failed to upload chunk ${index + 1}`);
+      }
+    } catch (err) {
+      if (err.status || attempt >= MAX_CHUNK_RETRIES) {
+        throw err;
+      }
+    }
+
+    await wait(RETRY_BASE_DELAY * Math.pow(2, attempt));
+  }
+};
+
+/**
+ * Upload a file in chunks, resuming an earlier attempt for the same file when possible
+ * @param {File} file - The file to upload
+ * @param {Object} [options]
+ * @param {(uploadedBytes: number) => void} [options.onProgress] - Called after every acknowledged chunk
+ * @param {boolean} [options.encrypted] - Whether the file was encrypted in the browser
+ * @returns {Promise<{uploadId: string, uploadToken: string}>} The upload ID and token to send along with the share
+ */
+export const uploadFileInChunks = async (file, { onProgress, encrypted = false } = {}) => {
+  const session = await getUploadSession(file, encrypted);
+  const { uploadId, uploadToken, chunkSize, totalChunks } = session;
+
+  if (session.status !== 'completed') {
+    const received = new Set(session.receivedChunks);
+    const chunkBytes = (index) => Math.min(chunkSize, file.size - index * chunkSize);
+
+    let uploadedBytes = session.receivedChunks.reduce((total, index) => total + chunkBytes(index), 0);
+    onProgress?.(uploadedBytes);
+
+    for (let index = 0; index < totalChunks; index++) {
+      if (received.has(index)) continue;
+
+      const start = index * chunkSize;
+      await sendChunk(uploadId, uploadToken, index, file.slice(start, start + chunkSize));
+
+      uploadedBytes += chunkBytes(index);
+      onProgress?.(uploadedBytes);
+    }
+
+    const response = await fetch(API_ENDPOINTS.completeChunkedUpload(uploadId), {
+      method: 'POST',
+      headers: { 'X-Upload-Token': uploadToken }
+    });
+
+    if (!response.ok) {
+      throw await toError(response, 'Failed to finish upload');
+    }
+  }
+
+  onProgress?.(file.size);
+  return { uploadId, uploadToken };
+};
+
+/**
+ * Forget the resume state of a file once its upload has been attached to a share
+ * @param {File} file - The uploaded file
+ */
+export const clearUploadResumeState = (file) => {
+  resumeStore.remove(file);
+};
@@ -0,0 +1,155 @@
+// End-to-end encryption for shares using WebCrypto AES-GCM
+// The key is only ever placed in the #fragment of the share link, which browsers never send to the server
+
+const ALGORITHM = 'AES-GCM';
+const KEY_LENGTH = 256;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Files are encrypted in records so large files never need one huge encrypt/decrypt call
+const RECORD_SIZE = 1024 * 1024; // 1MB of plaintext per record
+const ENCRYPTED_RECORD_SIZE = IV_LENGTH + RECORD_SIZE + TAG_LENGTH;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+};
+
+// URL-safe base64 keeps the key readable in the link fragment, and encrypted file names intact in multipart
+// uploads, where a '/' would be taken for a path and everything before it dropped
+const toBase64Url = (bytes) => toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Also reads standard base64, which shares encrypted before names were URL-safe still hold
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return fromBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+// Bind each record to its position, so records can't be reordered or the file truncated unnoticed
+const getRecordData = (index, isLast) => textEncoder.encode(`${index}:${isLast ? 1 : 0}`);
+
+/**
+ * Generate a new random key for a share
+ * @returns {Promise<CryptoKey>}
+ */
+export const generateEncryptionKey = () => {
+  return crypto.subtle.generateKey({ name: ALGORITHM, length: KEY_LENGTH }, true, ['encrypt', 'decrypt']);
+};
+
+/**
+ * Export a key as the string placed in the share link fragment
+ * @param {CryptoKey} key
+ * @returns {Promise<string>}
+ */
+export const exportEncryptionKey = async (key) => {
+  const rawKey = await crypto.subtle.exportKey('raw', key);
+  return toBase64Url(new Uint8Array(rawKey));
+};
+
+/**
+ * Import the key from a share link fragment
+ * @param {string} keyString - The fragment, with or without the leading '#'
+ * @returns {Promise<CryptoKey>}
+ */
+export const importEncryptionKey = (keyString) => {
+  const rawKey = fromBase64Url(keyString.replace(/^#/, ''));
+  return crypto.subtle.importKey('raw', rawKey, { name: ALGORITHM }, false, ['encrypt', 'decrypt']);
+};
+
+/**
+ * Encrypt a string
+ * @returns {Promise<string>} URL-safe base64 of the IV followed by the ciphertext
+ */
+export const encryptText = async (text, key) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt({ name: ALGORITHM, iv }, key, textEncoder.encode(text));
+
+  const payload = new Uint8Array(IV_LENGTH + ciphertext.byteLength);
+  payload.set(iv);
+  payload.set(new Uint8Array(ciphertext), IV_LENGTH);
+  return toBase64Url(payload);
+};
+
+/**
+ * Decrypt a string produced by encryptText
+ * @returns {Promise<string>}
+ */
+export const decryptText = async (payload, key) => {
+  const bytes = fromBase64Url(payload);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: ALGORITHM, iv: bytes.slice(0, IV_LENGTH) },
+    key,
+    bytes.slice(IV_LENGTH)
+  );
+  return textDecoder.decode(plaintext);
+};
+
+/**
+ * Encrypt a file for upload. Its name and type are encrypted separately and used as the uploaded file name,
+ * so the server only ever sees opaque bytes
+ * @param {File} file
+ * @param {CryptoKey} key
+ * @returns {Promise<File>}
+ */
+export const encryptFile = async (file, key) => {
+  const totalRecords = Math.max(1, Math.ceil(file.size / RECORD_SIZE));
+  const records = [];
+
+  for (let index = 0; index < totalRecords; index++) {
+    const plaintext = await file.slice(index * RECORD_SIZE, (index + 1) * RECORD_SIZE).arrayBuffer();
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: ALGORITHM, iv, additionalData: getRecordData(index, index === totalRecords - 1) },
+      key,
+      plaintext
+    );
+    records.push(iv, new Uint8Array(ciphertext));
+  }
+
+  const encryptedName = await encryptText(JSON.stringify({ name: file.name, type: file.type }), key);
+  return new File(records, encryptedName, { type: 'application/octet-stream' });
+};
+
+/**
+ * Decrypt the name and type of an encrypted file
+ * @returns {Promise<{name: string, type: string}>}
+ */
+export const decryptFileInfo = async (encryptedName, key) => {
+  return JSON.parse(await decryptText(encryptedName, key));
+};
+
+/**
+ * Decrypt a downloaded file produced by encryptFile
+ * @param {Blob} blob - The encrypted bytes
+ * @param {CryptoKey} key
+ * @param {string} [mimeType] - The decrypted file type
+ * @returns {Promise<Blob>}
+ */
+export const decryptFile = async (blob, key, mimeType = '') => {
+  const totalRecords = Math.max(1, Math.ceil(blob.size / ENCRYPTED_RECORD_SIZE));
+  const parts = [];
+
+  for (let index = 0; index < totalRecords; index++) {
+    const record = new Uint8Array(
+      await blob.slice(index * ENCRYPTED_RECORD_SIZE, (index + 1) * ENCRYPTED_RECORD_SIZE).arrayBuffer()
+    );
+    const plaintext = await crypto.subtle.decrypt(
+      { name: ALGORITHM, iv: record.slice(0, IV_LENGTH), additionalData: getRecordData(index, index === totalRecords - 1) },
+      key,
+      record.slice(IV_LENGTH)
+    );
+    parts.push(plaintext);
+  }
+
+  return new Blob(parts, { type: mimeType });
+};
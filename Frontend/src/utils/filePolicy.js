@@ -0,0 +1,105 @@
+// File checks before uploading, with the rules the server enforces (GET /api/config/limits):
+// allowed extensions, declared types, magic bytes and sizes
+
+import { API_ENDPOINTS } from '../config/api';
+import { formatFileSize, MAX_FILE_SIZE } from './helpers';
+
+let policyRequest = null;
+
+// Fetch the policy once per page load, a failed request is tried again on the next call
+export const loadFilePolicy = () => {
+  if (!policyRequest) {
+    policyRequest = fetch(API_ENDPOINTS.uploadLimits)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error('Failed to load upload limits');
+        }
+        return response.json();
+      })
+      .then((data) => data.limits)
+      .catch(() => {
+        policyRequest = null;
+        return null;
+      });
+  }
+
+  return policyRequest;
+};
+
+const getExtension = (fileName) => {
+  const dotIndex = fileName.lastIndexOf('.');
+  return dotIndex > 0 ? fileName.slice(dotIndex + 1).toLowerCase() : '';
+};
+
+const matchesSignature = (bytes, { offset, hex }) => {
+  const signature = hex.match(/../g).map((byte) => parseInt(byte, 16));
+  return bytes.length >= offset + signature.length && signature.every((byte, index) => bytes[offset + index] === byte);
+};
+
+// Text content has no NUL bytes and decodes as UTF-8 (a character cut off at the end of the sample is fine)
+const isText = (bytes) => {
+  if (bytes.includes(0)) {
+    return false;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check a file against the upload policy
+ * Without a policy (the server couldn't be reached) only the size is checked, the server still enforces every rule
+ * @param {File} file
+ * @param {object|null} policy - Limits from loadFilePolicy
+ * @throws {Error} Message to show when the file can't be uploaded
+ */
+export const validateFile = async (file, policy) => {
+  const maxSize = policy?.maxFileSize || MAX_FILE_SIZE;
+  if (file.size > maxSize) {
+    throw new Error(`${file.name} is too large. Files must be smaller than ${formatFileSize(maxSize)}`);
+  }
+
+  if (!policy) {
+    return true;
+  }
+
+  const extension = getExtension(file.name);
+  const fileType = policy.allowedTypes.find((type) => type.extensions.includes(extension));
+  if (!fileType) {
+    throw new Error(extension
+      ? `${file.name}: .${extension} files are not allowed`
+      : `${file.name} needs an extension such as .pdf or .png`);
+  }
+
+  // Browsers leave the type empty or generic for files they don't recognise
+  const mimeType = file.type.toLowerCase();
+  if (mimeType && mimeType !== 'application/octet-stream' && mimeType !== fileType.mimeType && !fileType.aliases.includes(mimeType)) {
+    throw new Error(`${file.name}: file type ${mimeType} doesn't match the .${extension} extension`);
+  }
+
+  const bytes = new Uint8Array(await file.slice(0, policy.sniffSampleSize).arrayBuffer());
+  const looksBinary = policy.allowedTypes.some((type) => type.signatures.some((signature) => matchesSignature(bytes, signature)));
+  const matches = fileType.text
+    ? !looksBinary && isText(bytes)
+    : fileType.signatures.some((signature) => matchesSignature(bytes, signature));
+
+  if (!matches) {
+    throw new Error(`${file.name} doesn't look like a ${fileType.label}`);
+  }
+
+  return true;
+};
+
+// Extensions for the file picker's accept attribute
+export const getAcceptedExtensions = (policy) => {
+  return policy ? policy.allowedTypes.flatMap((type) => type.extensions.map((extension) => `.${extension}`)).join(',') : undefined;
+};
+
+// Short list of the allowed kinds of files, e.g. "JPEG image, PNG image, PDF document"
+export const describeAllowedTypes = (policy) => {
+  return policy ? [...new Set(policy.allowedTypes.map((type) => type.label))].join(', ') : 'Images, PDFs, Documents';
+};
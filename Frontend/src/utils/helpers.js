@@ -34,36 +34,87 @@ export const isImageFile = (mimetype) => {
   return mimetype && mimetype.startsWith('image/');
 };
 
-export const validateFile = (file) => {
-  const maxSize = 10 * 1024 * 1024; // 10MB
-  const allowedTypes = [
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'application/pdf',
-    'text/plain',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/zip',
-    'application/x-rar-compressed'
-  ];
-
-  if (file.size > maxSize) {
-    throw new Error('File size must be less than 10MB');
-  }
+// Upload limits used until the server's file policy is loaded (see utils/filePolicy.js)
+export const MAX_FILES_PER_SHARE = 10;
+export const MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1GB
+
+// Expiry choices used until the server's limits are loaded, the server drops any above its maximum
+export const EXPIRY_OPTIONS = [
+  { value: '5m', label: '5 minutes' },
+  { value: '1h', label: '1 hour' },
+  { value: '3h', label: '3 hours' },
+  { value: '1d', label: '1 day' },
+  { value: '7d', label: '7 days' }
+];
+
+export const DEFAULT_EXPIRY = '3h';
+
+// View limits offered on upload ('' means the share can be viewed until it expires)
+export const VIEW_LIMIT_OPTIONS = [
+  { value: '', label: 'Unlimited views' },
+  { value: '1', label: 'Burn after reading (1 view)' },
+  { value: '3', label: '3 views' },
+  { value: '5', label: '5 views' },
+  { value: '10', label: '10 views' }
+];
+
+// How text is shown on the view page (values match TEXT_FORMATS in the backend's config/languages.js)
+export const TEXT_FORMAT_OPTIONS = [
+  { value: 'code', label: 'Code (syntax highlighting)' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'plain', label: 'Plain text' }
+];
+
+export const DEFAULT_TEXT_FORMAT = 'code';
+
+// Wrong password limits offered on upload ('' means the share is only locked out for a while)
+export const PASSWORD_ATTEMPT_OPTIONS = [
+  { value: '', label: 'Never delete, only lock out' },
+  { value: '3', label: 'Delete after 3 wrong passwords' },
+  { value: '5', label: 'Delete after 5 wrong passwords' },
+  { value: '10', label: 'Delete after 10 wrong passwords' }
+];
+
+// The encryption key of end-to-end encrypted shares goes in the fragment, which is never sent to the server
+export const generateShareUrl = (id, encryptionKey) => {
+  const baseUrl = window.location.origin;
+  return `${baseUrl}/view/${id}${encryptionKey ? `#${encryptionKey}` : ''}`;
+};
+
+// Line links share the fragment with the encryption key, e.g. #<key>&L10-L20
+export const parseViewFragment = (hash) => {
+  let key = '';
+  let lines = null;
+
+  hash.replace(/^#/, '').split('&').filter(Boolean).forEach((part) => {
+    const match = part.match(/^L(\d+)(?:-L(\d+))?$/);
+    if (match) {
+      const start = Number(match[1]);
+      const end = match[2] ? Number(match[2]) : start;
+      lines = { start: Math.min(start, end), end: Math.max(start, end) };
+    } else {
+      key = part;
+    }
+  });
 
-  // Allow any file type for now, but could restrict if needed
-  // if (!allowedTypes.includes(file.type)) {
-  //   throw new Error('File type not supported');
-  // }
+  return { key, lines };
+};
 
-  return true;
+export const buildViewFragment = ({ key, lines }) => {
+  const parts = [];
+  if (key) {
+    parts.push(key);
+  }
+  if (lines) {
+    parts.push(lines.start === lines.end ? `L${lines.start}` : `L${lines.start}-L${lines.end}`);
+  }
+  return parts.length > 0 ? `#${parts.join('&')}` : '';
 };
 
-export const generateShareUrl = (id) => {
+// Private link that lets the uploader edit or delete a share (the token stays in the fragment)
+export const generateManageUrl = (id, manageToken) => {
   const baseUrl = window.location.origin;
-  return `${baseUrl}/view/${id}`;
+  return `${baseUrl}/manage/${id}#${manageToken}`;
 };
 
 // Helper function to smoothly scroll to top
@@ -0,0 +1,125 @@
+// Syntax highlighting for code pastes, built on highlight.js
+// Only the languages offered below are bundled, which keeps the build small
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import c from 'highlight.js/lib/languages/c';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import diff from 'highlight.js/lib/languages/diff';
+import go from 'highlight.js/lib/languages/go';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import kotlin from 'highlight.js/lib/languages/kotlin';
+import markdown from 'highlight.js/lib/languages/markdown';
+import php from 'highlight.js/lib/languages/php';
+import plaintext from 'highlight.js/lib/languages/plaintext';
+import python from 'highlight.js/lib/languages/python';
+import ruby from 'highlight.js/lib/languages/ruby';
+import rust from 'highlight.js/lib/languages/rust';
+import sql from 'highlight.js/lib/languages/sql';
+import swift from 'highlight.js/lib/languages/swift';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// Languages offered on upload (values match SUPPORTED_LANGUAGES in the backend's config/languages.js)
+export const LANGUAGE_OPTIONS = [
+  { value: 'plaintext', label: 'Plain text', definition: plaintext },
+  { value: 'bash', label: 'Bash', definition: bash },
+  { value: 'c', label: 'C', definition: c },
+  { value: 'cpp', label: 'C++', definition: cpp },
+  { value: 'csharp', label: 'C#', definition: csharp },
+  { value: 'css', label: 'CSS', definition: css },
+  { value: 'diff', label: 'Diff', definition: diff },
+  { value: 'go', label: 'Go', definition: go },
+  { value: 'java', label: 'Java', definition: java },
+  { value: 'javascript', label: 'JavaScript', definition: javascript },
+  { value: 'json', label: 'JSON', definition: json },
+  { value: 'kotlin', label: 'Kotlin', definition: kotlin },
+  { value: 'markdown', label: 'Markdown', definition: markdown },
+  { value: 'php', label: 'PHP', definition: php },
+  { value: 'python', label: 'Python', definition: python },
+  { value: 'ruby', label: 'Ruby', definition: ruby },
+  { value: 'rust', label: 'Rust', definition: rust },
+  { value: 'sql', label: 'SQL', definition: sql },
+  { value: 'swift', label: 'Swift', definition: swift },
+  { value: 'typescript', label: 'TypeScript', definition: typescript },
+  { value: 'xml', label: 'HTML / XML', definition: xml },
+  { value: 'yaml', label: 'YAML', definition: yaml }
+];
+
+// Picked in the upload form to let the browser guess the language
+export const AUTO_DETECT_LANGUAGE = 'auto';
+
+LANGUAGE_OPTIONS.forEach(({ value, definition }) => hljs.registerLanguage(value, definition));
+
+// Auto-detection only looks at the start of long pastes, that is plenty to tell languages apart
+const DETECTION_SAMPLE_LENGTH = 20000;
+
+// Below this relevance score a guess is not trusted and the text stays plain
+const MIN_DETECTION_RELEVANCE = 5;
+
+export const getLanguageLabel = (language) => {
+  return LANGUAGE_OPTIONS.find(option => option.value === language)?.label || 'Plain text';
+};
+
+// Guess the language of a paste, falling back to plain text
+export const detectLanguage = (text) => {
+  if (!text.trim()) {
+    return 'plaintext';
+  }
+
+  const result = hljs.highlightAuto(text.slice(0, DETECTION_SAMPLE_LENGTH));
+  return result.language && result.relevance >= MIN_DETECTION_RELEVANCE ? result.language : 'plaintext';
+};
+
+// highlight.js returns one HTML string, so spans that run across line breaks are closed
+// at the end of each line and reopened on the next one
+const splitHighlightedLines = (html) => {
+  const lines = [];
+  const openTags = [];
+  let line = '';
+
+  html.split(/(<span[^>]*>|<\/span>|\n)/).forEach((token) => {
+    if (token === '\n') {
+      lines.push(line + '</span>'.repeat(openTags.length));
+      line = openTags.join('');
+    } else if (token === '</span>') {
+      openTags.pop();
+      line += token;
+    } else if (token.startsWith('<span')) {
+      openTags.push(token);
+      line += token;
+    } else {
+      line += token;
+    }
+  });
+
+  lines.push(line + '</span>'.repeat(openTags.length));
+  return lines;
+};
+
+/**
+ * Highlight text as one block
+ * @param {string} text
+ * @param {string} language - highlight.js language name or alias, unknown languages are shown as plain text
+ * @returns {string} Escaped HTML
+ */
+export const highlightCode = (text, language) => {
+  return hljs.highlight(text, {
+    language: hljs.getLanguage(language) ? language : 'plaintext',
+    ignoreIllegals: true
+  }).value;
+};
+
+/**
+ * Highlight text and split it into lines
+ * @param {string} text
+ * @param {string} language - One of LANGUAGE_OPTIONS, unknown languages are shown as plain text
+ * @returns {string[]} Escaped HTML for each line
+ */
+export const highlightLines = (text, language) => {
+  return splitHighlightedLines(highlightCode(text, language));
+};
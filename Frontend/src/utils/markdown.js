@@ -0,0 +1,45 @@
+// Markdown rendering for text shares, GitHub flavoured (tables, task lists, fenced code)
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { highlightCode } from './highlight';
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const markdown = new Marked({
+  gfm: true,
+  renderer: {
+    // Fenced code is highlighted with the same languages as code shares
+    code({ text, lang }) {
+      const language = (lang || '').split(/\s/)[0];
+      const className = language ? ` class="language-${escapeHtml(language)}"` : '';
+      return `<pre><code${className}>${highlightCode(text, language)}</code></pre>\n`;
+    }
+  }
+});
+
+// Links in shared text lead to other sites, so they open in a new tab without a referrer
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer nofollow');
+  }
+});
+
+/**
+ * Render markdown to HTML that is safe to put in the page
+ * @param {string} text - Markdown source
+ * @returns {string} Sanitized HTML, scripts, event handlers and javascript: links are removed
+ */
+export const renderMarkdown = (text) => {
+  return DOMPurify.sanitize(markdown.parse(text), {
+    // Task lists are rendered as disabled checkboxes, no other form elements are needed
+    FORBID_TAGS: ['form', 'button', 'select', 'textarea', 'style'],
+    ADD_ATTR: ['target']
+  });
+};
@@ -0,0 +1,59 @@
+// Local list of the shares created in this browser, with the manage token of each
+// Uses localStorage so the list survives closing the tab; nothing is sent to the server
+
+const MY_SHARES_KEY = 'vanishbin_my_shares';
+
+export const myShares = {
+  // Remember a newly created share
+  add(share) {
+    const shares = this.getAll().filter(entry => entry.id !== share.id);
+    shares.unshift(share);
+    this.save(shares);
+  },
+
+  // Get a remembered share by ID
+  get(shareId) {
+    return this.getAll().find(entry => entry.id === shareId) || null;
+  },
+
+  // Update the stored details of a share (title, expiry, ...)
+  update(shareId, changes) {
+    this.save(this.getAll().map(entry => (
+      entry.id === shareId ? { ...entry, ...changes } : entry
+    )));
+  },
+
+  // Forget a share
+  remove(shareId) {
+    this.save(this.getAll().filter(entry => entry.id !== shareId));
+  },
+
+  // Get every remembered share, newest first
+  getAll() {
+    try {
+      const stored = localStorage.getItem(MY_SHARES_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error reading my shares:', error);
+      return [];
+    }
+  },
+
+  save(shares) {
+    localStorage.setItem(MY_SHARES_KEY, JSON.stringify(shares));
+  },
+
+  // Drop shares that have expired
+  cleanup() {
+    const now = Date.now();
+    const shares = this.getAll();
+    const activeShares = shares.filter(entry => !entry.expiresAt || new Date(entry.expiresAt).getTime() > now);
+
+    if (activeShares.length !== shares.length) {
+      this.save(activeShares);
+    }
+  }
+};
+
+// Run cleanup when the module loads
+myShares.cleanup();
@@ -1,24 +1,26 @@
-// Password cache utility for managing temporary password storage
-// Uses sessionStorage so passwords are cleared when browser tab is closed
+// Cache of the access tokens of unlocked password-protected shares
+// The password itself is never stored; it is traded for a short-lived token by POST /api/:id/unlock
+// Uses sessionStorage so tokens are cleared when browser tab is closed
 
-const PASSWORD_CACHE_KEY = 'vanishbin_password_cache';
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
+const PASSWORD_CACHE_KEY = 'vanishbin_access_token_cache';
+
+// Older versions cached the raw passwords under this key
+const LEGACY_PASSWORD_CACHE_KEY = 'vanishbin_password_cache';
 
 export const passwordCache = {
-  // Store a password for a specific share ID
-  store(shareId, password) {
+  // Store the access token of a share until the server lets it expire
+  store(shareId, accessToken, expiresAt) {
     const cache = this.getCache();
-    const expiresAt = Date.now() + CACHE_DURATION;
     
     cache[shareId] = {
-      password,
-      expiresAt
+      accessToken,
+      expiresAt: new Date(expiresAt).getTime()
     };
     
     sessionStorage.setItem(PASSWORD_CACHE_KEY, JSON.stringify(cache));
   },
 
-  // Retrieve a cached password for a share ID
+  // Retrieve the cached access token for a share ID
   get(shareId) {
     const cache = this.getCache();
     const entry = cache[shareId];
@@ -27,16 +29,16 @@ export const passwordCache = {
       return null;
     }
     
-    // Check if password has expired
+    // Check if the token has expired
     if (Date.now() > entry.expiresAt) {
       this.remove(shareId);
       return null;
     }
     
-    return entry.password;
+    return entry.accessToken;
   },
 
-  // Remove a specific password from cache
+  // Remove a specific token from cache
   remove(shareId) {
     const cache = this.getCache();
     delete cache[shareId];
@@ -49,12 +51,12 @@ export const passwordCache = {
       const cached = sessionStorage.getItem(PASSWORD_CACHE_KEY);
       return cached ? JSON.parse(cached) : {};
     } catch (error) {
-      console.error('Error reading password cache:', error);
+      console.error('Error reading access token cache:', error);
       return {};
     }
   },
 
-  // Clear all cached passwords
+  // Clear all cached tokens
   clear() {
     sessionStorage.removeItem(PASSWORD_CACHE_KEY);
   },
@@ -77,13 +79,14 @@ export const passwordCache = {
     }
   },
 
-  // Check if a password is cached for a share ID
+  // Check if a share has been unlocked in this tab
   has(shareId) {
     return this.get(shareId) !== null;
   }
 };
 
 // Run cleanup when the module loads
+sessionStorage.removeItem(LEGACY_PASSWORD_CACHE_KEY);
 passwordCache.cleanup();
 
 // Optional: Run cleanup periodically